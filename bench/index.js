@@ -0,0 +1,98 @@
+/**
+ * Benchmarks recording and scraping, optionally against a baseline build of
+ * another git revision.
+ *
+ * Usage: npm run bench -- [--baseline <git ref>] [--time <seconds per case>]
+ * [--filter <text in case names>]
+ *
+ * The baseline is exported with `git archive` into `bench/.baseline/` and
+ * compiled with the repository's TypeScript, e.g. `--baseline HEAD` to
+ * measure uncommitted changes. Cases using an API the baseline lacks are
+ * shown as n/a for it.
+ */
+import { execFileSync } from 'node:child_process';
+import { existsSync, mkdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const { values: options } = parseArgs({
+  options: {
+    baseline: { type: 'string' },
+    time: { type: 'string', default: '1' },
+    filter: { type: 'string', default: '' },
+  },
+});
+
+// builds the src/ of a git revision, once per commit
+function buildBaseline(ref) {
+  const commit = execFileSync('git', ['rev-parse', '--short', ref], {
+    cwd: root,
+    encoding: 'utf8',
+  }).trim();
+  const dir = join(root, 'bench', '.baseline', commit);
+  if (!existsSync(join(dir, 'dist', 'index.js'))) {
+    mkdirSync(dir, { recursive: true });
+    const archive = execFileSync(
+      'git',
+      ['archive', '--format=tar', commit, 'src', 'tsconfig.json'],
+      { cwd: root, maxBuffer: 64 * 1024 * 1024 }
+    );
+    execFileSync('tar', ['-x', '-C', dir], { input: archive });
+    execFileSync(join(root, 'node_modules', '.bin', 'tsc'), [
+      '-p',
+      join(dir, 'tsconfig.json'),
+    ]);
+  }
+  return { label: `${ref} (${commit})`, entry: join(dir, 'dist', 'index.js') };
+}
+
+function run(entry) {
+  const output = execFileSync(
+    process.execPath,
+    [join(root, 'bench', 'run.js'), entry, options.time, options.filter],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+  return JSON.parse(output);
+}
+
+function formatResult({ scrape, opsPerSec, error }) {
+  if (error !== undefined) {
+    return 'n/a';
+  }
+  return scrape
+    ? `${(1000 / opsPerSec).toFixed(2)} ms/scrape`
+    : `${Math.round(opsPerSec).toLocaleString('en-US')} ops/s`;
+}
+
+const current = run(join(root, 'dist', 'index.js'));
+const baseline = options.baseline && buildBaseline(options.baseline);
+const before = baseline ? run(baseline.entry) : [];
+
+const rows = [['Case', 'Working tree']];
+if (baseline) {
+  rows[0].push(baseline.label, 'Change');
+}
+for (const result of current) {
+  const row = [result.name, formatResult(result)];
+  const previous = before.find(({ name }) => name === result.name);
+  if (previous?.error !== undefined || result.error !== undefined) {
+    row.push(formatResult(previous ?? {}), '');
+  } else if (previous) {
+    const change = (result.opsPerSec / previous.opsPerSec - 1) * 100;
+    row.push(
+      formatResult(previous),
+      `${change >= 0 ? '+' : ''}${change.toFixed(0)}%`
+    );
+  }
+  rows.push(row);
+}
+
+const widths = rows[0].map((_, i) =>
+  Math.max(...rows.map(row => (row[i] ?? '').length))
+);
+for (const row of rows) {
+  console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  '));
+}
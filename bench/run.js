@@ -0,0 +1,60 @@
+/**
+ * Times the benchmark cases against one build of the library and prints the
+ * results as JSON. Started by `index.js`, once per build, so the builds don't
+ * share a heap or JIT state.
+ *
+ * Usage: node bench/run.js <path to the build's index.js> <seconds per case>
+ * [filter]
+ */
+import process from 'node:process';
+import { pathToFileURL } from 'node:url';
+import { performance } from 'node:perf_hooks';
+import { cases } from './suites.js';
+
+const [entry, seconds = '1', filter = ''] = process.argv.slice(2);
+const lib = await import(pathToFileURL(entry).href);
+
+// runs fn in batches for the given time, doubling the batch size until a
+// batch takes long enough for the clock to measure it
+function measure(fn, ms) {
+  let batch = 1;
+  let ops = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  while (elapsed < ms) {
+    const batchStart = performance.now();
+    for (let i = 0; i < batch; i++) {
+      fn();
+    }
+    ops += batch;
+    if (performance.now() - batchStart < 10) {
+      batch *= 2;
+    }
+    elapsed = performance.now() - start;
+  }
+  return (ops / elapsed) * 1000;
+}
+
+const results = [];
+for (const { name, scrape = false, setup } of cases) {
+  if (!name.toLowerCase().includes(filter.toLowerCase())) {
+    continue;
+  }
+  let fn;
+  try {
+    fn = setup(lib);
+    fn();
+  } catch (err) {
+    // the build lacks an API the case needs
+    results.push({ name, scrape, error: err.message });
+    continue;
+  }
+  // warm up, so the JIT has optimized the code being timed
+  measure(fn, Number(seconds) * 250);
+  results.push({
+    name,
+    scrape,
+    opsPerSec: measure(fn, Number(seconds) * 1000),
+  });
+}
+process.stdout.write(JSON.stringify(results));
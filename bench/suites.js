@@ -0,0 +1,188 @@
+/**
+ * Benchmark cases, written against the public API only so that they run
+ * unchanged against older builds of the library. Each `setup` receives the
+ * library module and returns the operation to time. Where they can, cases
+ * stick to what the first release has: positional label values, explicit
+ * buckets and `Registry.register()`. Cases needing a newer API throw on an
+ * older build and are reported as n/a for it.
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+const ROUTES = [
+  '/',
+  '/users',
+  '/users/:id',
+  '/orders',
+  '/orders/:id',
+  '/health',
+];
+const LABEL_NAMES = ['method', 'route', 'status'];
+// the default buckets, spelled out since older builds have no default
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const WIDE_BUCKETS = Array.from({ length: 60 }, (_, i) => 0.0001 * 1.3 ** i);
+
+// label combinations the recording cases cycle through
+const LABEL_VALUES = METHODS.flatMap(method =>
+  ROUTES.map(route => [method, route, '200'])
+);
+const LABEL_OBJECTS = LABEL_VALUES.map(([method, route, status]) => ({
+  method,
+  route,
+  status,
+}));
+const OBSERVATIONS = Array.from(
+  { length: 1024 },
+  (_, i) =>
+    // spread over the default buckets, up to 12s
+    Math.pow(i / 1024, 3) * 12
+);
+
+// series per metric in the scrape cases
+const SCRAPE_SERIES = 1000;
+
+function cycle(items) {
+  let i = 0;
+  return () => items[i++ % items.length];
+}
+
+function scrapeRegistry(lib, defaultLabels) {
+  const registry = new lib.Registry();
+  const options = { registers: [] };
+  const requests = new lib.Counter(
+    'requests_total',
+    'Requests',
+    LABEL_NAMES,
+    options
+  );
+  const inFlight = new lib.Gauge(
+    'in_flight',
+    'In flight',
+    LABEL_NAMES,
+    options
+  );
+  const latency = new lib.Histogram(
+    'latency_seconds',
+    'Latency',
+    BUCKETS,
+    LABEL_NAMES,
+    options
+  );
+  // by name, the only form the first release has
+  registry.register('requests_total', requests);
+  registry.register('in_flight', inFlight);
+  registry.register('latency_seconds', latency);
+  for (let i = 0; i < SCRAPE_SERIES; i++) {
+    const labels = [METHODS[i % METHODS.length], `/route/${i}`, '200'];
+    requests.inc(labels, i);
+    inFlight.set(labels, i);
+    latency.observe(labels, OBSERVATIONS[i % OBSERVATIONS.length]);
+  }
+  if (defaultLabels) {
+    registry.setDefaultLabels({ service: 'api', region: 'eu-west-1' });
+  }
+  return registry;
+}
+
+export const cases = [
+  {
+    name: 'Counter.inc, label array',
+    setup: lib => {
+      const counter = new lib.Counter('c_total', 'c', LABEL_NAMES, {
+        registers: [],
+      });
+      const labels = cycle(LABEL_VALUES);
+      return () => counter.inc(labels());
+    },
+  },
+  {
+    name: 'Counter.inc, label object',
+    setup: lib => {
+      const counter = new lib.Counter('c_total', 'c', LABEL_NAMES, {
+        registers: [],
+      });
+      const labels = cycle(LABEL_OBJECTS);
+      return () => counter.inc(labels());
+    },
+  },
+  {
+    name: 'Counter child inc',
+    setup: lib => {
+      const counter = new lib.Counter('c_total', 'c', LABEL_NAMES, {
+        registers: [],
+      });
+      const child = cycle(
+        LABEL_VALUES.map(values => counter.labels(...values))
+      );
+      return () => child().inc();
+    },
+  },
+  {
+    name: 'Gauge.set, label array',
+    setup: lib => {
+      const gauge = new lib.Gauge('g', 'g', LABEL_NAMES, { registers: [] });
+      const labels = cycle(LABEL_VALUES);
+      return () => gauge.set(labels(), 42);
+    },
+  },
+  {
+    name: 'Histogram.observe, 11 buckets',
+    setup: lib => {
+      const histogram = new lib.Histogram('h', 'h', BUCKETS, LABEL_NAMES, {
+        registers: [],
+      });
+      const labels = cycle(LABEL_VALUES);
+      const value = cycle(OBSERVATIONS);
+      return () => histogram.observe(labels(), value());
+    },
+  },
+  {
+    name: 'Histogram.observe, 60 buckets',
+    setup: lib => {
+      const histogram = new lib.Histogram('h', 'h', WIDE_BUCKETS, LABEL_NAMES, {
+        registers: [],
+      });
+      const labels = cycle(LABEL_VALUES);
+      const value = cycle(OBSERVATIONS);
+      return () => histogram.observe(labels(), value());
+    },
+  },
+  {
+    name: 'Summary.observe',
+    setup: lib => {
+      const summary = new lib.Summary('s', 's', undefined, LABEL_NAMES, {
+        registers: [],
+      });
+      const labels = cycle(LABEL_VALUES);
+      const value = cycle(OBSERVATIONS);
+      return () => summary.observe(labels(), value());
+    },
+  },
+  {
+    name: `Scrape ${3 * SCRAPE_SERIES} series, Prometheus`,
+    scrape: true,
+    setup: lib => {
+      const registry = scrapeRegistry(lib, false);
+      return () => registry.metrics();
+    },
+  },
+  {
+    name: `Scrape ${3 * SCRAPE_SERIES} series, OpenMetrics`,
+    scrape: true,
+    setup: lib => {
+      const registry = scrapeRegistry(lib, false);
+      // older builds ignore the format and write Prometheus text
+      if (!registry.metrics('openmetrics').endsWith('# EOF\n')) {
+        throw new Error('OpenMetrics is not supported');
+      }
+      return () => registry.metrics('openmetrics');
+    },
+  },
+  {
+    name: `Scrape ${3 * SCRAPE_SERIES} series, default labels`,
+    scrape: true,
+    setup: lib => {
+      const registry = scrapeRegistry(lib, true);
+      return () => registry.metrics();
+    },
+  },
+];
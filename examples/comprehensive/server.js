@@ -1,5 +1,11 @@
 const express = require('express');
-const { Counter, Gauge, Histogram, register } = require('../../dist/index.js');
+const {
+  Counter,
+  Gauge,
+  Histogram,
+  createMetricsHandler,
+  expressMetrics,
+} = require('../../dist/index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,13 +17,10 @@ app.use(express.json());
 // METRICS DEFINITIONS
 // =============================================================================
 
-// Counter metrics
-const httpRequestsTotal = new Counter(
-  'http_requests_total',
-  'Total number of HTTP requests',
-  ['method', 'route', 'status_code']
-);
+// http_requests_total, http_request_duration_seconds and
+// http_requests_in_flight come from the expressMetrics middleware below
 
+// Counter metrics
 const errorsTotal = new Counter('errors_total', 'Total number of errors', [
   'type',
   'route',
@@ -36,13 +39,6 @@ const memoryUsage = new Gauge('memory_usage_bytes', 'Memory usage in bytes', [
 const queueSize = new Gauge('queue_size', 'Current queue size', ['queue_name']);
 
 // Histogram metrics
-const httpRequestDuration = new Histogram(
-  'http_request_duration_seconds',
-  'HTTP request duration in seconds',
-  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
-  ['method', 'route']
-);
-
 const databaseQueryDuration = new Histogram(
   'database_query_duration_seconds',
   'Database query duration in seconds',
@@ -50,15 +46,6 @@ const databaseQueryDuration = new Histogram(
   ['operation', 'table']
 );
 
-// Register all metrics
-register.register('http_requests_total', httpRequestsTotal);
-register.register('errors_total', errorsTotal);
-register.register('active_connections', activeConnections);
-register.register('memory_usage_bytes', memoryUsage);
-register.register('queue_size', queueSize);
-register.register('http_request_duration_seconds', httpRequestDuration);
-register.register('database_query_duration_seconds', databaseQueryDuration);
-
 // =============================================================================
 // MIDDLEWARE & UTILITIES
 // =============================================================================
@@ -67,35 +54,33 @@ register.register('database_query_duration_seconds', databaseQueryDuration);
 let connectionCount = 0;
 const processingQueue = [];
 
+// Request count, duration and in-flight requests per method, route template
+// and status code
+app.use(
+  expressMetrics({
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    excludePaths: ['/metrics', '/health'],
+  })
+);
+
 app.use((req, res, next) => {
-  const start = Date.now();
   connectionCount++;
   activeConnections.set(connectionCount);
-
   res.on('finish', () => {
     connectionCount--;
     activeConnections.set(connectionCount);
-
-    // Record metrics
-    const duration = (Date.now() - start) / 1000;
-    const route = req.route?.path || req.path;
-
-    httpRequestsTotal.inc([req.method, route, res.statusCode.toString()]);
-
-    httpRequestDuration.observe([req.method, route], duration);
   });
   next();
 });
 
 // Simulate database operations
 const simulateDbQuery = async (operation, table, minMs = 10, maxMs = 200) => {
-  const start = Date.now();
   const delay = Math.random() * (maxMs - minMs) + minMs;
+  const end = databaseQueryDuration.startTimer({ operation, table });
 
   return new Promise(resolve => {
     setTimeout(() => {
-      const duration = (Date.now() - start) / 1000;
-      databaseQueryDuration.observe([operation, table], duration);
+      const duration = end();
       resolve({ duration, delay, operation, table });
     }, delay);
   });
@@ -278,10 +263,7 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(register.metrics());
-});
+app.get('/metrics', createMetricsHandler());
 
 // 404 handler
 app.use((req, res) => {
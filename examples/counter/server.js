@@ -1,5 +1,5 @@
 const express = require('express');
-const { Counter, register } = require('../../dist/index.js');
+const { Counter, createMetricsHandler } = require('../../dist/index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -11,9 +11,6 @@ const httpRequestsTotal = new Counter(
   ['method', 'route', 'status_code']
 );
 
-// Register the counter with the default registry
-register.register('http_requests_total', httpRequestsTotal);
-
 // Middleware to track all HTTP requests
 app.use((req, res, next) => {
   res.on('finish', () => {
@@ -49,10 +46,7 @@ app.get('/error', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(register.metrics());
-});
+app.get('/metrics', createMetricsHandler());
 
 app.listen(PORT, () => {
   console.log(`Counter example server running on http://localhost:${PORT}`);
@@ -1,5 +1,5 @@
 const express = require('express');
-const { Gauge, register } = require('../../dist/index.js');
+const { Gauge, createMetricsHandler } = require('../../dist/index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -16,11 +16,6 @@ const memoryUsage = new Gauge('memory_usage_bytes', 'Memory usage in bytes', [
 
 const cpuUsage = new Gauge('cpu_usage_percent', 'CPU usage percentage');
 
-// Register the gauges
-register.register('active_connections', activeConnections);
-register.register('memory_usage_bytes', memoryUsage);
-register.register('cpu_usage_percent', cpuUsage);
-
 // Track active connections
 let connectionCount = 0;
 
@@ -87,10 +82,7 @@ app.get('/stress', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(register.metrics());
-});
+app.get('/metrics', createMetricsHandler());
 
 // Status endpoint with current gauge values
 app.get('/status', (req, res) => {
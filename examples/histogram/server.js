@@ -1,5 +1,5 @@
 const express = require('express');
-const { Histogram, register } = require('../../dist/index.js');
+const { Histogram, createMetricsHandler } = require('../../dist/index.js');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -19,20 +19,16 @@ const databaseQueryDuration = new Histogram(
   ['operation', 'table']
 );
 
-// Register the histograms
-register.register('http_request_duration_seconds', httpRequestDuration);
-register.register('database_query_duration_seconds', databaseQueryDuration);
-
 // Middleware to measure HTTP request duration
 app.use((req, res, next) => {
-  const start = Date.now();
+  const end = httpRequestDuration.startTimer({ method: req.method });
 
   res.on('finish', () => {
-    const duration = (Date.now() - start) / 1000; // Convert to seconds
-    httpRequestDuration.observe(
-      [req.method, req.route?.path || req.path, res.statusCode.toString()],
-      duration
-    );
+    // route and status are only known once the response is done
+    end({
+      route: req.route?.path || req.path,
+      status_code: res.statusCode.toString(),
+    });
   });
 
   next();
@@ -40,14 +36,13 @@ app.use((req, res, next) => {
 
 // Simulate database operations
 const simulateDbQuery = async (operation, table, minMs = 10, maxMs = 500) => {
-  const start = Date.now();
   const delay = Math.random() * (maxMs - minMs) + minMs;
+  const end = databaseQueryDuration.startTimer({ operation, table });
 
   return new Promise(resolve => {
     setTimeout(() => {
-      const duration = (Date.now() - start) / 1000;
-      databaseQueryDuration.observe([operation, table], duration);
-      resolve({ duration, delay });
+      // end() observes the elapsed seconds and returns them
+      resolve({ duration: end(), delay });
     }, delay);
   });
 };
@@ -116,10 +111,7 @@ app.get('/variable/:delay', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(register.metrics());
-});
+app.get('/metrics', createMetricsHandler());
 
 // Stats endpoint showing histogram statistics
 app.get('/stats', (req, res) => {
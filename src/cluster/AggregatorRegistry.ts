@@ -0,0 +1,252 @@
+import cluster from 'node:cluster';
+import { clearTimeout, setTimeout } from 'node:timers';
+import { MessageChannel, MessagePort } from 'node:worker_threads';
+import { MetricFamily } from '../format/types.js';
+import {
+  MetricsOptions,
+  Registry,
+  RegistryOptions,
+} from '../registry/Registry.js';
+import {
+  aggregateFamilies,
+  GAUGE_AGGREGATIONS,
+  GaugeAggregation,
+  WorkerFamilies,
+} from './aggregate.js';
+import {
+  decodeFamilies,
+  isMessage,
+  METRICS_CONNECT,
+  METRICS_REQUEST,
+  METRICS_RESPONSE,
+  MetricsRequest,
+  MetricsResponse,
+} from './protocol.js';
+
+/**
+ * The parts of a `cluster` worker the aggregator talks to
+ */
+export interface ClusterWorker {
+  id: number;
+  isConnected(): boolean;
+  // eslint-disable-next-line no-unused-vars
+  send(message: MetricsRequest): unknown;
+  // eslint-disable-next-line no-unused-vars
+  on(event: 'message', listener: (message: unknown) => void): unknown;
+  // eslint-disable-next-line no-unused-vars
+  off(event: 'message', listener: (message: unknown) => void): unknown;
+}
+
+/**
+ * The parts of a `worker_threads` Worker the aggregator talks to
+ */
+export interface ThreadWorker {
+  threadId: number;
+  // eslint-disable-next-line no-unused-vars
+  postMessage(message: unknown, transferList: MessagePort[]): void;
+  // eslint-disable-next-line no-unused-vars
+  once(event: 'exit', listener: () => void): unknown;
+}
+
+export interface AggregatorRegistryOptions extends RegistryOptions {
+  /** How gauges are combined across workers (default `sum`) */
+  gaugeAggregation?: GaugeAggregation;
+  /** Aggregation per gauge name, overriding `gaugeAggregation` */
+  gaugeAggregations?: Record<string, GaugeAggregation>;
+  /** How long to wait for each worker's answer, in milliseconds (default 5000) */
+  workerTimeout?: number;
+  /**
+   * Cluster workers to ask for metrics (default: every connected worker in
+   * `cluster.workers`)
+   */
+  getClusterWorkers?: () => ClusterWorker[];
+}
+
+/**
+ * Registry for the primary process of a cluster (or the main thread of a
+ * worker_threads pool) that serves the combined metrics of all workers. At
+ * every scrape it asks each worker for its metrics, which the workers
+ * answer after calling `exposeWorkerMetrics()`, and merges them per family.
+ * Metrics registered on the aggregator itself are included as worker
+ * `primary`.
+ */
+export class AggregatorRegistry extends Registry {
+  private gaugeAggregation: GaugeAggregation;
+  private gaugeAggregations: Record<string, GaugeAggregation>;
+  private workerTimeout: number;
+  private getClusterWorkers: () => ClusterWorker[];
+  private threads: Map<ThreadWorker, MessagePort> = new Map();
+  private nextRequestId = 0;
+
+  constructor(options: AggregatorRegistryOptions = {}) {
+    super(options);
+    const gaugeAggregations = { ...options.gaugeAggregations };
+    for (const aggregation of [
+      options.gaugeAggregation ?? 'sum',
+      ...Object.values(gaugeAggregations),
+    ]) {
+      if (!GAUGE_AGGREGATIONS.includes(aggregation)) {
+        throw new Error(
+          `Unknown gauge aggregation "${aggregation}", expected one of: ${GAUGE_AGGREGATIONS.join(', ')}`
+        );
+      }
+    }
+    const workerTimeout = options.workerTimeout ?? 5000;
+    if (!Number.isFinite(workerTimeout) || workerTimeout <= 0) {
+      throw new Error(
+        `workerTimeout must be a positive number, got ${workerTimeout}`
+      );
+    }
+
+    this.gaugeAggregation = options.gaugeAggregation ?? 'sum';
+    this.gaugeAggregations = gaugeAggregations;
+    this.workerTimeout = workerTimeout;
+    this.getClusterWorkers =
+      options.getClusterWorkers ??
+      ((): ClusterWorker[] =>
+        Object.values(cluster.workers ?? {}).filter(
+          (worker): worker is NonNullable<typeof worker> =>
+            worker !== undefined && worker.isConnected()
+        ));
+  }
+
+  /**
+   * Include a worker thread in the aggregation. The thread is dropped again
+   * when it exits.
+   */
+  addWorker(worker: ThreadWorker): void {
+    if (this.threads.has(worker)) {
+      return;
+    }
+    const { port1, port2 } = new MessageChannel();
+    port1.unref();
+    worker.postMessage({ type: METRICS_CONNECT, port: port2 }, [port2]);
+    this.threads.set(worker, port1);
+    worker.once('exit', () => this.removeWorker(worker));
+  }
+
+  /**
+   * Stop including a worker thread in the aggregation
+   */
+  removeWorker(worker: ThreadWorker): void {
+    this.threads.get(worker)?.close();
+    this.threads.delete(worker);
+  }
+
+  /**
+   * Not supported, workers can only be asked asynchronously
+   * @throws {Error} Always, use `metricsAsync()`
+   */
+  protected override gatherSync(): MetricFamily[] {
+    throw new Error(
+      'AggregatorRegistry collects from workers asynchronously, use metricsAsync()'
+    );
+  }
+
+  /**
+   * Collect the metrics of every worker and merge them per family. Collect
+   * callbacks that fail in a worker, and workers that do not answer within
+   * `workerTimeout`, are reported to `onCollectError`; the scrape contains
+   * the workers that answered.
+   * @param options - See `Registry.metrics()`, `names` is applied in the
+   * workers too
+   * @throws {Error} When workers disagree on a metric's type or buckets
+   */
+  protected override async gather(
+    options: MetricsOptions
+  ): Promise<MetricFamily[]> {
+    const onCollectError = options.onCollectError ?? this.onCollectError;
+    const request = (id: number): MetricsRequest => ({
+      type: METRICS_REQUEST,
+      id,
+      names: this.unprefixNames(options.names),
+    });
+
+    const answers = await Promise.allSettled([
+      ...this.getClusterWorkers().map(worker =>
+        this.ask(
+          String(worker.id),
+          id => worker.send(request(id)),
+          listener => {
+            worker.on('message', listener);
+            return (): void => {
+              worker.off('message', listener);
+            };
+          }
+        )
+      ),
+      ...Array.from(this.threads, ([worker, port]) =>
+        this.ask(
+          String(worker.threadId),
+          id => port.postMessage(request(id)),
+          listener => {
+            port.on('message', listener);
+            return (): void => {
+              port.off('message', listener);
+            };
+          }
+        )
+      ),
+    ]);
+
+    const sources: WorkerFamilies[] = [];
+    const local = await super.gather(options);
+    if (local.length > 0) {
+      sources.push({ worker: 'primary', families: local });
+    }
+    for (const answer of answers) {
+      // a worker that does not answer is left out, like a failing collector
+      if (answer.status === 'rejected') {
+        const err = answer.reason;
+        onCollectError(err instanceof Error ? err : new Error(String(err)), '');
+        continue;
+      }
+      const { worker, response } = answer.value;
+      for (const { name, message } of response.errors) {
+        onCollectError(new Error(`Worker ${worker}: ${message}`), name);
+      }
+      sources.push({ worker, families: decodeFamilies(response.families) });
+    }
+    return aggregateFamilies(sources, {
+      gaugeAggregation: this.gaugeAggregation,
+      gaugeAggregations: this.gaugeAggregations,
+    });
+  }
+
+  private ask(
+    worker: string,
+    // eslint-disable-next-line no-unused-vars
+    send: (id: number) => void,
+    // eslint-disable-next-line no-unused-vars
+    listen: (listener: (message: unknown) => void) => () => void
+  ): Promise<{ worker: string; response: MetricsResponse }> {
+    const id = ++this.nextRequestId;
+    return new Promise((resolve, reject) => {
+      const stop = listen(message => {
+        if (
+          isMessage<MetricsResponse>(message, METRICS_RESPONSE) &&
+          message.id === id
+        ) {
+          clearTimeout(timer);
+          stop();
+          resolve({ worker, response: message });
+        }
+      });
+      const timer = setTimeout(() => {
+        stop();
+        reject(
+          new Error(
+            `Worker ${worker} did not answer within ${this.workerTimeout}ms`
+          )
+        );
+      }, this.workerTimeout);
+      try {
+        send(id);
+      } catch (err) {
+        clearTimeout(timer);
+        stop();
+        reject(err);
+      }
+    });
+  }
+}
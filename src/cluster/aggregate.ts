@@ -0,0 +1,265 @@
+import {
+  CounterSeries,
+  Exemplar,
+  GaugeSeries,
+  HistogramSeries,
+  Labels,
+  MetricFamily,
+  NativeHistogram,
+  SummarySeries,
+} from '../format/types.js';
+import { mergeNativeHistograms } from '../utils/nativeHistogram.js';
+
+/**
+ * How gauges from several workers are combined. `per-worker` keeps every
+ * worker's series apart, with a `worker` label.
+ */
+export type GaugeAggregation = 'sum' | 'min' | 'max' | 'average' | 'per-worker';
+
+export const GAUGE_AGGREGATIONS: GaugeAggregation[] = [
+  'sum',
+  'min',
+  'max',
+  'average',
+  'per-worker',
+];
+
+/**
+ * The metric families of one worker
+ */
+export interface WorkerFamilies {
+  /** Worker id, used as the `worker` label value */
+  worker: string;
+  families: MetricFamily[];
+}
+
+export interface AggregateOptions {
+  /** Aggregation for gauges without an entry in `gaugeAggregations` */
+  gaugeAggregation: GaugeAggregation;
+  /** Aggregation per gauge name */
+  gaugeAggregations: Record<string, GaugeAggregation>;
+}
+
+interface WorkerSeries<S> {
+  worker: string;
+  series: S;
+}
+
+/**
+ * Merge the metric families of several workers into one set of families.
+ * Counters and histograms are summed (histograms bucket by bucket), gauges
+ * follow the configured aggregation and summaries, whose quantiles cannot
+ * be combined, are kept per worker.
+ * Native histogram buckets are merged at the lowest resolution among the
+ * workers.
+ * @throws {Error} When workers disagree on a metric's type or buckets
+ */
+export function aggregateFamilies(
+  sources: WorkerFamilies[],
+  options: AggregateOptions
+): MetricFamily[] {
+  const byName = new Map<string, WorkerSeries<MetricFamily>[]>();
+  for (const { worker, families } of sources) {
+    for (const family of families) {
+      const entries = byName.get(family.name) ?? [];
+      entries.push({ worker, series: family });
+      byName.set(family.name, entries);
+    }
+  }
+  return Array.from(byName, ([name, entries]) =>
+    mergeFamily(name, entries, options)
+  );
+}
+
+function mergeFamily(
+  name: string,
+  entries: WorkerSeries<MetricFamily>[],
+  options: AggregateOptions
+): MetricFamily {
+  const first = entries[0].series;
+  for (const { series: family } of entries) {
+    if (family.type !== first.type) {
+      throw new Error(
+        `Metric "${name}" is a ${first.type} on one worker and a ${family.type} on another`
+      );
+    }
+  }
+  const base = {
+    name,
+    help: first.help,
+    unit: first.unit,
+    labelNames: first.labelNames,
+  };
+  // summaries and per-worker gauges gain a worker label
+  const perWorker = {
+    ...base,
+    labelNames: first.labelNames && [...first.labelNames, 'worker'],
+  };
+  const flatten = <S>(): WorkerSeries<S>[] =>
+    entries.flatMap(({ worker, series: family }) =>
+      (family.series as S[]).map(series => ({ worker, series }))
+    );
+
+  switch (first.type) {
+    case 'counter':
+      return {
+        ...base,
+        type: 'counter',
+        series: groupByLabels(flatten<CounterSeries>()).map(mergeCounter),
+      };
+    case 'histogram':
+      return {
+        ...base,
+        type: 'histogram',
+        series: groupByLabels(flatten<HistogramSeries>()).map(group =>
+          mergeHistogram(name, group)
+        ),
+      };
+    case 'summary':
+      return {
+        ...perWorker,
+        type: 'summary',
+        series: flatten<SummarySeries>().map(entry =>
+          withWorkerLabel(name, entry)
+        ),
+      };
+    case 'gauge': {
+      const aggregation =
+        options.gaugeAggregations[name] ?? options.gaugeAggregation;
+      if (aggregation === 'per-worker') {
+        return {
+          ...perWorker,
+          type: 'gauge',
+          series: flatten<GaugeSeries>().map(entry =>
+            withWorkerLabel(name, entry)
+          ),
+        };
+      }
+      return {
+        ...base,
+        type: 'gauge',
+        series: groupByLabels(flatten<GaugeSeries>()).map(group =>
+          mergeGauge(group, aggregation)
+        ),
+      };
+    }
+  }
+}
+
+// groups series with the same labels, in the order they were first seen
+function groupByLabels<S extends { labels: Labels }>(
+  entries: WorkerSeries<S>[]
+): S[][] {
+  const groups = new Map<string, S[]>();
+  for (const { series } of entries) {
+    const key = JSON.stringify(
+      Object.entries(series.labels).sort(([a], [b]) => (a < b ? -1 : 1))
+    );
+    const group = groups.get(key) ?? [];
+    group.push(series);
+    groups.set(key, group);
+  }
+  return Array.from(groups.values());
+}
+
+function withWorkerLabel<S extends { labels: Labels }>(
+  name: string,
+  { worker, series }: WorkerSeries<S>
+): S {
+  if ('worker' in series.labels) {
+    throw new Error(
+      `Metric "${name}" already has a "worker" label, it cannot be kept per worker`
+    );
+  }
+  return { ...series, labels: { ...series.labels, worker } };
+}
+
+function latest(a?: Exemplar, b?: Exemplar): Exemplar | undefined {
+  if (!a || !b) {
+    return a ?? b;
+  }
+  return b.timestamp > a.timestamp ? b : a;
+}
+
+function mergeCounter(group: CounterSeries[]): CounterSeries {
+  const merged: CounterSeries = { ...group[0] };
+  for (const series of group.slice(1)) {
+    merged.value += series.value;
+    merged.created = Math.min(merged.created, series.created);
+    merged.exemplar = latest(merged.exemplar, series.exemplar);
+  }
+  if (!merged.exemplar) {
+    delete merged.exemplar;
+  }
+  return merged;
+}
+
+function mergeHistogram(
+  name: string,
+  group: HistogramSeries[]
+): HistogramSeries {
+  const [first] = group;
+  const merged: HistogramSeries = {
+    ...first,
+    buckets: first.buckets.map(bucket => ({ ...bucket })),
+  };
+  for (const series of group.slice(1)) {
+    if (
+      series.buckets.length !== merged.buckets.length ||
+      series.buckets.some((bucket, i) => bucket.le !== merged.buckets[i].le)
+    ) {
+      throw new Error(
+        `Metric "${name}" has different buckets on different workers`
+      );
+    }
+    series.buckets.forEach((bucket, i) => {
+      const target = merged.buckets[i];
+      target.count += bucket.count;
+      const exemplar = latest(target.exemplar, bucket.exemplar);
+      if (exemplar) {
+        target.exemplar = exemplar;
+      }
+    });
+    merged.sum += series.sum;
+    merged.count += series.count;
+    merged.created = Math.min(merged.created, series.created);
+  }
+  const native = group.map(series => series.native);
+  if (native.some(histogram => histogram === undefined)) {
+    if (native.some(histogram => histogram !== undefined)) {
+      throw new Error(
+        `Metric "${name}" has native buckets on some workers only`
+      );
+    }
+  } else {
+    try {
+      merged.native = mergeNativeHistograms(native as NativeHistogram[]);
+    } catch (err) {
+      throw new Error(`Metric "${name}": ${(err as Error).message}`);
+    }
+  }
+  return merged;
+}
+
+function mergeGauge(
+  group: GaugeSeries[],
+  aggregation: Exclude<GaugeAggregation, 'per-worker'>
+): GaugeSeries {
+  const values = group.map(series => series.value);
+  let value: number;
+  switch (aggregation) {
+    case 'sum':
+      value = values.reduce((a, b) => a + b, 0);
+      break;
+    case 'min':
+      value = Math.min(...values);
+      break;
+    case 'max':
+      value = Math.max(...values);
+      break;
+    case 'average':
+      value = values.reduce((a, b) => a + b, 0) / values.length;
+      break;
+  }
+  return { labels: group[0].labels, value };
+}
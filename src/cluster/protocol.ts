@@ -0,0 +1,66 @@
+import { MetricFamily } from '../format/types.js';
+
+/** Sent by the primary to ask a worker for its metrics */
+export const METRICS_REQUEST = 'promlite:metrics-request';
+/** Sent by a worker with its metrics */
+export const METRICS_RESPONSE = 'promlite:metrics-response';
+/** Hands a worker thread the MessagePort to answer requests on */
+export const METRICS_CONNECT = 'promlite:metrics-connect';
+
+export interface MetricsRequest {
+  type: typeof METRICS_REQUEST;
+  id: number;
+  /** Only send the metrics with these names */
+  names?: string[];
+}
+
+export interface MetricsResponse {
+  type: typeof METRICS_RESPONSE;
+  id: number;
+  /** Families encoded with `encodeFamilies()` */
+  families: string;
+  /** Collect callbacks that failed in the worker */
+  errors: { name: string; message: string }[];
+}
+
+/**
+ * Check the `type` of a message received over IPC
+ */
+export function isMessage<T extends { type: string }>(
+  message: unknown,
+  type: T['type']
+): message is T {
+  return (
+    typeof message === 'object' &&
+    message !== null &&
+    (message as { type?: unknown }).type === type
+  );
+}
+
+/**
+ * Serialize metric families for IPC. Cluster IPC uses JSON, which has no
+ * NaN or Infinity (every histogram's last bucket), so non-finite numbers are
+ * wrapped as `{ "$num": "Infinity" }`. Label objects can't collide with that
+ * shape, `$num` is not a valid label name.
+ */
+export function encodeFamilies(families: MetricFamily[]): string {
+  return JSON.stringify(families, (_key, value) =>
+    typeof value === 'number' && !Number.isFinite(value)
+      ? { $num: String(value) }
+      : value
+  );
+}
+
+/**
+ * Reverse `encodeFamilies()`
+ */
+export function decodeFamilies(encoded: string): MetricFamily[] {
+  return JSON.parse(encoded, (_key, value) =>
+    typeof value === 'object' &&
+    value !== null &&
+    typeof value.$num === 'string' &&
+    Object.keys(value).length === 1
+      ? Number(value.$num)
+      : value
+  );
+}
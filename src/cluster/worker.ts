@@ -0,0 +1,121 @@
+import cluster from 'node:cluster';
+import process from 'node:process';
+import { isMainThread, MessagePort, parentPort } from 'node:worker_threads';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import {
+  encodeFamilies,
+  isMessage,
+  METRICS_CONNECT,
+  METRICS_REQUEST,
+  METRICS_RESPONSE,
+  MetricsRequest,
+  MetricsResponse,
+} from './protocol.js';
+
+/**
+ * The parts of `process` a cluster worker answers requests on
+ */
+export interface ProcessChannel {
+  // eslint-disable-next-line no-unused-vars
+  on(event: 'message', listener: (message: unknown) => void): unknown;
+  // eslint-disable-next-line no-unused-vars
+  off(event: 'message', listener: (message: unknown) => void): unknown;
+  // eslint-disable-next-line no-unused-vars
+  send?(message: unknown): unknown;
+}
+
+export interface WorkerMetricsOptions {
+  /** Registry to expose (default: the global `register`) */
+  registry?: Registry;
+  /**
+   * Channel requests arrive on. Detected when omitted: `process` in cluster
+   * workers, `parentPort` in worker threads.
+   */
+  channel?: ProcessChannel | MessagePort;
+}
+
+interface ConnectMessage {
+  type: typeof METRICS_CONNECT;
+  port: MessagePort;
+}
+
+/**
+ * Answer metrics requests from an `AggregatorRegistry` in the primary
+ * process (cluster) or main thread (worker_threads). Call it once in every
+ * worker, next to where its metrics are registered.
+ * @returns A function that stops answering
+ * @throws {Error} When called outside of a worker and without a channel
+ */
+export function exposeWorkerMetrics(
+  options: WorkerMetricsOptions = {}
+): () => void {
+  const registry = options.registry ?? globalRegister;
+  const channel =
+    options.channel ??
+    (cluster.isWorker ? process : isMainThread ? null : parentPort);
+  if (!channel) {
+    throw new Error(
+      'exposeWorkerMetrics must be called in a cluster worker or a worker thread'
+    );
+  }
+
+  if ('postMessage' in channel) {
+    // worker thread: the main thread sends a dedicated port to answer on,
+    // so our messages never mix with the application's own
+    const ports: MessagePort[] = [];
+    const onConnect = (message: unknown): void => {
+      if (!isMessage<ConnectMessage>(message, METRICS_CONNECT)) {
+        return;
+      }
+      const { port } = message;
+      port.on('message', request =>
+        respond(registry, request, response => port.postMessage(response))
+      );
+      // don't keep the thread alive just to answer scrapes
+      port.unref();
+      ports.push(port);
+    };
+    channel.on('message', onConnect);
+    return () => {
+      channel.off('message', onConnect);
+      for (const port of ports) {
+        port.close();
+      }
+    };
+  }
+
+  const onRequest = (message: unknown): void =>
+    respond(registry, message, response => channel.send?.(response));
+  channel.on('message', onRequest);
+  return () => {
+    channel.off('message', onRequest);
+  };
+}
+
+function respond(
+  registry: Registry,
+  message: unknown,
+  // eslint-disable-next-line no-unused-vars
+  reply: (response: MetricsResponse) => void
+): void {
+  if (!isMessage<MetricsRequest>(message, METRICS_REQUEST)) {
+    return;
+  }
+  const errors: MetricsResponse['errors'] = [];
+  registry
+    .getFamilies({
+      names: message.names,
+      onCollectError: (error, name) =>
+        errors.push({ name, message: error.message }),
+    })
+    .then(families => encodeFamilies(families))
+    .catch(err => {
+      errors.push({ name: '', message: String(err?.message ?? err) });
+      return '[]';
+    })
+    .then(families =>
+      reply({ type: METRICS_RESPONSE, id: message.id, families, errors })
+    )
+    // e.g. the channel closed, the primary reports the missing answer
+    .catch(err => process.emitWarning(err as Error));
+}
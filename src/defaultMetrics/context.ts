@@ -0,0 +1,89 @@
+import { Labels } from '../format/types.js';
+import { Counter } from '../metrics/Counter.js';
+import { Gauge } from '../metrics/Gauge.js';
+import { Histogram } from '../metrics/Histogram.js';
+import { CollectFunction } from '../metrics/types.js';
+import { Registry } from '../registry/Registry.js';
+
+/**
+ * Shared settings for the default metric collectors
+ */
+export interface CollectorContext {
+  register: Registry;
+  prefix: string;
+  labels: Labels;
+}
+
+/**
+ * A group of default metrics. Values are refreshed by `collect` callbacks at
+ * scrape time; metrics read from the same source share one callback that
+ * refreshes them all, so a scrape of any one of them is current. `stop`
+ * releases anything the group holds on to (observers, monitors).
+ */
+export interface Collector {
+  stop?(): void;
+}
+
+/**
+ * Create a gauge carrying the context's prefix and static labels, and
+ * register it
+ */
+export function createGauge(
+  ctx: CollectorContext,
+  name: string,
+  help: string,
+  labels: string[] = [],
+  collect?: CollectFunction<Gauge>
+): Gauge {
+  const gauge = new Gauge(
+    ctx.prefix + name,
+    help,
+    [...Object.keys(ctx.labels), ...labels],
+    { labelDefaults: ctx.labels, collect, registers: [ctx.register] }
+  );
+  return gauge;
+}
+
+/**
+ * Create a counter carrying the context's prefix and static labels, and
+ * register it
+ */
+export function createCounter(
+  ctx: CollectorContext,
+  name: string,
+  help: string,
+  collect?: CollectFunction<Counter>
+): Counter {
+  const counter = new Counter(
+    ctx.prefix + name,
+    help,
+    Object.keys(ctx.labels),
+    {
+      labelDefaults: ctx.labels,
+      collect,
+      registers: [ctx.register],
+    }
+  );
+  return counter;
+}
+
+/**
+ * Create a histogram carrying the context's prefix and static labels, and
+ * register it
+ */
+export function createHistogram(
+  ctx: CollectorContext,
+  name: string,
+  help: string,
+  buckets: number[],
+  labels: string[] = []
+): Histogram {
+  const histogram = new Histogram(
+    ctx.prefix + name,
+    help,
+    buckets,
+    [...Object.keys(ctx.labels), ...labels],
+    { labelDefaults: ctx.labels, registers: [ctx.register] }
+  );
+  return histogram;
+}
@@ -0,0 +1,72 @@
+import { Labels } from '../format/types.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { Collector, CollectorContext } from './context.js';
+import { activeHandles, eventLoopLag, gc, heap, version } from './nodejs.js';
+import {
+  processCpu,
+  processFds,
+  processMemory,
+  processStartTime,
+} from './process.js';
+
+export interface DefaultMetricsOptions {
+  /** Registry to register the metrics with (default: the global `register`) */
+  register?: Registry;
+  /** Prefix for every metric name, e.g. `myapp_` */
+  prefix?: string;
+  /** Static labels added to every series, e.g. `{ service: 'api' }` */
+  labels?: Labels;
+  /** Sampling rate of the event loop delay monitor, in milliseconds (default 10) */
+  eventLoopMonitoringPrecision?: number;
+  /** Buckets for nodejs_gc_duration_seconds, in seconds */
+  gcDurationBuckets?: number[];
+}
+
+/**
+ * Register the standard process and Node.js runtime metrics, named the way
+ * other Prometheus clients name them. Values are read when the registry is
+ * scraped, through `collect` callbacks.
+ * @returns A function that releases the event loop monitor and GC observer
+ * @throws {Error} When one of the metrics is already registered
+ */
+export function collectDefaultMetrics(
+  options: DefaultMetricsOptions = {}
+): () => void {
+  const ctx: CollectorContext = {
+    register: options.register ?? globalRegister,
+    prefix: options.prefix ?? '',
+    labels: { ...options.labels },
+  };
+
+  const factories = [
+    processCpu,
+    processStartTime,
+    processMemory,
+    processFds,
+    (c: CollectorContext): Collector =>
+      eventLoopLag(c, options.eventLoopMonitoringPrecision ?? 10),
+    activeHandles,
+    heap,
+    (c: CollectorContext): Collector =>
+      gc(c, options.gcDurationBuckets ?? [0.001, 0.01, 0.1, 1, 2, 5]),
+    version,
+  ];
+  const collectors: Collector[] = [];
+  try {
+    for (const factory of factories) {
+      collectors.push(factory(ctx));
+    }
+  } catch (err) {
+    // don't leave monitors running for a half-registered set
+    for (const collector of collectors) {
+      collector.stop?.();
+    }
+    throw err;
+  }
+
+  return () => {
+    for (const collector of collectors) {
+      collector.stop?.();
+    }
+  };
+}
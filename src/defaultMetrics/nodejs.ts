@@ -0,0 +1,269 @@
+import {
+  constants,
+  monitorEventLoopDelay,
+  PerformanceObserver,
+} from 'node:perf_hooks';
+import process from 'node:process';
+import { setImmediate } from 'node:timers';
+import { getHeapSpaceStatistics, getHeapStatistics } from 'node:v8';
+import {
+  Collector,
+  CollectorContext,
+  createGauge,
+  createHistogram,
+} from './context.js';
+
+/**
+ * nodejs_eventloop_lag_seconds, measured with setImmediate, and the
+ * distribution of event loop delays from perf_hooks.monitorEventLoopDelay
+ */
+export function eventLoopLag(
+  ctx: CollectorContext,
+  resolution: number
+): Collector {
+  const histogram = monitorEventLoopDelay({ resolution });
+  histogram.enable();
+
+  createGauge(
+    ctx,
+    'nodejs_eventloop_lag_seconds',
+    'Lag of event loop in seconds.',
+    [],
+    async lag => {
+      const start = process.hrtime.bigint();
+      await new Promise(resolve => setImmediate(resolve));
+      lag.set({}, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  );
+  // reading resets the histogram, so the other gauges of the same scrape
+  // find it empty and keep the values just read
+  const refresh = (): void => {
+    // nothing recorded yet, min would be the int64 maximum
+    if (histogram.max === 0) {
+      return;
+    }
+    stats.min.set({}, histogram.min / 1e9);
+    stats.max.set({}, histogram.max / 1e9);
+    stats.mean.set({}, histogram.mean / 1e9);
+    stats.stddev.set({}, histogram.stddev / 1e9);
+    for (const { p, gauge } of percentiles) {
+      gauge.set({}, histogram.percentile(p) / 1e9);
+    }
+    histogram.reset();
+  };
+  const stats = {
+    min: createGauge(
+      ctx,
+      'nodejs_eventloop_lag_min_seconds',
+      'The minimum recorded event loop delay.',
+      [],
+      refresh
+    ),
+    max: createGauge(
+      ctx,
+      'nodejs_eventloop_lag_max_seconds',
+      'The maximum recorded event loop delay.',
+      [],
+      refresh
+    ),
+    mean: createGauge(
+      ctx,
+      'nodejs_eventloop_lag_mean_seconds',
+      'The mean of the recorded event loop delays.',
+      [],
+      refresh
+    ),
+    stddev: createGauge(
+      ctx,
+      'nodejs_eventloop_lag_stddev_seconds',
+      'The standard deviation of the recorded event loop delays.',
+      [],
+      refresh
+    ),
+  };
+  const percentiles = [50, 90, 99].map(p => ({
+    p,
+    gauge: createGauge(
+      ctx,
+      `nodejs_eventloop_lag_p${p}_seconds`,
+      `The ${p}th percentile of the recorded event loop delays.`,
+      [],
+      refresh
+    ),
+  }));
+
+  return {
+    stop(): void {
+      histogram.disable();
+    },
+  };
+}
+
+interface ActiveResources {
+  _getActiveHandles?: () => object[];
+  _getActiveRequests?: () => object[];
+}
+
+/**
+ * nodejs_active_handles by type, plus totals of active handles and requests
+ */
+export function activeHandles(ctx: CollectorContext): Collector {
+  const internals = process as unknown as ActiveResources;
+  const getHandles = internals._getActiveHandles;
+  const getRequests = internals._getActiveRequests;
+  if (typeof getHandles !== 'function' || typeof getRequests !== 'function') {
+    return {};
+  }
+
+  const refresh = (): void => {
+    const handles = getHandles.call(process);
+    const counts = new Map<string, number>();
+    for (const handle of handles) {
+      const type = handle.constructor?.name ?? 'unknown';
+      counts.set(type, (counts.get(type) || 0) + 1);
+    }
+    byType.reset();
+    for (const [type, count] of counts) {
+      byType.set({ type }, count);
+    }
+    handlesTotal.set({}, handles.length);
+    requestsTotal.set({}, getRequests.call(process).length);
+  };
+  const byType = createGauge(
+    ctx,
+    'nodejs_active_handles',
+    'Number of active libuv handles grouped by handle type. Every handle type is C++ class name.',
+    ['type'],
+    refresh
+  );
+  const handlesTotal = createGauge(
+    ctx,
+    'nodejs_active_handles_total',
+    'Total number of active handles.',
+    [],
+    refresh
+  );
+  const requestsTotal = createGauge(
+    ctx,
+    'nodejs_active_requests_total',
+    'Total number of active requests.',
+    [],
+    refresh
+  );
+
+  return {};
+}
+
+/**
+ * nodejs_heap_size_{total,used}_bytes, nodejs_external_memory_bytes and the
+ * per-space nodejs_heap_space_size_*_bytes
+ */
+export function heap(ctx: CollectorContext): Collector {
+  const refresh = (): void => {
+    const stats = getHeapStatistics();
+    total.set({}, stats.total_heap_size);
+    used.set({}, stats.used_heap_size);
+    external.set({}, process.memoryUsage().external);
+
+    for (const space of getHeapSpaceStatistics()) {
+      const name = space.space_name.replace(/_space$/, '');
+      spaceTotal.set({ space: name }, space.space_size);
+      spaceUsed.set({ space: name }, space.space_used_size);
+      spaceAvailable.set({ space: name }, space.space_available_size);
+    }
+  };
+  const total = createGauge(
+    ctx,
+    'nodejs_heap_size_total_bytes',
+    'Process heap size from Node.js in bytes.',
+    [],
+    refresh
+  );
+  const used = createGauge(
+    ctx,
+    'nodejs_heap_size_used_bytes',
+    'Process heap size used from Node.js in bytes.',
+    [],
+    refresh
+  );
+  const external = createGauge(
+    ctx,
+    'nodejs_external_memory_bytes',
+    'Node.js external memory size in bytes.',
+    [],
+    refresh
+  );
+  const spaceTotal = createGauge(
+    ctx,
+    'nodejs_heap_space_size_total_bytes',
+    'Process heap space size total from Node.js in bytes.',
+    ['space'],
+    refresh
+  );
+  const spaceUsed = createGauge(
+    ctx,
+    'nodejs_heap_space_size_used_bytes',
+    'Process heap space size used from Node.js in bytes.',
+    ['space'],
+    refresh
+  );
+  const spaceAvailable = createGauge(
+    ctx,
+    'nodejs_heap_space_size_available_bytes',
+    'Process heap space size available from Node.js in bytes.',
+    ['space'],
+    refresh
+  );
+
+  return {};
+}
+
+const GC_KINDS: Record<number, string> = {
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb',
+};
+
+/**
+ * nodejs_gc_duration_seconds, a histogram of GC pauses by kind
+ */
+export function gc(ctx: CollectorContext, buckets: number[]): Collector {
+  const duration = createHistogram(
+    ctx,
+    'nodejs_gc_duration_seconds',
+    'Garbage collection duration by kind, one of major, minor, incremental or weakcb.',
+    buckets,
+    ['kind']
+  );
+
+  const observer = new PerformanceObserver(list => {
+    for (const entry of list.getEntries()) {
+      const { detail } = entry as { detail?: { kind?: number } };
+      const kind = GC_KINDS[detail?.kind ?? -1] ?? 'unknown';
+      duration.observe({ kind }, entry.duration / 1000);
+    }
+  });
+  observer.observe({ entryTypes: ['gc'] });
+
+  return {
+    stop(): void {
+      observer.disconnect();
+    },
+  };
+}
+
+/**
+ * nodejs_version_info, a constant 1 labelled with the Node.js version
+ */
+export function version(ctx: CollectorContext): Collector {
+  const info = createGauge(
+    ctx,
+    'nodejs_version_info',
+    'Node.js version info.',
+    ['version', 'major', 'minor', 'patch']
+  );
+  const [major, minor, patch] = process.versions.node.split('.');
+  info.set({ version: process.version, major, minor, patch }, 1);
+  return {};
+}
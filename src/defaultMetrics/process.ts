@@ -0,0 +1,159 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import process from 'node:process';
+import {
+  Collector,
+  CollectorContext,
+  createCounter,
+  createGauge,
+} from './context.js';
+
+/**
+ * process_cpu_{user,system}_seconds_total and their sum
+ */
+export function processCpu(ctx: CollectorContext): Collector {
+  let last = { user: 0, system: 0 };
+  const refresh = (): void => {
+    const usage = process.cpuUsage();
+    const userDelta = (usage.user - last.user) / 1e6;
+    const systemDelta = (usage.system - last.system) / 1e6;
+    last = usage;
+    user.inc({}, userDelta);
+    system.inc({}, systemDelta);
+    total.inc({}, userDelta + systemDelta);
+  };
+  const user = createCounter(
+    ctx,
+    'process_cpu_user_seconds_total',
+    'Total user CPU time spent in seconds.',
+    refresh
+  );
+  const system = createCounter(
+    ctx,
+    'process_cpu_system_seconds_total',
+    'Total system CPU time spent in seconds.',
+    refresh
+  );
+  const total = createCounter(
+    ctx,
+    'process_cpu_seconds_total',
+    'Total user and system CPU time spent in seconds.',
+    refresh
+  );
+  return {};
+}
+
+/**
+ * process_start_time_seconds, set once
+ */
+export function processStartTime(ctx: CollectorContext): Collector {
+  const startTime = createGauge(
+    ctx,
+    'process_start_time_seconds',
+    'Start time of the process since unix epoch in seconds.'
+  );
+  startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+  return {};
+}
+
+// reads a "Key:   1234 kB" line from /proc/self/status
+function readStatusBytes(status: string, key: string): number | undefined {
+  const match = status.match(new RegExp(`^${key}:\\s*(\\d+) kB`, 'm'));
+  return match ? Number(match[1]) * 1024 : undefined;
+}
+
+/**
+ * process_resident_memory_bytes, plus process_virtual_memory_bytes and
+ * process_heap_bytes where /proc is available
+ */
+export function processMemory(ctx: CollectorContext): Collector {
+  if (process.platform !== 'linux') {
+    createGauge(
+      ctx,
+      'process_resident_memory_bytes',
+      'Resident memory size in bytes.',
+      [],
+      gauge => gauge.set({}, process.memoryUsage.rss())
+    );
+    return {};
+  }
+
+  const refresh = (): void => {
+    resident.set({}, process.memoryUsage.rss());
+    try {
+      const status = readFileSync('/proc/self/status', 'utf8');
+      const vmSize = readStatusBytes(status, 'VmSize');
+      const vmData = readStatusBytes(status, 'VmData');
+      if (vmSize !== undefined) {
+        virtual.set({}, vmSize);
+      }
+      if (vmData !== undefined) {
+        heap.set({}, vmData);
+      }
+    } catch {
+      // /proc is not mounted, keep the previous values
+    }
+  };
+  const resident = createGauge(
+    ctx,
+    'process_resident_memory_bytes',
+    'Resident memory size in bytes.',
+    [],
+    refresh
+  );
+  const virtual = createGauge(
+    ctx,
+    'process_virtual_memory_bytes',
+    'Virtual memory size in bytes.',
+    [],
+    refresh
+  );
+  const heap = createGauge(
+    ctx,
+    'process_heap_bytes',
+    'Process heap size in bytes.',
+    [],
+    refresh
+  );
+  return {};
+}
+
+/**
+ * process_open_fds and process_max_fds, read from /proc on Linux
+ */
+export function processFds(ctx: CollectorContext): Collector {
+  if (process.platform !== 'linux') {
+    return {};
+  }
+
+  createGauge(
+    ctx,
+    'process_open_fds',
+    'Number of open file descriptors.',
+    [],
+    openFds => {
+      try {
+        // minus the descriptor readdir itself holds open
+        openFds.set({}, readdirSync('/proc/self/fd').length - 1);
+      } catch {
+        // /proc is not mounted, keep the previous value
+      }
+    }
+  );
+  const maxFds = createGauge(
+    ctx,
+    'process_max_fds',
+    'Maximum number of open file descriptors.'
+  );
+
+  try {
+    const limits = readFileSync('/proc/self/limits', 'utf8');
+    const match = limits.match(/^Max open files\s+(\d+)/m);
+    if (match) {
+      maxFds.set({}, Number(match[1]));
+    }
+  } catch {
+    // /proc is not mounted
+  }
+
+  return {};
+}
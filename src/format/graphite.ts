@@ -0,0 +1,77 @@
+import { formatValue } from './prometheus.js';
+import { Labels, MetricFamily } from './types.js';
+
+/**
+ * Render metric families in the Graphite plaintext protocol with tagged
+ * series, one `name;tag=value <value> <timestamp>` line per sample.
+ *
+ * Samples are named as in the Prometheus text format: histograms become
+ * `<name>_bucket` series with an `le` tag plus `<name>_sum` and
+ * `<name>_count`, summaries get a `quantile` tag. Labels become tags; empty
+ * label values are left out, and `;` and whitespace in values are replaced
+ * with `_`, as Graphite doesn't allow them. Non-finite values are left out.
+ * @param timestamp - Time of the samples in milliseconds since the epoch
+ * (default: now), sent in whole seconds
+ */
+export function formatGraphite(
+  families: MetricFamily[],
+  timestamp: number = Date.now()
+): string {
+  const seconds = Math.floor(timestamp / 1000);
+  let output = '';
+  const line = (name: string, labels: Labels, value: number): void => {
+    if (Number.isFinite(value)) {
+      output += `${name}${formatTags(labels)} ${value} ${seconds}\n`;
+    }
+  };
+
+  for (const family of families) {
+    const { name } = family;
+    switch (family.type) {
+      case 'counter':
+      case 'gauge':
+        for (const series of family.series) {
+          line(name, series.labels, series.value);
+        }
+        break;
+      case 'histogram':
+        for (const series of family.series) {
+          for (const bucket of series.buckets) {
+            line(
+              `${name}_bucket`,
+              { ...series.labels, le: formatValue(bucket.le) },
+              bucket.count
+            );
+          }
+          line(`${name}_sum`, series.labels, series.sum);
+          line(`${name}_count`, series.labels, series.count);
+        }
+        break;
+      case 'summary':
+        for (const series of family.series) {
+          for (const { quantile, value } of series.quantiles) {
+            line(
+              name,
+              { ...series.labels, quantile: formatValue(quantile) },
+              value
+            );
+          }
+          line(`${name}_sum`, series.labels, series.sum);
+          line(`${name}_count`, series.labels, series.count);
+        }
+        break;
+    }
+  }
+  return output;
+}
+
+function formatTags(labels: Labels): string {
+  let tags = '';
+  for (const [name, value] of Object.entries(labels)) {
+    if (value !== '') {
+      // values may not start with ~ either
+      tags += `;${name}=${value.replace(/[;\s]/g, '_').replace(/^~/, '_')}`;
+    }
+  }
+  return tags;
+}
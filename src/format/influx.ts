@@ -0,0 +1,94 @@
+import { toNanoseconds } from '../utils/timer.js';
+import { formatValue } from './prometheus.js';
+import { Labels, MetricFamily } from './types.js';
+
+/**
+ * Render metric families in the InfluxDB line protocol, one
+ * `measurement,tag=value field=value <timestamp>` line per series. The
+ * family name is the measurement and labels become tags.
+ *
+ * Fields are laid out like Telegraf's Prometheus input (`metric_version =
+ * 1`), so existing dashboards keep working:
+ * - counters have a `counter` field, gauges a `gauge` field
+ * - histograms have `sum`, `count` and a field per bucket named after its
+ *   upper bound, e.g. `0.5` and `+Inf`, holding the cumulative count
+ * - summaries have `sum`, `count` and a field per quantile, e.g. `0.99`
+ *
+ * Empty label values and non-finite field values are left out, the line
+ * protocol can't hold them.
+ * @param timestamp - Time of the samples in milliseconds since the epoch
+ * (default: now), sent in nanoseconds
+ */
+export function formatInfluxLineProtocol(
+  families: MetricFamily[],
+  timestamp: number = Date.now()
+): string {
+  const time = `${toNanoseconds(timestamp)}`;
+  let output = '';
+  const line = (
+    name: string,
+    labels: Labels,
+    fields: [string, number][]
+  ): void => {
+    const values = fields
+      .filter(([, value]) => Number.isFinite(value))
+      .map(([key, value]) => `${escape(key, /[,= ]/g)}=${value}`);
+    if (values.length > 0) {
+      output += `${escape(name, /[, ]/g)}${formatTags(labels)} ${values.join(',')} ${time}\n`;
+    }
+  };
+
+  for (const family of families) {
+    switch (family.type) {
+      case 'counter':
+      case 'gauge':
+        for (const series of family.series) {
+          line(family.name, series.labels, [[family.type, series.value]]);
+        }
+        break;
+      case 'histogram':
+        for (const series of family.series) {
+          line(family.name, series.labels, [
+            ...series.buckets.map(({ le, count }): [string, number] => [
+              formatValue(le),
+              count,
+            ]),
+            ['sum', series.sum],
+            ['count', series.count],
+          ]);
+        }
+        break;
+      case 'summary':
+        for (const series of family.series) {
+          line(family.name, series.labels, [
+            ...series.quantiles.map(({ quantile, value }): [string, number] => [
+              formatValue(quantile),
+              value,
+            ]),
+            ['sum', series.sum],
+            ['count', series.count],
+          ]);
+        }
+        break;
+    }
+  }
+  return output;
+}
+
+// tags sorted by key, as InfluxDB recommends
+function formatTags(labels: Labels): string {
+  let tags = '';
+  for (const name of Object.keys(labels).sort()) {
+    const value = labels[name];
+    if (value !== '') {
+      // line breaks can't be escaped; a backslash is, or a trailing one
+      // would escape the space after the tags
+      tags += `,${escape(name, /[\\,= ]/g)}=${escape(value.replace(/[\r\n]/g, ' '), /[\\,= ]/g)}`;
+    }
+  }
+  return tags;
+}
+
+function escape(text: string, special: RegExp): string {
+  return text.replace(special, '\\$&');
+}
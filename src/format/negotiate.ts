@@ -0,0 +1,87 @@
+import { OPENMETRICS_CONTENT_TYPE } from './openmetrics.js';
+import { PROMETHEUS_CONTENT_TYPE } from './prometheus.js';
+import { PROTOBUF_CONTENT_TYPE } from './protobuf.js';
+
+/** Exposition formats rendered as text */
+export type TextExpositionFormat = 'prometheus' | 'openmetrics';
+
+export type ExpositionFormat = TextExpositionFormat | 'protobuf';
+
+export interface NegotiatedFormat {
+  format: ExpositionFormat;
+  contentType: string;
+}
+
+// OpenMetrics versions whose text output is identical to what we render
+const OPENMETRICS_VERSIONS = ['1.0.0', '0.0.1'];
+
+/**
+ * Pick the exposition format for a scrape from its `Accept` header.
+ * OpenMetrics or the delimited protobuf format is used when the scraper asks
+ * for it with a higher (or equal) preference than the Prometheus text
+ * format, everything else falls back to the Prometheus text format.
+ * @param accept - Value of the request's Accept header
+ * @returns The format to render and the Content-Type to respond with
+ */
+export function negotiateFormat(accept?: string | null): NegotiatedFormat {
+  const fallback: NegotiatedFormat = {
+    format: 'prometheus',
+    contentType: PROMETHEUS_CONTENT_TYPE,
+  };
+  if (!accept) {
+    return fallback;
+  }
+
+  let best: NegotiatedFormat | undefined;
+  let bestQ = 0;
+  let textQ = 0;
+
+  for (const range of accept.split(',')) {
+    const [mediaType, ...rawParams] = range.split(';').map(p => p.trim());
+    const params: Record<string, string> = {};
+    for (const param of rawParams) {
+      const eq = param.indexOf('=');
+      if (eq > 0) {
+        params[param.slice(0, eq).trim().toLowerCase()] = param
+          .slice(eq + 1)
+          .trim()
+          .replace(/^"(.*)"$/, '$1');
+      }
+    }
+    const q = params.q !== undefined ? parseFloat(params.q) : 1;
+    if (!(q > 0)) {
+      continue;
+    }
+
+    switch (mediaType.toLowerCase()) {
+      case 'application/openmetrics-text': {
+        const version = params.version ?? '1.0.0';
+        if (OPENMETRICS_VERSIONS.includes(version) && q > bestQ) {
+          bestQ = q;
+          best = {
+            format: 'openmetrics',
+            contentType: OPENMETRICS_CONTENT_TYPE.replace('1.0.0', version),
+          };
+        }
+        break;
+      }
+      case 'application/vnd.google.protobuf':
+        if (
+          params.proto === 'io.prometheus.client.MetricFamily' &&
+          params.encoding === 'delimited' &&
+          q > bestQ
+        ) {
+          bestQ = q;
+          best = { format: 'protobuf', contentType: PROTOBUF_CONTENT_TYPE };
+        }
+        break;
+      case 'text/plain':
+      case 'text/*':
+      case '*/*':
+        textQ = Math.max(textQ, q);
+        break;
+    }
+  }
+
+  return best && bestQ >= textQ ? best : fallback;
+}
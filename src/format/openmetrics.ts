@@ -0,0 +1,102 @@
+import { escapeLabelValue } from '../utils/escape.js';
+import { formatLabels, formatValue } from './prometheus.js';
+import { Exemplar, MetricFamily } from './types.js';
+
+export const OPENMETRICS_CONTENT_TYPE =
+  'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+function line(
+  name: string,
+  labels: string,
+  value: number,
+  exemplar?: Exemplar
+): string {
+  let output = `${name}${labels} ${formatValue(value)}`;
+  if (exemplar) {
+    output += ` # ${formatLabels(exemplar.labels, ',') || '{}'}`;
+    output += ` ${formatValue(exemplar.value)} ${exemplar.timestamp / 1000}`;
+  }
+  return output + '\n';
+}
+
+// OpenMetrics timestamps are in seconds
+function created(name: string, labels: string, timestamp: number): string {
+  return line(`${name}_created`, labels, timestamp / 1000);
+}
+
+/**
+ * Render one metric family in the OpenMetrics 1.0 text format, without the
+ * terminating `# EOF`
+ */
+export function formatOpenMetricsFamily(family: MetricFamily): string {
+  // the counter family is named without its _total suffix, the samples get it
+  const name =
+    family.type === 'counter' && family.name.endsWith('_total')
+      ? family.name.slice(0, -'_total'.length)
+      : family.name;
+
+  let output = `# HELP ${name} ${escapeLabelValue(family.help)}\n`;
+  output += `# TYPE ${name} ${family.type}\n`;
+  if (family.unit) {
+    output += `# UNIT ${name} ${family.unit}\n`;
+  }
+
+  switch (family.type) {
+    case 'counter':
+      for (const series of family.series) {
+        const labels = formatLabels(series.labels, ',');
+        output += line(`${name}_total`, labels, series.value, series.exemplar);
+        output += created(name, labels, series.created);
+      }
+      break;
+    case 'gauge':
+      for (const series of family.series) {
+        output += line(name, formatLabels(series.labels, ','), series.value);
+      }
+      break;
+    case 'histogram':
+      for (const series of family.series) {
+        const labels = formatLabels(series.labels, ',');
+        for (const bucket of series.buckets) {
+          output += line(
+            `${name}_bucket`,
+            formatLabels(series.labels, ',', `le="${formatValue(bucket.le)}"`),
+            bucket.count,
+            bucket.exemplar
+          );
+        }
+        output += line(`${name}_count`, labels, series.count);
+        output += line(`${name}_sum`, labels, series.sum);
+        output += created(name, labels, series.created);
+      }
+      break;
+    case 'summary':
+      for (const series of family.series) {
+        const labels = formatLabels(series.labels, ',');
+        for (const { quantile, value } of series.quantiles) {
+          output += line(
+            name,
+            formatLabels(
+              series.labels,
+              ',',
+              `quantile="${formatValue(quantile)}"`
+            ),
+            value
+          );
+        }
+        output += line(`${name}_count`, labels, series.count);
+        output += line(`${name}_sum`, labels, series.sum);
+        output += created(name, labels, series.created);
+      }
+      break;
+  }
+
+  return output;
+}
+
+/**
+ * Render metric families in the OpenMetrics 1.0 text format
+ */
+export function formatOpenMetrics(families: MetricFamily[]): string {
+  return families.map(formatOpenMetricsFamily).join('') + '# EOF\n';
+}
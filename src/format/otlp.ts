@@ -0,0 +1,343 @@
+import { Buffer } from 'node:buffer';
+import { ProtoWriter } from '../utils/protobuf.js';
+import { toNanoseconds } from '../utils/timer.js';
+import { Labels, MetricFamily } from './types.js';
+
+export const OTLP_JSON_CONTENT_TYPE = 'application/json';
+export const OTLP_PROTOBUF_CONTENT_TYPE = 'application/x-protobuf';
+
+/** Values of OTLP resource attributes */
+export type OtlpAttributes = Record<string, string | number | boolean>;
+
+export interface OtlpKeyValue {
+  key: string;
+  value: {
+    stringValue?: string;
+    boolValue?: boolean;
+    /** 64-bit integers are strings in OTLP JSON */
+    intValue?: string;
+    doubleValue?: number;
+  };
+}
+
+interface OtlpDataPoint {
+  attributes: OtlpKeyValue[];
+  /** Time the series was created, in nanoseconds since the epoch */
+  startTimeUnixNano?: string;
+  /** Time the value was collected, in nanoseconds since the epoch */
+  timeUnixNano: string;
+}
+
+export interface OtlpNumberDataPoint extends OtlpDataPoint {
+  asDouble: number;
+}
+
+export interface OtlpHistogramDataPoint extends OtlpDataPoint {
+  count: string;
+  sum: number;
+  /** Count of each bucket, not cumulative, the last one is `+Inf` */
+  bucketCounts: string[];
+  /** Upper bounds of the buckets but the last */
+  explicitBounds: number[];
+}
+
+export interface OtlpSummaryDataPoint extends OtlpDataPoint {
+  count: string;
+  sum: number;
+  quantileValues: { quantile: number; value: number }[];
+}
+
+// values of opentelemetry.proto.metrics.v1.AggregationTemporality
+const CUMULATIVE = 2;
+
+export interface OtlpMetric {
+  name: string;
+  description: string;
+  unit?: string;
+  sum?: {
+    dataPoints: OtlpNumberDataPoint[];
+    aggregationTemporality: typeof CUMULATIVE;
+    isMonotonic: boolean;
+  };
+  gauge?: { dataPoints: OtlpNumberDataPoint[] };
+  histogram?: {
+    dataPoints: OtlpHistogramDataPoint[];
+    aggregationTemporality: typeof CUMULATIVE;
+  };
+  summary?: { dataPoints: OtlpSummaryDataPoint[] };
+}
+
+/**
+ * An `ExportMetricsServiceRequest` in the OTLP JSON encoding
+ */
+export interface OtlpMetricsRequest {
+  resourceMetrics: {
+    resource: { attributes: OtlpKeyValue[] };
+    scopeMetrics: {
+      scope: { name: string; version?: string };
+      metrics: OtlpMetric[];
+    }[];
+  }[];
+}
+
+export interface OtlpConversionOptions {
+  /** Resource attributes, such as `service.name` */
+  resource?: OtlpAttributes;
+  /** Collection time in milliseconds since the epoch (default: now) */
+  timestamp?: number;
+}
+
+/**
+ * Convert metric families to an OTLP export request, with cumulative
+ * temporality: counters become monotonic Sums, gauges Gauges, histograms
+ * explicit-bucket Histograms and summaries Summaries. Labels become
+ * attributes. Native histogram buckets are not converted.
+ */
+export function toOtlpMetrics(
+  families: MetricFamily[],
+  options: OtlpConversionOptions = {}
+): OtlpMetricsRequest {
+  const time = nanoseconds(options.timestamp ?? Date.now());
+  const point = (labels: Labels, created?: number): OtlpDataPoint => ({
+    attributes: Object.entries(labels).map(([key, value]) => ({
+      key,
+      value: { stringValue: value },
+    })),
+    ...(created !== undefined && {
+      startTimeUnixNano: nanoseconds(created),
+    }),
+    timeUnixNano: time,
+  });
+
+  const metrics = families.map((family): OtlpMetric => {
+    const metric = {
+      name: family.name,
+      description: family.help,
+      ...(family.unit && { unit: family.unit }),
+    };
+    switch (family.type) {
+      case 'counter':
+        return {
+          ...metric,
+          sum: {
+            dataPoints: family.series.map(series => ({
+              ...point(series.labels, series.created),
+              asDouble: series.value,
+            })),
+            aggregationTemporality: CUMULATIVE,
+            isMonotonic: true,
+          },
+        };
+      case 'gauge':
+        return {
+          ...metric,
+          gauge: {
+            dataPoints: family.series.map(series => ({
+              ...point(series.labels),
+              asDouble: series.value,
+            })),
+          },
+        };
+      case 'histogram':
+        return {
+          ...metric,
+          histogram: {
+            dataPoints: family.series.map(series => ({
+              ...point(series.labels, series.created),
+              count: `${series.count}`,
+              sum: series.sum,
+              bucketCounts: series.buckets.map(
+                (bucket, i) =>
+                  `${bucket.count - (i > 0 ? series.buckets[i - 1].count : 0)}`
+              ),
+              explicitBounds: series.buckets
+                .filter(bucket => bucket.le !== Infinity)
+                .map(bucket => bucket.le),
+            })),
+            aggregationTemporality: CUMULATIVE,
+          },
+        };
+      case 'summary':
+        return {
+          ...metric,
+          summary: {
+            dataPoints: family.series.map(series => ({
+              ...point(series.labels, series.created),
+              count: `${series.count}`,
+              sum: series.sum,
+              quantileValues: series.quantiles.map(({ quantile, value }) => ({
+                quantile,
+                value,
+              })),
+            })),
+          },
+        };
+    }
+  });
+
+  const resource = Object.entries(options.resource ?? {}).map(
+    ([key, value]): OtlpKeyValue => ({ key, value: attributeValue(value) })
+  );
+  return {
+    resourceMetrics: [
+      {
+        resource: { attributes: resource },
+        scopeMetrics: [{ scope: { name: 'promlite' }, metrics }],
+      },
+    ],
+  };
+}
+
+function attributeValue(
+  value: string | number | boolean
+): OtlpKeyValue['value'] {
+  switch (typeof value) {
+    case 'string':
+      return { stringValue: value };
+    case 'boolean':
+      return { boolValue: value };
+    default:
+      return Number.isSafeInteger(value)
+        ? { intValue: `${value}` }
+        : { doubleValue: value };
+  }
+}
+
+function nanoseconds(milliseconds: number): string {
+  return `${toNanoseconds(milliseconds)}`;
+}
+
+/**
+ * Serialize an export request as OTLP JSON. Doubles that JSON can't hold
+ * are written as the strings `NaN`, `Infinity` and `-Infinity`.
+ */
+export function formatOtlpJson(request: OtlpMetricsRequest): string {
+  return JSON.stringify(request, (_key, value) =>
+    typeof value === 'number' && !Number.isFinite(value) ? `${value}` : value
+  );
+}
+
+/**
+ * Encode an export request as an
+ * `opentelemetry.proto.collector.metrics.v1.ExportMetricsServiceRequest`
+ * protobuf message
+ */
+export function formatOtlpProtobuf(request: OtlpMetricsRequest): Buffer {
+  const message = new ProtoWriter();
+  for (const resourceMetrics of request.resourceMetrics) {
+    const encoded = new ProtoWriter();
+    const resource = new ProtoWriter();
+    encodeAttributes(resource, 1, resourceMetrics.resource.attributes);
+    encoded.message(1, resource);
+    for (const scopeMetrics of resourceMetrics.scopeMetrics) {
+      const scope = new ProtoWriter();
+      scope.string(1, scopeMetrics.scope.name);
+      scope.string(2, scopeMetrics.scope.version ?? '');
+      const scopeEncoded = new ProtoWriter();
+      scopeEncoded.message(1, scope);
+      for (const metric of scopeMetrics.metrics) {
+        scopeEncoded.message(2, encodeMetric(metric));
+      }
+      encoded.message(2, scopeEncoded);
+    }
+    message.message(1, encoded);
+  }
+  return Buffer.from(message.output);
+}
+
+function encodeMetric(metric: OtlpMetric): ProtoWriter {
+  const message = new ProtoWriter();
+  message.string(1, metric.name);
+  message.string(2, metric.description);
+  message.string(3, metric.unit ?? '');
+  if (metric.gauge) {
+    const gauge = new ProtoWriter();
+    for (const point of metric.gauge.dataPoints) {
+      gauge.message(1, encodeNumberPoint(point));
+    }
+    message.message(5, gauge);
+  }
+  if (metric.sum) {
+    const sum = new ProtoWriter();
+    for (const point of metric.sum.dataPoints) {
+      sum.message(1, encodeNumberPoint(point));
+    }
+    sum.uint(2, metric.sum.aggregationTemporality);
+    sum.bool(3, metric.sum.isMonotonic);
+    message.message(7, sum);
+  }
+  if (metric.histogram) {
+    const histogram = new ProtoWriter();
+    for (const point of metric.histogram.dataPoints) {
+      const encoded = encodePoint(point, 9);
+      encoded.fixed64(4, BigInt(point.count));
+      encoded.double(5, point.sum, true);
+      encoded.packedFixed64(6, point.bucketCounts.map(BigInt));
+      encoded.packedDouble(7, point.explicitBounds);
+      histogram.message(1, encoded);
+    }
+    histogram.uint(2, metric.histogram.aggregationTemporality);
+    message.message(9, histogram);
+  }
+  if (metric.summary) {
+    const summary = new ProtoWriter();
+    for (const point of metric.summary.dataPoints) {
+      const encoded = encodePoint(point, 7);
+      encoded.fixed64(4, BigInt(point.count));
+      encoded.double(5, point.sum);
+      for (const { quantile, value } of point.quantileValues) {
+        const quantileValue = new ProtoWriter();
+        quantileValue.double(1, quantile);
+        quantileValue.double(2, value);
+        encoded.message(6, quantileValue);
+      }
+      summary.message(1, encoded);
+    }
+    message.message(11, summary);
+  }
+  return message;
+}
+
+function encodeNumberPoint(point: OtlpNumberDataPoint): ProtoWriter {
+  const encoded = encodePoint(point, 7);
+  // as_double is part of a oneof, so it is written even when 0
+  encoded.double(4, point.asDouble, true);
+  return encoded;
+}
+
+// the fields all data points share, attributes are in a different field
+// for each point type
+function encodePoint(
+  point: OtlpDataPoint,
+  attributesField: number
+): ProtoWriter {
+  const encoded = new ProtoWriter();
+  encodeAttributes(encoded, attributesField, point.attributes);
+  encoded.fixed64(2, BigInt(point.startTimeUnixNano ?? 0));
+  encoded.fixed64(3, BigInt(point.timeUnixNano));
+  return encoded;
+}
+
+function encodeAttributes(
+  message: ProtoWriter,
+  field: number,
+  attributes: OtlpKeyValue[]
+): void {
+  for (const { key, value } of attributes) {
+    // the value fields are a oneof, so they are written even when empty
+    const any = new ProtoWriter();
+    if (value.stringValue !== undefined) {
+      any.string(1, value.stringValue, true);
+    } else if (value.boolValue !== undefined) {
+      any.bool(2, value.boolValue, true);
+    } else if (value.intValue !== undefined) {
+      any.uint64(3, BigInt.asUintN(64, BigInt(value.intValue)), true);
+    } else if (value.doubleValue !== undefined) {
+      any.double(4, value.doubleValue, true);
+    }
+    const keyValue = new ProtoWriter();
+    keyValue.string(1, key);
+    keyValue.message(2, any);
+    message.message(field, keyValue);
+  }
+}
@@ -0,0 +1,498 @@
+import { Labels, MetricType } from './types.js';
+
+/**
+ * Metric types of the text formats: Promlite's own, `untyped` from the
+ * Prometheus format and the additional OpenMetrics types
+ */
+export type ParsedMetricType =
+  | MetricType
+  | 'untyped'
+  | 'unknown'
+  | 'gaugehistogram'
+  | 'stateset'
+  | 'info';
+
+export interface ParsedExemplar {
+  labels: Labels;
+  value: number;
+  /** Time of the exemplar, in milliseconds since the epoch */
+  timestamp?: number;
+}
+
+export interface ParsedSample {
+  /** Sample name, including suffixes such as `_bucket` or `_total` */
+  name: string;
+  labels: Labels;
+  value: number;
+  /** Time of the sample, in milliseconds since the epoch */
+  timestamp?: number;
+  exemplar?: ParsedExemplar;
+}
+
+export interface ParsedFamily {
+  name: string;
+  type: ParsedMetricType;
+  /** Unescaped HELP text, empty when there was no HELP line */
+  help: string;
+  unit?: string;
+  samples: ParsedSample[];
+}
+
+/**
+ * Malformed exposition text, pointing at the offending character
+ */
+export class ParseError extends Error {
+  /** Line of the error, starting at 1 */
+  readonly line: number;
+  /** Column of the error, starting at 1 */
+  readonly column: number;
+
+  constructor(message: string, line: number, column: number) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = 'ParseError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+interface Dialect {
+  openMetrics: boolean;
+  defaultType: ParsedMetricType;
+  /** Suffixes of the sample names of each type, after the family name */
+  suffixes: Partial<Record<ParsedMetricType, string[]>>;
+}
+
+const PROMETHEUS: Dialect = {
+  openMetrics: false,
+  defaultType: 'untyped',
+  suffixes: {
+    counter: [''],
+    gauge: [''],
+    histogram: ['_bucket', '_count', '_sum'],
+    summary: ['', '_count', '_sum'],
+    untyped: [''],
+  },
+};
+
+const OPENMETRICS: Dialect = {
+  openMetrics: true,
+  defaultType: 'unknown',
+  suffixes: {
+    counter: ['_total', '_created'],
+    gauge: [''],
+    histogram: ['_bucket', '_count', '_sum', '_created'],
+    gaugehistogram: ['_bucket', '_gcount', '_gsum'],
+    summary: ['', '_count', '_sum', '_created'],
+    info: ['_info'],
+    stateset: [''],
+    unknown: [''],
+  },
+};
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const NAME_CHAR = /[a-zA-Z0-9_:]/;
+const FLOAT = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const INTEGER = /^-?\d+$/;
+
+/**
+ * Parse the Prometheus text format (version 0.0.4), e.g. the output of
+ * `registry.metrics()`
+ * @returns The metric families in the order they first appear. Samples
+ * without HELP or TYPE get an `untyped` family of their own.
+ * @throws {ParseError} When the text is malformed
+ */
+export function parsePrometheus(text: string): ParsedFamily[] {
+  return new Parser(PROMETHEUS).parse(text);
+}
+
+/**
+ * Parse OpenMetrics 1.0 text, e.g. the output of
+ * `registry.metrics('openmetrics')`. Timestamps are converted from seconds
+ * to milliseconds, and samples may carry exemplars.
+ * @returns The metric families in the order they first appear. Samples
+ * without metadata get an `unknown` family of their own.
+ * @throws {ParseError} When the text is malformed or doesn't end with
+ * `# EOF`
+ */
+export function parseOpenMetrics(text: string): ParsedFamily[] {
+  return new Parser(OPENMETRICS).parse(text);
+}
+
+// position within one line of the input
+class Cursor {
+  readonly text: string;
+  readonly line: number;
+  pos = 0;
+
+  constructor(text: string, line: number) {
+    this.text = text;
+    this.line = line;
+  }
+
+  fail(message: string, pos = this.pos): never {
+    throw new ParseError(message, this.line, pos + 1);
+  }
+
+  atEnd(): boolean {
+    return this.pos >= this.text.length;
+  }
+
+  peek(): string | undefined {
+    return this.text[this.pos];
+  }
+
+  /** @returns Whether any whitespace was skipped */
+  skipSpaces(): boolean {
+    const start = this.pos;
+    while (this.peek() === ' ' || this.peek() === '\t') {
+      this.pos++;
+    }
+    return this.pos > start;
+  }
+
+  expect(char: string, message: string): void {
+    if (this.peek() !== char) {
+      this.fail(message);
+    }
+    this.pos++;
+  }
+
+  /** Read up to the next whitespace */
+  token(): string {
+    const start = this.pos;
+    while (!this.atEnd() && this.peek() !== ' ' && this.peek() !== '\t') {
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  name(pattern: RegExp, what: string): string {
+    const start = this.pos;
+    while (!this.atEnd() && NAME_CHAR.test(this.text[this.pos])) {
+      this.pos++;
+    }
+    const name = this.text.slice(start, this.pos);
+    if (!pattern.test(name)) {
+      this.fail(
+        name === '' ? `Expected a ${what}` : `Invalid ${what} "${name}"`,
+        start
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Read up to `until` or the end of the line, resolving `\\` and `\n` and,
+   * when `quotes` is set, `\"`
+   */
+  unescape(quotes: boolean, until?: string): string {
+    let value = '';
+    while (!this.atEnd() && this.peek() !== until) {
+      const char = this.text[this.pos];
+      if (char === '\\') {
+        const next = this.text[this.pos + 1];
+        if (next === 'n') {
+          value += '\n';
+        } else if (next === '\\' || (quotes && next === '"')) {
+          value += next;
+        } else {
+          this.fail(`Invalid escape sequence "\\${next ?? ''}"`);
+        }
+        this.pos += 2;
+      } else {
+        value += char;
+        this.pos++;
+      }
+    }
+    return value;
+  }
+}
+
+class Parser {
+  private dialect: Dialect;
+  private families: Map<string, ParsedFamily> = new Map();
+  // families whose HELP, TYPE or UNIT line has been seen
+  private seen: Map<string, Set<string>> = new Map();
+
+  constructor(dialect: Dialect) {
+    this.dialect = dialect;
+  }
+
+  parse(text: string): ParsedFamily[] {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    let eof = false;
+    lines.forEach((content, i) => {
+      const cursor = new Cursor(content, i + 1);
+      if (eof) {
+        cursor.fail('Unexpected content after # EOF', 0);
+      }
+      if (content.trim() === '') {
+        if (this.dialect.openMetrics) {
+          cursor.fail('Empty lines are not allowed in OpenMetrics', 0);
+        }
+        return;
+      }
+      if (!this.dialect.openMetrics) {
+        cursor.skipSpaces();
+      }
+      if (cursor.peek() === '#') {
+        eof = this.comment(cursor);
+      } else {
+        this.sample(cursor);
+      }
+    });
+    if (this.dialect.openMetrics && !eof) {
+      const last = lines[lines.length - 1] ?? '';
+      throw new ParseError(
+        'Expected # EOF at the end of the input',
+        Math.max(lines.length, 1),
+        last.length + 1
+      );
+    }
+    return Array.from(this.families.values());
+  }
+
+  // a HELP, TYPE or UNIT line, or a plain comment. Returns true for # EOF.
+  private comment(cursor: Cursor): boolean {
+    if (this.dialect.openMetrics && cursor.text === '# EOF') {
+      return true;
+    }
+    cursor.pos++;
+    const spaced = cursor.skipSpaces();
+    const keywordPos = cursor.pos;
+    const keyword = cursor.token();
+    const keywords = this.dialect.openMetrics
+      ? ['HELP', 'TYPE', 'UNIT']
+      : ['HELP', 'TYPE'];
+    if (!spaced || !keywords.includes(keyword)) {
+      if (this.dialect.openMetrics) {
+        cursor.fail('Expected HELP, TYPE, UNIT or EOF after "# "', keywordPos);
+      }
+      // any other comment is ignored in the Prometheus format
+      return false;
+    }
+    cursor.expect(' ', `Expected a metric name after ${keyword}`);
+    const namePos = cursor.pos;
+    const name = cursor.name(METRIC_NAME, 'metric name');
+    const seen = this.seen.get(name) ?? new Set<string>();
+    if (seen.has(keyword)) {
+      cursor.fail(`Duplicate ${keyword} for "${name}"`, namePos);
+    }
+    seen.add(keyword);
+    this.seen.set(name, seen);
+    const family = this.family(name);
+
+    if (keyword === 'HELP') {
+      if (!cursor.atEnd()) {
+        cursor.expect(' ', 'Expected a space after the metric name');
+        family.help = cursor.unescape(this.dialect.openMetrics);
+      }
+      return false;
+    }
+    cursor.expect(' ', `Expected a ${keyword.toLowerCase()} after the name`);
+    const valuePos = cursor.pos;
+    const value = cursor.token();
+    if (!this.dialect.openMetrics) {
+      cursor.skipSpaces();
+    }
+    if (!cursor.atEnd()) {
+      cursor.fail(`Unexpected "${cursor.peek()}" after the ${keyword}`);
+    }
+    if (keyword === 'UNIT') {
+      if (!/^[a-zA-Z0-9_:]*$/.test(value)) {
+        cursor.fail(`Invalid unit "${value}"`, valuePos);
+      }
+      family.unit = value;
+      return false;
+    }
+    if (!Object.keys(this.dialect.suffixes).includes(value)) {
+      cursor.fail(`Unknown metric type "${value}"`, valuePos);
+    }
+    if (family.samples.length > 0) {
+      cursor.fail(`TYPE for "${name}" must come before its samples`, 0);
+    }
+    family.type = value as ParsedMetricType;
+    return false;
+  }
+
+  private sample(cursor: Cursor): void {
+    const namePos = cursor.pos;
+    const name = cursor.name(METRIC_NAME, 'metric name');
+    let spaced = cursor.skipSpaces();
+    let labels: Labels = {};
+    if (cursor.peek() === '{') {
+      labels = this.labels(cursor);
+      spaced = cursor.skipSpaces();
+    }
+    if (!spaced) {
+      cursor.fail(
+        cursor.atEnd()
+          ? 'Expected a value after the metric'
+          : `Unexpected "${cursor.peek()}" after the metric name`
+      );
+    }
+    const sample: ParsedSample = {
+      name,
+      labels,
+      value: this.number(cursor, 'value'),
+    };
+    cursor.skipSpaces();
+    if (!cursor.atEnd() && cursor.peek() !== '#') {
+      sample.timestamp = this.timestamp(cursor);
+      cursor.skipSpaces();
+    }
+    if (!cursor.atEnd()) {
+      if (!this.dialect.openMetrics) {
+        cursor.fail(`Unexpected "${cursor.peek()}" after the sample`);
+      }
+      sample.exemplar = this.exemplar(cursor);
+    }
+    this.familyOf(cursor, name, namePos).samples.push(sample);
+  }
+
+  private labels(cursor: Cursor): Labels {
+    const labels = new Map<string, string>();
+    cursor.expect('{', 'Expected "{"');
+    cursor.skipSpaces();
+    while (cursor.peek() !== '}') {
+      const namePos = cursor.pos;
+      const name = cursor.name(LABEL_NAME, 'label name');
+      if (labels.has(name)) {
+        cursor.fail(`Duplicate label "${name}"`, namePos);
+      }
+      cursor.skipSpaces();
+      cursor.expect('=', `Expected "=" after label "${name}"`);
+      cursor.skipSpaces();
+      const quotePos = cursor.pos;
+      cursor.expect('"', `Expected a quoted value for label "${name}"`);
+      const value = cursor.unescape(true, '"');
+      if (cursor.atEnd()) {
+        cursor.fail(`Unterminated value for label "${name}"`, quotePos);
+      }
+      cursor.pos++;
+      labels.set(name, value);
+      cursor.skipSpaces();
+      if (cursor.peek() === ',') {
+        cursor.pos++;
+        cursor.skipSpaces();
+      } else if (cursor.peek() !== '}') {
+        cursor.fail(
+          cursor.atEnd()
+            ? 'Expected "}" to close the labels'
+            : `Expected "," or "}" after the value of label "${name}"`
+        );
+      }
+    }
+    cursor.pos++;
+    return Object.fromEntries(labels);
+  }
+
+  private number(cursor: Cursor, what: string): number {
+    const start = cursor.pos;
+    const token = cursor.token();
+    const value = parseNumber(token);
+    if (value === undefined) {
+      cursor.fail(
+        token === '' ? `Expected a ${what}` : `Invalid ${what} "${token}"`,
+        start
+      );
+    }
+    return value;
+  }
+
+  // milliseconds in the Prometheus format, seconds in OpenMetrics
+  private timestamp(cursor: Cursor): number {
+    if (this.dialect.openMetrics) {
+      const start = cursor.pos;
+      const seconds = this.number(cursor, 'timestamp');
+      if (!Number.isFinite(seconds)) {
+        cursor.fail('Timestamps must be finite', start);
+      }
+      return seconds * 1000;
+    }
+    const start = cursor.pos;
+    const token = cursor.token();
+    if (!INTEGER.test(token)) {
+      cursor.fail(`Invalid timestamp "${token}"`, start);
+    }
+    return Number(token);
+  }
+
+  private exemplar(cursor: Cursor): ParsedExemplar {
+    cursor.expect('#', 'Expected "#" before the exemplar');
+    cursor.expect(' ', 'Expected a space after "#"');
+    if (cursor.peek() !== '{') {
+      cursor.fail('Expected the labels of the exemplar');
+    }
+    const labels = this.labels(cursor);
+    cursor.expect(' ', 'Expected a value after the exemplar labels');
+    const exemplar: ParsedExemplar = {
+      labels,
+      value: this.number(cursor, 'exemplar value'),
+    };
+    if (!cursor.atEnd()) {
+      cursor.expect(' ', 'Expected a space after the exemplar value');
+      exemplar.timestamp = this.timestamp(cursor);
+    }
+    if (!cursor.atEnd()) {
+      cursor.fail(`Unexpected "${cursor.peek()}" after the exemplar`);
+    }
+    return exemplar;
+  }
+
+  private family(name: string): ParsedFamily {
+    let family = this.families.get(name);
+    if (!family) {
+      family = {
+        name,
+        type: this.dialect.defaultType,
+        help: '',
+        samples: [],
+      };
+      this.families.set(name, family);
+    }
+    return family;
+  }
+
+  // the family a sample belongs to, e.g. histogram `x` for `x_bucket`
+  private familyOf(cursor: Cursor, name: string, pos: number): ParsedFamily {
+    for (const [type, suffixes] of Object.entries(this.dialect.suffixes)) {
+      for (const suffix of suffixes) {
+        if (!name.endsWith(suffix)) {
+          continue;
+        }
+        const family = this.families.get(
+          name.slice(0, -suffix.length || undefined)
+        );
+        if (family?.type === type) {
+          return family;
+        }
+      }
+    }
+    const family = this.families.get(name);
+    if (family && family.type !== this.dialect.defaultType) {
+      cursor.fail(`Sample "${name}" doesn't fit ${family.type} "${name}"`, pos);
+    }
+    return this.family(name);
+  }
+}
+
+function parseNumber(token: string): number | undefined {
+  if (FLOAT.test(token)) {
+    return Number(token);
+  }
+  switch (token.toLowerCase()) {
+    case 'nan':
+      return NaN;
+    case '+inf':
+    case 'inf':
+      return Infinity;
+    case '-inf':
+      return -Infinity;
+  }
+  return undefined;
+}
@@ -0,0 +1,133 @@
+import { escapeHelp, escapeLabelValue } from '../utils/escape.js';
+import { Labels, MetricFamily } from './types.js';
+
+export const PROMETHEUS_CONTENT_TYPE =
+  'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Format a sample value, using the spellings the text formats expect for
+ * non-finite numbers. Also used for `le` and `quantile` label values, so a
+ * bucket keeps the same label value (`le="1"`, never `le="1.0"`) in both
+ * text formats and scrapes don't split a series when switching formats.
+ */
+export function formatValue(value: number): string {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return `${value}`;
+}
+
+// rendered pairs of frozen label sets, by separator. Metrics hand out the
+// same frozen label set of a series on every scrape, so it is rendered once.
+const renderedPairs = new Map<string, WeakMap<Labels, string>>();
+
+function formatPairs(labels: Labels, separator: string): string {
+  if (!Object.isFrozen(labels)) {
+    return renderPairs(labels, separator);
+  }
+  let cache = renderedPairs.get(separator);
+  if (cache === undefined) {
+    cache = new WeakMap();
+    renderedPairs.set(separator, cache);
+  }
+  let pairs = cache.get(labels);
+  if (pairs === undefined) {
+    pairs = renderPairs(labels, separator);
+    cache.set(labels, pairs);
+  }
+  return pairs;
+}
+
+function renderPairs(labels: Labels, separator: string): string {
+  return Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(separator);
+}
+
+/**
+ * Render a label set, including the braces
+ * @param labels - Label names and values, in output order
+ * @param separator - Text between label pairs
+ * @param extra - A rendered pair to add at the end, e.g. `le="0.5"`
+ * @returns The rendered label set, or an empty string when there are no labels
+ */
+export function formatLabels(
+  labels: Labels,
+  separator: string,
+  extra?: string
+): string {
+  const pairs = formatPairs(labels, separator);
+  if (extra !== undefined) {
+    return `{${pairs && pairs + separator}${extra}}`;
+  }
+  return pairs && `{${pairs}}`;
+}
+
+function line(name: string, labels: string, value: number): string {
+  return `${name}${labels} ${formatValue(value)}\n`;
+}
+
+/**
+ * Render one metric family in the Prometheus text format (version 0.0.4)
+ */
+export function formatPrometheusFamily(family: MetricFamily): string {
+  const { name } = family;
+  let output = `# HELP ${name} ${escapeHelp(family.help)}\n`;
+  output += `# TYPE ${name} ${family.type}\n`;
+
+  switch (family.type) {
+    case 'counter':
+    case 'gauge':
+      for (const series of family.series) {
+        output += line(name, formatLabels(series.labels, ', '), series.value);
+      }
+      break;
+    case 'histogram':
+      for (const series of family.series) {
+        const labels = formatLabels(series.labels, ', ');
+        for (const bucket of series.buckets) {
+          output += line(
+            `${name}_bucket`,
+            formatLabels(series.labels, ', ', `le="${formatValue(bucket.le)}"`),
+            bucket.count
+          );
+        }
+        output += line(`${name}_sum`, labels, series.sum);
+        output += line(`${name}_count`, labels, series.count);
+      }
+      break;
+    case 'summary':
+      for (const series of family.series) {
+        const labels = formatLabels(series.labels, ', ');
+        for (const { quantile, value } of series.quantiles) {
+          output += line(
+            name,
+            formatLabels(
+              series.labels,
+              ', ',
+              `quantile="${formatValue(quantile)}"`
+            ),
+            value
+          );
+        }
+        output += line(`${name}_sum`, labels, series.sum);
+        output += line(`${name}_count`, labels, series.count);
+      }
+      break;
+  }
+
+  return output;
+}
+
+/**
+ * Render metric families in the Prometheus text format (version 0.0.4)
+ */
+export function formatPrometheus(families: MetricFamily[]): string {
+  return families.map(formatPrometheusFamily).join('');
+}
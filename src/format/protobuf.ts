@@ -0,0 +1,176 @@
+import { Buffer } from 'node:buffer';
+import { ProtoWriter } from '../utils/protobuf.js';
+import {
+  BucketSpan,
+  Exemplar,
+  Labels,
+  MetricFamily,
+  NativeHistogram,
+} from './types.js';
+
+export const PROTOBUF_CONTENT_TYPE =
+  'application/vnd.google.protobuf; proto=io.prometheus.client.MetricFamily; encoding=delimited';
+
+// values of io.prometheus.client.MetricType
+const METRIC_TYPES = { counter: 0, gauge: 1, summary: 2, histogram: 4 };
+
+/**
+ * Encode metric families as length-delimited `io.prometheus.client.MetricFamily`
+ * messages, the protobuf exposition format. Unlike the text formats it
+ * carries native histogram buckets.
+ */
+export function formatProtobuf(families: MetricFamily[]): Buffer {
+  const stream = new ProtoWriter();
+  for (const family of families) {
+    stream.delimited(encodeFamily(family));
+  }
+  return Buffer.from(stream.output);
+}
+
+function encodeFamily(family: MetricFamily): ProtoWriter {
+  const message = new ProtoWriter();
+  message.string(1, family.name);
+  message.string(2, family.help);
+  message.uint(3, METRIC_TYPES[family.type]);
+
+  switch (family.type) {
+    case 'counter':
+      for (const series of family.series) {
+        const counter = new ProtoWriter();
+        counter.double(1, series.value);
+        if (series.exemplar) {
+          counter.message(2, encodeExemplar(series.exemplar));
+        }
+        counter.message(3, encodeTimestamp(series.created));
+        message.message(4, encodeMetric(series.labels, 3, counter));
+      }
+      break;
+    case 'gauge':
+      for (const series of family.series) {
+        const gauge = new ProtoWriter();
+        gauge.double(1, series.value);
+        message.message(4, encodeMetric(series.labels, 2, gauge));
+      }
+      break;
+    case 'histogram':
+      for (const series of family.series) {
+        const histogram = new ProtoWriter();
+        histogram.uint(1, series.count);
+        histogram.double(2, series.sum);
+        for (const bucket of series.buckets) {
+          // +Inf is implied by the sample count, it is only sent to carry an
+          // exemplar
+          if (bucket.le === Infinity && !bucket.exemplar) {
+            continue;
+          }
+          const encoded = new ProtoWriter();
+          encoded.uint(1, bucket.count);
+          encoded.double(2, bucket.le);
+          if (bucket.exemplar) {
+            encoded.message(3, encodeExemplar(bucket.exemplar));
+          }
+          histogram.message(3, encoded);
+        }
+        if (series.native) {
+          encodeNative(histogram, series.native);
+        }
+        histogram.message(15, encodeTimestamp(series.created));
+        message.message(4, encodeMetric(series.labels, 7, histogram));
+      }
+      break;
+    case 'summary':
+      for (const series of family.series) {
+        const summary = new ProtoWriter();
+        summary.uint(1, series.count);
+        summary.double(2, series.sum);
+        for (const { quantile, value } of series.quantiles) {
+          const encoded = new ProtoWriter();
+          encoded.double(1, quantile);
+          encoded.double(2, value);
+          summary.message(3, encoded);
+        }
+        summary.message(4, encodeTimestamp(series.created));
+        message.message(4, encodeMetric(series.labels, 4, summary));
+      }
+      break;
+  }
+
+  if (family.unit) {
+    message.string(5, family.unit);
+  }
+  return message;
+}
+
+// a Metric with its labels and the value message in the given field
+function encodeMetric(
+  labels: Labels,
+  field: number,
+  value: ProtoWriter
+): ProtoWriter {
+  const metric = new ProtoWriter();
+  for (const [name, labelValue] of Object.entries(labels)) {
+    metric.message(1, encodeLabel(name, labelValue));
+  }
+  metric.message(field, value);
+  return metric;
+}
+
+function encodeLabel(name: string, value: string): ProtoWriter {
+  const label = new ProtoWriter();
+  label.string(1, name);
+  label.string(2, value);
+  return label;
+}
+
+function encodeExemplar(exemplar: Exemplar): ProtoWriter {
+  const message = new ProtoWriter();
+  for (const [name, value] of Object.entries(exemplar.labels)) {
+    message.message(1, encodeLabel(name, value));
+  }
+  message.double(2, exemplar.value);
+  message.message(3, encodeTimestamp(exemplar.timestamp));
+  return message;
+}
+
+// google.protobuf.Timestamp from milliseconds since the epoch
+function encodeTimestamp(milliseconds: number): ProtoWriter {
+  const timestamp = new ProtoWriter();
+  const seconds = Math.floor(milliseconds / 1000);
+  timestamp.uint(1, seconds);
+  timestamp.uint(2, Math.round((milliseconds - seconds * 1000) * 1e6));
+  return timestamp;
+}
+
+function encodeNative(histogram: ProtoWriter, native: NativeHistogram): void {
+  histogram.sint(5, native.schema);
+  histogram.double(6, native.zeroThreshold);
+  histogram.uint(7, native.zeroCount);
+  encodeSpans(histogram, 9, native.negativeSpans);
+  histogram.packedSint(10, deltas(native.negativeCounts));
+  // a histogram without buckets gets an empty span, so scrapers still
+  // recognise it as native
+  const positiveSpans =
+    native.positiveSpans.length === 0 && native.negativeSpans.length === 0
+      ? [{ offset: 0, length: 0 }]
+      : native.positiveSpans;
+  encodeSpans(histogram, 12, positiveSpans);
+  histogram.packedSint(13, deltas(native.positiveCounts));
+}
+
+function encodeSpans(
+  histogram: ProtoWriter,
+  field: number,
+  spans: BucketSpan[]
+): void {
+  for (const span of spans) {
+    const encoded = new ProtoWriter();
+    encoded.sint(1, span.offset);
+    encoded.uint(2, span.length);
+    histogram.message(field, encoded);
+  }
+}
+
+// bucket counts are sent as the difference to the previous bucket
+function deltas(counts: number[]): number[] {
+  return counts.map((count, i) => count - (i > 0 ? counts[i - 1] : 0));
+}
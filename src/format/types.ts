@@ -0,0 +1,118 @@
+export type MetricType = 'counter' | 'gauge' | 'histogram' | 'summary';
+
+export type Labels = Record<string, string>;
+
+/**
+ * A sample linking a value back to an external trace, e.g. by `trace_id`
+ */
+export interface Exemplar {
+  labels: Labels;
+  value: number;
+  /** Time the exemplar was recorded, in milliseconds since the epoch */
+  timestamp: number;
+}
+
+export interface CounterSeries {
+  labels: Labels;
+  value: number;
+  /** Time the series was created, in milliseconds since the epoch */
+  created: number;
+  /** Latest exemplar recorded for the series */
+  exemplar?: Exemplar;
+}
+
+export interface GaugeSeries {
+  labels: Labels;
+  value: number;
+}
+
+/**
+ * A run of consecutive buckets of a native histogram
+ */
+export interface BucketSpan {
+  /**
+   * Index of the first bucket for the first span, the number of empty
+   * buckets since the previous span for the others
+   */
+  offset: number;
+  length: number;
+}
+
+/**
+ * Buckets of a native histogram. Bucket `i` holds the observations in
+ * `(base^(i-1), base^i]` (negated for negative buckets), with
+ * `base = 2^(2^-schema)`.
+ */
+export interface NativeHistogram {
+  schema: number;
+  /** Observations with an absolute value up to this are counted as zero */
+  zeroThreshold: number;
+  zeroCount: number;
+  positiveSpans: BucketSpan[];
+  /** Count of each bucket in `positiveSpans`, in order, not cumulative */
+  positiveCounts: number[];
+  negativeSpans: BucketSpan[];
+  /** Count of each bucket in `negativeSpans`, in order, not cumulative */
+  negativeCounts: number[];
+}
+
+export interface HistogramSeries {
+  labels: Labels;
+  /**
+   * Cumulative bucket counts, the last bucket is always `le: Infinity`. Each
+   * bucket carries the latest exemplar of a value that fell into it. Only
+   * the `+Inf` bucket is present when classic buckets are disabled.
+   */
+  buckets: { le: number; count: number; exemplar?: Exemplar }[];
+  sum: number;
+  count: number;
+  created: number;
+  /** Native buckets, for histograms created with the `native` option */
+  native?: NativeHistogram;
+}
+
+export interface SummarySeries {
+  labels: Labels;
+  quantiles: { quantile: number; value: number }[];
+  sum: number;
+  count: number;
+  created: number;
+}
+
+interface FamilyBase {
+  name: string;
+  help: string;
+  unit?: string;
+  /** Declared label names, when known */
+  labelNames?: string[];
+}
+
+export interface CounterFamily extends FamilyBase {
+  type: 'counter';
+  series: CounterSeries[];
+}
+
+export interface GaugeFamily extends FamilyBase {
+  type: 'gauge';
+  series: GaugeSeries[];
+}
+
+export interface HistogramFamily extends FamilyBase {
+  type: 'histogram';
+  series: HistogramSeries[];
+}
+
+export interface SummaryFamily extends FamilyBase {
+  type: 'summary';
+  series: SummarySeries[];
+}
+
+/**
+ * Format-independent view of a metric and all of its series, produced by
+ * `getFamily()` on each metric and consumed by the exposition formatters
+ */
+export type MetricFamily =
+  | CounterFamily
+  | GaugeFamily
+  | HistogramFamily
+  | SummaryFamily;
@@ -0,0 +1,114 @@
+import { Buffer } from 'node:buffer';
+import {
+  IncomingMessage,
+  OutgoingHttpHeaders,
+  ServerResponse,
+} from 'node:http';
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import { negotiateFormat } from '../format/negotiate.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { splitTarget } from './target.js';
+
+const gzipAsync = promisify(gzip);
+
+const TEXT_CONTENT_TYPE = 'text/plain; charset=utf-8';
+
+export interface MetricsHandlerOptions {
+  /** Registry to serve (default: the global `register`) */
+  registry?: Registry;
+  /** Gzip the response when the scraper accepts it (default true) */
+  compress?: boolean;
+}
+
+/**
+ * Request listener serving the metrics of a registry
+ */
+export type MetricsHandler = (
+  req: IncomingMessage, // eslint-disable-line no-unused-vars
+  res: ServerResponse // eslint-disable-line no-unused-vars
+) => Promise<void>;
+
+/**
+ * Create a `node:http` request listener that serves a registry's metrics.
+ * The exposition format is negotiated from the `Accept` header, the body is
+ * gzipped when `Accept-Encoding` allows it, and `name[]` query parameters
+ * restrict the output to the named metrics. When a `collect` callback fails,
+ * the scrape is answered with a 500 listing the errors, so Prometheus marks
+ * the target as down instead of storing partial data.
+ * @returns A listener for `http.createServer()` or a framework route
+ */
+export function createMetricsHandler(
+  options: MetricsHandlerOptions = {}
+): MetricsHandler {
+  const registry = options.registry ?? globalRegister;
+  const compress = options.compress ?? true;
+
+  return async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, {
+        'Content-Type': TEXT_CONTENT_TYPE,
+        Allow: 'GET, HEAD',
+      });
+      res.end('Method Not Allowed\n');
+      return;
+    }
+
+    const names = splitTarget(req.url).query.getAll('name[]');
+    const { format, contentType } = negotiateFormat(req.headers.accept);
+
+    const errors: Error[] = [];
+    let body: string | Buffer = '';
+    try {
+      body = await registry.metricsAsync(format, {
+        names: names.length > 0 ? names : undefined,
+        onCollectError: error => errors.push(error),
+      });
+    } catch (err) {
+      errors.push(err instanceof Error ? err : new Error(String(err)));
+    }
+    if (errors.length > 0) {
+      const message = errors.map(error => error.message).join('\n');
+      res.writeHead(500, { 'Content-Type': TEXT_CONTENT_TYPE });
+      res.end(`Error collecting metrics:\n${message}\n`);
+      return;
+    }
+
+    const headers: OutgoingHttpHeaders = {
+      'Content-Type': contentType,
+      Vary: 'Accept-Encoding',
+    };
+    let payload = typeof body === 'string' ? Buffer.from(body) : body;
+    if (compress && acceptsGzip(req.headers['accept-encoding'])) {
+      payload = await gzipAsync(payload);
+      headers['Content-Encoding'] = 'gzip';
+    }
+    headers['Content-Length'] = payload.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : payload);
+  };
+}
+
+// true when gzip (or any encoding) is listed with a non-zero quality
+function acceptsGzip(header?: string): boolean {
+  if (!header) {
+    return false;
+  }
+  let gzipQ: number | undefined;
+  let anyQ: number | undefined;
+  for (const entry of header.split(',')) {
+    const [coding, ...params] = entry.split(';').map(p => p.trim());
+    const qParam = params.find(p => p.toLowerCase().startsWith('q='));
+    const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+    switch (coding.toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip':
+        gzipQ = q;
+        break;
+      case '*':
+        anyQ = q;
+        break;
+    }
+  }
+  return (gzipQ ?? anyQ ?? 0) > 0;
+}
@@ -0,0 +1,327 @@
+import { IncomingMessage, RequestListener, ServerResponse } from 'node:http';
+import process from 'node:process';
+import { Labels } from '../format/types.js';
+import { Counter } from '../metrics/Counter.js';
+import { Gauge } from '../metrics/Gauge.js';
+import { Histogram } from '../metrics/Histogram.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { startClock } from '../utils/timer.js';
+import { splitTarget } from './target.js';
+
+export interface HttpMetricsOptions {
+  /** Registry to register the metrics with (default: the global `register`) */
+  registry?: Registry;
+  /** Prefix for every metric name, e.g. `myapp_` */
+  prefix?: string;
+  /**
+   * Buckets for http_request_duration_seconds, in seconds (default
+   * `DEFAULT_BUCKETS`)
+   */
+  buckets?: number[];
+  /**
+   * Requests to leave out, matched against the path without the query
+   * string (default `['/metrics']`)
+   */
+  excludePaths?: (string | RegExp)[];
+  /** Route label for requests no route matched (default `unmatched`) */
+  unmatchedRoute?: string;
+  /** Names of extra labels, filled in by `getCustomLabels` */
+  customLabels?: string[];
+  /**
+   * Values for `customLabels`, read when the request arrives. A request is
+   * not measured when it throws.
+   */
+  // eslint-disable-next-line no-unused-vars
+  getCustomLabels?: (req: IncomingMessage) => Labels;
+}
+
+export interface NodeHttpMetricsOptions extends HttpMetricsOptions {
+  /**
+   * Route template for a request, e.g. `/users/:id`. Plain `node:http` has
+   * no router, so without it every request is labelled `unmatchedRoute`.
+   */
+  // eslint-disable-next-line no-unused-vars
+  getRoute?: (req: IncomingMessage) => string | undefined;
+}
+
+/**
+ * Finishes the measurement of one request. Calling it more than once has no
+ * effect.
+ */
+// eslint-disable-next-line no-unused-vars
+type EndRequest = (route: string | undefined, statusCode: number) => void;
+
+/**
+ * The metrics shared by all framework adapters: a request counter and a
+ * duration histogram per method, route and status code, and an in-flight
+ * gauge per method (route and status are not known until the request ends).
+ */
+class HttpMetrics {
+  private requests: Counter;
+  private duration: Histogram;
+  private inFlight: Gauge;
+  private excludePaths: (string | RegExp)[];
+  private unmatchedRoute: string;
+  // eslint-disable-next-line no-unused-vars
+  private getCustomLabels?: (req: IncomingMessage) => Labels;
+
+  constructor(options: HttpMetricsOptions) {
+    const registry = options.registry ?? globalRegister;
+    const prefix = options.prefix ?? '';
+    const labels = [
+      'method',
+      'route',
+      'status_code',
+      ...(options.customLabels ?? []),
+    ];
+
+    this.requests = new Counter(
+      `${prefix}http_requests_total`,
+      'Total number of HTTP requests',
+      labels,
+      { registers: [] }
+    );
+    this.duration = new Histogram(
+      `${prefix}http_request_duration_seconds`,
+      'Duration of HTTP requests in seconds',
+      options.buckets,
+      labels,
+      { unit: 'seconds', registers: [] }
+    );
+    this.inFlight = new Gauge(
+      `${prefix}http_requests_in_flight`,
+      'Number of HTTP requests currently being served',
+      ['method'],
+      { registers: [] }
+    );
+    // register all three or none
+    const metrics = [this.requests, this.duration, this.inFlight];
+    for (const metric of metrics) {
+      const { name } = metric.getMetadata();
+      if (registry.getMetric(name)) {
+        throw new Error(`Metric with name '${name}' is already registered`);
+      }
+    }
+    for (const metric of metrics) {
+      registry.register(metric);
+    }
+
+    this.excludePaths = options.excludePaths ?? ['/metrics'];
+    this.unmatchedRoute = options.unmatchedRoute ?? 'unmatched';
+    this.getCustomLabels = options.getCustomLabels;
+  }
+
+  /**
+   * Start measuring a request
+   * @returns A function to call once the response is done, or undefined when
+   * the path is excluded
+   */
+  start(req: IncomingMessage): EndRequest | undefined {
+    const { pathname } = splitTarget(req.url);
+    if (this.isExcluded(pathname)) {
+      return undefined;
+    }
+
+    let customLabels: Labels | undefined;
+    try {
+      customLabels = this.getCustomLabels?.(req);
+    } catch (err) {
+      process.emitWarning(err as Error);
+      return undefined;
+    }
+    const method = req.method ?? 'UNKNOWN';
+    const elapsed = startClock();
+    this.inFlight.inc({ method });
+
+    let ended = false;
+    return (route, statusCode) => {
+      if (ended) {
+        return;
+      }
+      ended = true;
+      this.inFlight.dec({ method });
+
+      const labels = {
+        ...customLabels,
+        method,
+        route: route || this.unmatchedRoute,
+        status_code: String(statusCode),
+      };
+      const seconds = elapsed();
+      // runs in a response listener, where a throw would crash the server,
+      // e.g. on a custom label value the series limit rejects
+      try {
+        this.requests.inc(labels);
+        this.duration.observe(labels, seconds);
+      } catch (err) {
+        process.emitWarning(err as Error);
+      }
+    };
+  }
+
+  private isExcluded(pathname: string): boolean {
+    return this.excludePaths.some(pattern =>
+      typeof pattern === 'string'
+        ? pattern === pathname
+        : pattern.test(pathname)
+    );
+  }
+}
+
+// ends the measurement once the response is sent or the client goes away
+function onResponseDone(res: ServerResponse, done: () => void): void {
+  res.once('finish', done);
+  res.once('close', done);
+}
+
+/**
+ * Wrap a plain `node:http` request listener to record request metrics
+ * @returns A request listener for `http.createServer()`
+ * @throws {Error} When the metrics are already registered
+ */
+export function instrumentHttp(
+  listener: RequestListener,
+  options: NodeHttpMetricsOptions = {}
+): RequestListener {
+  const metrics = new HttpMetrics(options);
+  return (req, res) => {
+    const end = metrics.start(req);
+    if (end) {
+      onResponseDone(res, () => end(options.getRoute?.(req), res.statusCode));
+    }
+    listener(req, res);
+  };
+}
+
+interface ExpressRequest extends IncomingMessage {
+  baseUrl?: string;
+  route?: { path?: unknown };
+}
+
+/**
+ * Express (and Connect) middleware recording request metrics. The route
+ * label is the matched route template, `req.baseUrl + req.route.path`, so
+ * `/users/42` and `/users/43` are both counted as `/users/:id`.
+ * @returns Middleware to install with `app.use()` before the routes
+ * @throws {Error} When the metrics are already registered
+ */
+export function expressMetrics(options: HttpMetricsOptions = {}): (
+  req: IncomingMessage, // eslint-disable-line no-unused-vars
+  res: ServerResponse, // eslint-disable-line no-unused-vars
+  next: () => void // eslint-disable-line no-unused-vars
+) => void {
+  const metrics = new HttpMetrics(options);
+  return (req, res, next) => {
+    const end = metrics.start(req);
+    if (end) {
+      onResponseDone(res, () => {
+        const { baseUrl = '', route } = req as ExpressRequest;
+        const path = typeof route?.path === 'string' ? route.path : undefined;
+        end(path === undefined ? undefined : baseUrl + path, res.statusCode);
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * The parts of a Koa context the middleware reads
+ */
+export interface KoaContext {
+  req: IncomingMessage;
+  status: number;
+  /** Route template set by @koa/router */
+  _matchedRoute?: string | RegExp;
+}
+
+/**
+ * Koa middleware recording request metrics. The route label is the template
+ * @koa/router matched (`ctx._matchedRoute`). Errors thrown further down are
+ * counted with their `status` (or 500) and rethrown.
+ * @returns Middleware to install with `app.use()` before the router
+ * @throws {Error} When the metrics are already registered
+ */
+export function koaMetrics(options: HttpMetricsOptions = {}): (
+  ctx: KoaContext, // eslint-disable-line no-unused-vars
+  next: () => Promise<unknown> // eslint-disable-line no-unused-vars
+) => Promise<void> {
+  const metrics = new HttpMetrics(options);
+  return async (ctx, next) => {
+    const end = metrics.start(ctx.req);
+    if (!end) {
+      await next();
+      return;
+    }
+    const route = (): string | undefined =>
+      typeof ctx._matchedRoute === 'string' ? ctx._matchedRoute : undefined;
+    try {
+      await next();
+    } catch (err) {
+      const status = (err as { status?: unknown }).status;
+      end(route(), typeof status === 'number' ? status : 500);
+      throw err;
+    }
+    end(route(), ctx.status);
+  };
+}
+
+/**
+ * The parts of a Fastify request the plugin reads
+ */
+export interface FastifyRequest {
+  raw: IncomingMessage;
+  /** Route template, Fastify 4.10+ */
+  routeOptions?: { url?: string };
+  /** Route template, older Fastify versions */
+  routerPath?: string;
+}
+
+/**
+ * The parts of a Fastify instance the plugin uses
+ */
+export interface FastifyInstance {
+  addHook(
+    name: 'onRequest', // eslint-disable-line no-unused-vars
+    // eslint-disable-next-line no-unused-vars
+    hook: (request: FastifyRequest, reply: { raw: ServerResponse }) => unknown
+  ): unknown;
+}
+
+/**
+ * A Fastify plugin, see `fastifyMetrics()`
+ */
+export type FastifyMetricsPlugin = (
+  fastify: FastifyInstance, // eslint-disable-line no-unused-vars
+  opts: unknown, // eslint-disable-line no-unused-vars
+  done: () => void // eslint-disable-line no-unused-vars
+) => void;
+
+/**
+ * Fastify plugin recording request metrics. The route label is the route's
+ * URL template (`request.routeOptions.url`). The plugin is not encapsulated,
+ * so it sees every route no matter where it is registered.
+ * @returns A plugin for `fastify.register()`
+ * @throws {Error} When the metrics are already registered
+ */
+export function fastifyMetrics(
+  options: HttpMetricsOptions = {}
+): FastifyMetricsPlugin {
+  const metrics = new HttpMetrics(options);
+
+  const plugin: FastifyMetricsPlugin = (fastify, _opts, done) => {
+    fastify.addHook('onRequest', async (request, reply) => {
+      const end = metrics.start(request.raw);
+      if (end) {
+        onResponseDone(reply.raw, () =>
+          end(
+            request.routeOptions?.url ?? request.routerPath,
+            reply.raw.statusCode
+          )
+        );
+      }
+    });
+    done();
+  };
+  // same as wrapping with fastify-plugin: apply the hooks to the whole app
+  return Object.assign(plugin, { [Symbol.for('skip-override')]: true });
+}
@@ -0,0 +1,43 @@
+import { createServer, Server } from 'node:http';
+import { createMetricsHandler, MetricsHandlerOptions } from './handler.js';
+import { splitTarget } from './target.js';
+
+export interface MetricsServerOptions extends MetricsHandlerOptions {
+  /** Port to listen on, 0 picks a free one */
+  port: number;
+  /** Address to bind to (default: all interfaces) */
+  host?: string;
+  /** Path metrics are served under (default `/metrics`) */
+  path?: string;
+}
+
+/**
+ * Start a standalone HTTP server exposing a registry, for processes that do
+ * not serve HTTP themselves (queue workers, cron jobs). Other paths get a 404.
+ * @returns The listening server, close it to stop serving
+ * @throws {Error} When the server cannot listen, e.g. the port is taken
+ */
+export function startMetricsServer(
+  options: MetricsServerOptions
+): Promise<Server> {
+  const handler = createMetricsHandler(options);
+  const path = options.path ?? '/metrics';
+
+  const server = createServer((req, res) => {
+    const { pathname } = splitTarget(req.url);
+    if (pathname !== path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not Found\n');
+      return;
+    }
+    handler(req, res).catch(err => res.destroy(err));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
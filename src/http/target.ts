@@ -0,0 +1,19 @@
+import { URLSearchParams } from 'node:url';
+
+/**
+ * Path and query of a request target. Split at the `?` rather than parsed as
+ * a URL: the target comes from the client, and one starting with `//` would
+ * be read as a host, or make the URL parser throw.
+ */
+export function splitTarget(target = '/'): {
+  pathname: string;
+  query: URLSearchParams;
+} {
+  const index = target.indexOf('?');
+  return index === -1
+    ? { pathname: target, query: new URLSearchParams() }
+    : {
+        pathname: target.slice(0, index),
+        query: new URLSearchParams(target.slice(index + 1)),
+      };
+}
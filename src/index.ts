@@ -1,90 +1,146 @@
 export { Counter } from './metrics/Counter.js';
 export { Gauge } from './metrics/Gauge.js';
 export { Histogram } from './metrics/Histogram.js';
+export { Summary } from './metrics/Summary.js';
+export type { CounterChild } from './metrics/Counter.js';
+export type { GaugeChild } from './metrics/Gauge.js';
+export type { HistogramChild, HistogramOptions } from './metrics/Histogram.js';
+export type { NativeHistogramOptions } from './utils/nativeHistogram.js';
+export type { SummaryChild, SummaryOptions } from './metrics/Summary.js';
+export type {
+  CollectFunction,
+  EndTimer,
+  MetricMetadata,
+  MetricOptions,
+} from './metrics/types.js';
+export {
+  DEFAULT_BUCKETS,
+  exponentialBuckets,
+  linearBuckets,
+} from './metrics/buckets.js';
+export { snapshotFamily } from './metrics/snapshot.js';
+export type {
+  CounterSnapshot,
+  GaugeSnapshot,
+  HistogramSeriesSnapshot,
+  HistogramSnapshot,
+  MetricSnapshot,
+  SummarySeriesSnapshot,
+  SummarySnapshot,
+  ValueSeriesSnapshot,
+} from './metrics/snapshot.js';
+export { OVERFLOW_LABEL_VALUE } from './metrics/seriesLimit.js';
+export type {
+  SeriesLimitEvent,
+  SeriesLimitListener,
+  SeriesLimitPolicy,
+} from './metrics/seriesLimit.js';
+export type { LabelValues } from './utils/labels.js';
+export {
+  formatPrometheus,
+  PROMETHEUS_CONTENT_TYPE,
+} from './format/prometheus.js';
+export {
+  formatOpenMetrics,
+  OPENMETRICS_CONTENT_TYPE,
+} from './format/openmetrics.js';
+export { formatProtobuf, PROTOBUF_CONTENT_TYPE } from './format/protobuf.js';
+export {
+  parseOpenMetrics,
+  ParseError,
+  parsePrometheus,
+} from './format/parse.js';
+export type {
+  ParsedExemplar,
+  ParsedFamily,
+  ParsedMetricType,
+  ParsedSample,
+} from './format/parse.js';
+export { formatGraphite } from './format/graphite.js';
+export { formatInfluxLineProtocol } from './format/influx.js';
+export {
+  formatOtlpJson,
+  formatOtlpProtobuf,
+  OTLP_JSON_CONTENT_TYPE,
+  OTLP_PROTOBUF_CONTENT_TYPE,
+  toOtlpMetrics,
+} from './format/otlp.js';
+export type {
+  OtlpAttributes,
+  OtlpConversionOptions,
+  OtlpHistogramDataPoint,
+  OtlpKeyValue,
+  OtlpMetric,
+  OtlpMetricsRequest,
+  OtlpNumberDataPoint,
+  OtlpSummaryDataPoint,
+} from './format/otlp.js';
+export { negotiateFormat } from './format/negotiate.js';
+export type {
+  ExpositionFormat,
+  NegotiatedFormat,
+  TextExpositionFormat,
+} from './format/negotiate.js';
+export type * from './format/types.js';
 
 // Re-export types for convenience
 export type { Counter as CounterType } from './metrics/Counter.js';
 export type { Gauge as GaugeType } from './metrics/Gauge.js';
 export type { Histogram as HistogramType } from './metrics/Histogram.js';
+export type { Summary as SummaryType } from './metrics/Summary.js';
 
-import { Counter } from './metrics/Counter.js';
-import { Gauge } from './metrics/Gauge.js';
-import { Histogram } from './metrics/Histogram.js';
-
-type Metric = Counter | Gauge | Histogram;
-
-/**
- * Registry class to manage multiple metrics and provide a central endpoint
- * for collecting all metrics in Prometheus format
- */
-export class Registry {
-  private _metrics: Map<string, Metric> = new Map();
-
-  /**
-   * Register a metric with the registry
-   * @param name - Unique name for the metric
-   * @param metric - The metric instance to register
-   */
-  register(name: string, metric: Metric): void {
-    if (this._metrics.has(name)) {
-      throw new Error(`Metric with name '${name}' is already registered`);
-    }
-    this._metrics.set(name, metric);
-  }
-
-  /**
-   * Unregister a metric from the registry
-   * @param name - Name of the metric to remove
-   */
-  unregister(name: string): boolean {
-    return this._metrics.delete(name);
-  }
-
-  /**
-   * Get a registered metric by name
-   * @param name - Name of the metric to retrieve
-   * @returns The metric instance or undefined if not found
-   */
-  getMetric(name: string): Metric | undefined {
-    return this._metrics.get(name);
-  }
-
-  /**
-   * Clear all registered metrics
-   */
-  clear(): void {
-    this._metrics.clear();
-  }
-
-  /**
-   * Get all registered metric names
-   * @returns Array of metric names
-   */
-  getMetricNames(): string[] {
-    return Array.from(this._metrics.keys());
-  }
-
-  /**
-   * Generate Prometheus format output for all registered metrics
-   * @returns String containing all metrics in Prometheus format
-   */
-  metrics(): string {
-    let output = '';
-    for (const [, metric] of this._metrics) {
-      output += metric.toPrometheus();
-    }
-    return output;
-  }
-
-  /**
-   * Reset all registered metrics
-   */
-  resetAll(): void {
-    for (const [, metric] of this._metrics) {
-      metric.reset();
-    }
-  }
-}
-
-// Default registry instance
-export const register = new Registry();
+export {
+  Registry,
+  register,
+  SERIES_LIMIT_METRIC,
+} from './registry/Registry.js';
+export type {
+  CollectErrorHandler,
+  Metric,
+  MetricsOptions,
+  RegisteredMetric,
+  RegistryOptions,
+} from './registry/Registry.js';
+export { collectDefaultMetrics } from './defaultMetrics/index.js';
+export type { DefaultMetricsOptions } from './defaultMetrics/index.js';
+export { createMetricsHandler } from './http/handler.js';
+export type { MetricsHandler, MetricsHandlerOptions } from './http/handler.js';
+export { startMetricsServer } from './http/server.js';
+export type { MetricsServerOptions } from './http/server.js';
+export {
+  expressMetrics,
+  fastifyMetrics,
+  instrumentHttp,
+  koaMetrics,
+} from './http/middleware.js';
+export type {
+  FastifyInstance,
+  FastifyMetricsPlugin,
+  FastifyRequest,
+  HttpMetricsOptions,
+  KoaContext,
+  NodeHttpMetricsOptions,
+} from './http/middleware.js';
+export { groupingPath, Pushgateway } from './push/Pushgateway.js';
+export type { PushgatewayOptions, PushParams } from './push/Pushgateway.js';
+export { OtlpExporter } from './push/OtlpExporter.js';
+export type { OtlpEncoding, OtlpExporterOptions } from './push/OtlpExporter.js';
+export { LineProtocolExporter } from './push/LineProtocolExporter.js';
+export type {
+  LineProtocolExporterOptions,
+  LineProtocolFormat,
+} from './push/LineProtocolExporter.js';
+export { StatsdExporter } from './push/StatsdExporter.js';
+export type {
+  StatsdExporterOptions,
+  StatsdProtocol,
+} from './push/StatsdExporter.js';
+export { AggregatorRegistry } from './cluster/AggregatorRegistry.js';
+export type {
+  AggregatorRegistryOptions,
+  ClusterWorker,
+  ThreadWorker,
+} from './cluster/AggregatorRegistry.js';
+export type { GaugeAggregation } from './cluster/aggregate.js';
+export { exposeWorkerMetrics } from './cluster/worker.js';
+export type { ProcessChannel, WorkerMetricsOptions } from './cluster/worker.js';
@@ -0,0 +1,180 @@
+import { formatPrometheusFamily } from '../format/prometheus.js';
+import { Labels, MetricFamily, MetricType } from '../format/types.js';
+import { LabelValues } from '../utils/labels.js';
+import {
+  validateLabelDefaults,
+  validateLabelNames,
+  validateMetricName,
+  validateUnit,
+} from '../utils/validation.js';
+import type { Metric, Registry } from '../registry/Registry.js';
+import { Series, SeriesMap } from './series.js';
+import {
+  SeriesLimit,
+  SeriesLimitListener,
+  SeriesLimitPolicy,
+} from './seriesLimit.js';
+import { CollectFunction, MetricMetadata, MetricOptions } from './types.js';
+
+/**
+ * What the metric classes share: metadata, series storage with ttl expiry
+ * and the series limit, the `collect` callback and registration
+ */
+export abstract class BaseMetric<T extends MetricType, S extends Series> {
+  protected name: string;
+  protected help: string;
+  protected labelNames: string[];
+  protected labelDefaults: Labels;
+  protected unit?: string;
+  protected series: SeriesMap<S>;
+  private type: T;
+  private collectFn?: CollectFunction<this>;
+  private ttl?: number;
+  private seriesLimit: SeriesLimit;
+
+  /**
+   * Subclasses call `registerWith()` once they are fully set up
+   * @param reservedLabels - Label names the metric type uses itself
+   * @throws {Error} When the name, labels or options are invalid
+   */
+  constructor(
+    type: T,
+    name: string,
+    help: string,
+    labels: string[],
+    options: MetricOptions<never>,
+    reservedLabels: string[] = []
+  ) {
+    validateMetricName(name);
+    validateLabelNames(labels, reservedLabels);
+    if (options.unit !== undefined) {
+      validateUnit(name, options.unit);
+    }
+    validateLabelDefaults(labels, options.labelDefaults ?? {});
+    if (
+      options.ttl !== undefined &&
+      (!Number.isFinite(options.ttl) || options.ttl <= 0)
+    ) {
+      throw new Error(`ttl must be a positive number, got ${options.ttl}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labels;
+    this.labelDefaults = { ...options.labelDefaults };
+    this.unit = options.unit;
+    this.collectFn = options.collect as CollectFunction<this> | undefined;
+    this.ttl = options.ttl;
+    this.seriesLimit = new SeriesLimit(
+      name,
+      labels,
+      options.maxSeries,
+      options.seriesLimitPolicy
+    );
+    if (options.onSeriesLimit) {
+      this.seriesLimit.addListener(options.onSeriesLimit);
+    }
+    this.series = new SeriesMap(
+      labels,
+      this.labelDefaults,
+      this.seriesLimit,
+      series => this.createSeries(series)
+    );
+  }
+
+  /**
+   * Add the metric's initial state to a new series
+   */
+  // eslint-disable-next-line no-unused-vars
+  protected abstract createSeries(series: Series): S;
+
+  abstract getFamily(): Extract<MetricFamily, { type: T }>;
+
+  // the global register is passed in by the subclasses: the registry
+  // module imports Counter, which can't extend this class before it exists
+  protected registerWith(registers: Registry[]): void {
+    for (const registry of registers) {
+      registry.register(this as unknown as Metric);
+    }
+  }
+
+  /**
+   * Delete the series of one label combination, e.g. when a tenant or
+   * connection goes away
+   * @returns Whether the series existed
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  remove(labels: LabelValues = []): boolean {
+    return this.series.remove(labels);
+  }
+
+  /**
+   * Delete every series
+   */
+  reset(): void {
+    this.series.clear();
+  }
+
+  /**
+   * Call `listener` whenever an observation hits the `maxSeries` limit
+   * @returns A function that removes the listener
+   */
+  onSeriesLimit(listener: SeriesLimitListener): () => void {
+    return this.seriesLimit.addListener(listener);
+  }
+
+  /**
+   * Use a registry's `maxSeries` default. Has no effect when the metric
+   * already has a limit, of its own or from another registry.
+   */
+  applyDefaultSeriesLimit(maxSeries: number, policy?: SeriesLimitPolicy): void {
+    this.seriesLimit.applyDefault(maxSeries, policy);
+  }
+
+  protected touch(series: S): void {
+    if (this.ttl !== undefined) {
+      series.updated = Date.now();
+    }
+  }
+
+  // drops series that were not updated within the ttl. Called by getFamily(),
+  // so expiry happens at scrape time without a timer.
+  protected expire(): void {
+    if (this.ttl !== undefined) {
+      this.series.expire(Date.now() - this.ttl);
+    }
+  }
+
+  /**
+   * Name, help, type, unit and label names of the metric
+   */
+  getMetadata(): MetricMetadata<T> {
+    return {
+      name: this.name,
+      help: this.help,
+      type: this.type,
+      unit: this.unit,
+      labelNames: [...this.labelNames],
+    };
+  }
+
+  /**
+   * Names of the labels declared for this metric
+   */
+  getLabelNames(): string[] {
+    return [...this.labelNames];
+  }
+
+  /**
+   * Run the `collect` callback, if one was given. The registry calls this
+   * right before serializing the metric.
+   */
+  collect(): void | Promise<void> {
+    return this.collectFn?.(this);
+  }
+
+  toPrometheus(): string {
+    return formatPrometheusFamily(this.getFamily());
+  }
+}
@@ -1,95 +1,157 @@
-export class Counter {
-  private name: string;
-  private help: string;
-  private labels: string[];
-  private values: Map<string, number>;
-
-  constructor(name: string, help: string, labels: string[] = []) {
-    this.name = name;
-    this.help = help;
-    this.labels = labels;
-    this.values = new Map();
+import { CounterFamily, Exemplar, Labels } from '../format/types.js';
+import { LabelValues } from '../utils/labels.js';
+import { validateExemplarLabels, validateValue } from '../utils/validation.js';
+import { register as globalRegister } from '../registry/Registry.js';
+import { BaseMetric } from './BaseMetric.js';
+import { Series } from './series.js';
+import { CounterSnapshot, snapshotFamily } from './snapshot.js';
+import { MetricOptions } from './types.js';
+
+/**
+ * Counter bound to one label combination, see `Counter.labels()`
+ */
+export interface CounterChild {
+  // eslint-disable-next-line no-unused-vars
+  inc(amount?: number, exemplarLabels?: Labels): void;
+}
+
+interface CounterSeries extends Series {
+  value: number;
+  created: number;
+  exemplar?: Exemplar;
+}
+
+export class Counter extends BaseMetric<'counter', CounterSeries> {
+  constructor(
+    name: string,
+    help: string,
+    labels: string[] = [],
+    options: MetricOptions<Counter> = {}
+  ) {
+    super('counter', name, help, labels, options);
+    this.registerWith(options.registers ?? [globalRegister]);
+  }
+
+  protected createSeries(series: Series): CounterSeries {
+    return { ...series, value: 0, created: Date.now() };
   }
 
   // Overload signatures
   // eslint-disable-next-line no-unused-vars
-  inc(amount?: number): void;
+  inc(amount?: number, exemplarLabels?: Labels): void;
   // eslint-disable-next-line no-unused-vars
-  inc(labels: string[], amount?: number): void;
+  inc(labels: LabelValues, amount?: number, exemplarLabels?: Labels): void;
 
   // Implementation
-  inc(arg1?: number | string[], arg2?: number): void {
-    let labels: string[] = [];
+  inc(
+    arg1?: number | LabelValues,
+    arg2?: number | Labels,
+    arg3?: Labels
+  ): void {
+    let labels: LabelValues = [];
     let amount: number;
+    let exemplarLabels: Labels | undefined;
 
     if (arg1 === undefined) {
       amount = 1;
+      exemplarLabels = arg2 as Labels | undefined;
     } else if (typeof arg1 === 'number') {
       amount = arg1;
-    } else if (Array.isArray(arg1)) {
+      exemplarLabels = arg2 as Labels | undefined;
+    } else if (typeof arg1 === 'object' && arg1 !== null) {
       labels = arg1;
-      amount = arg2 ?? 1; // default to 1
+      amount = (arg2 ?? 1) as number; // default to 1
+      exemplarLabels = arg3;
     } else {
       throw new TypeError(`Invalid argument type: ${typeof arg1}`);
     }
 
-    if (labels.length !== this.labels.length) {
-      throw new Error(
-        `Label count mismatch, expected ${this.labels.length} but got ${labels.length}`
-      );
-    }
+    this.validate(amount, exemplarLabels);
+    this.add(this.series.obtain(labels), amount, exemplarLabels);
+  }
 
-    if (
-      typeof amount !== 'number' ||
-      isNaN(amount) ||
-      !Number.isFinite(amount)
-    ) {
-      throw new TypeError(`Amount is not a valid finite number: ${amount}`);
-    }
+  getValue(labels: LabelValues = []): number {
+    return this.series.find(labels)?.value ?? 0;
+  }
+
+  // Overload signatures
+  // eslint-disable-next-line no-unused-vars
+  labels(...values: string[]): CounterChild;
+  // eslint-disable-next-line no-unused-vars
+  labels(labels: Labels): CounterChild;
+
+  /**
+   * Bind the counter to one label combination. The labels are validated
+   * once, so the returned handle is cheap to use on hot paths.
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  labels(...args: string[] | [Labels]): CounterChild {
+    const series = this.series.bind(
+      typeof args[0] === 'object' ? args[0] : (args as string[])
+    );
+    return {
+      inc: (amount = 1, exemplarLabels): void => {
+        this.validate(amount, exemplarLabels);
+        this.add(series(), amount, exemplarLabels);
+      },
+    };
+  }
+
+  // checked before the series is obtained, so invalid observations don't
+  // create series
+  private validate(amount: number, exemplarLabels?: Labels): void {
+    validateValue(amount, 'Amount');
 
     if (amount < 0) {
       throw new Error('Counter cannot be decreased');
     }
 
-    const key = JSON.stringify(labels);
-    this.values.set(key, (this.values.get(key) || 0) + amount);
+    if (exemplarLabels !== undefined) {
+      validateExemplarLabels(exemplarLabels);
+    }
   }
 
-  reset(): void {
-    this.values.clear();
-  }
+  // series is undefined when the series limit dropped the observation
+  private add(
+    series: CounterSeries | undefined,
+    amount: number,
+    exemplarLabels?: Labels
+  ): void {
+    if (series === undefined) {
+      return;
+    }
 
-  getValue(labels: string[] = []): number {
-    if (labels.length !== this.labels.length) {
-      throw new Error(
-        `Label count mismatch, expected ${this.labels.length} but got ${labels.length}`
-      );
+    series.value += amount;
+    this.touch(series);
+    if (exemplarLabels !== undefined) {
+      series.exemplar = {
+        labels: { ...exemplarLabels },
+        value: amount,
+        timestamp: Date.now(),
+      };
     }
-    const key = JSON.stringify(labels);
-    return this.values.get(key) || 0;
   }
 
-  toPrometheus(): string {
-    let output = `# HELP ${this.name} ${this.help} \n`;
-    output += `# TYPE ${this.name} counter\n`;
-
-    for (const [key, value] of this.values) {
-      const splitKeys = JSON.parse(key);
-      output += `${this.name}`;
-      for (let i = 0; i < this.labels.length; i++) {
-        if (i === 0) {
-          output += '{';
-        }
-        output += `${this.labels[i]}="${splitKeys[i]}"`;
-        if (i !== this.labels.length - 1) {
-          output += ', ';
-        }
-        if (i === this.labels.length - 1) {
-          output += '}';
-        }
-      }
-      output += ` ${value}\n`;
+  getFamily(): CounterFamily {
+    this.expire();
+    const series = [];
+    for (const { labels, value, created, exemplar } of this.series) {
+      series.push({ labels, value, created, exemplar });
     }
-    return output;
+    return {
+      name: this.name,
+      help: this.help,
+      type: 'counter',
+      unit: this.unit,
+      labelNames: [...this.labelNames],
+      series,
+    };
+  }
+
+  /**
+   * Current value of every series, as plain objects
+   */
+  snapshot(): CounterSnapshot {
+    return snapshotFamily(this.getFamily());
   }
 }
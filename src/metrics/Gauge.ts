@@ -1,25 +1,53 @@
-export class Gauge {
-  private name: string;
-  private help: string;
-  private labels: string[];
-  private values: Map<string, number>;
-
-  constructor(name: string, help: string, labels: string[] = []) {
-    this.name = name;
-    this.help = help;
-    this.labels = labels;
-    this.values = new Map();
+import { GaugeFamily, Labels } from '../format/types.js';
+import { LabelValues } from '../utils/labels.js';
+import { validateValue } from '../utils/validation.js';
+import { startClock } from '../utils/timer.js';
+import { register as globalRegister } from '../registry/Registry.js';
+import { BaseMetric } from './BaseMetric.js';
+import { Series } from './series.js';
+import { GaugeSnapshot, snapshotFamily } from './snapshot.js';
+import { EndTimer, MetricOptions } from './types.js';
+
+/**
+ * Gauge bound to one label combination, see `Gauge.labels()`
+ */
+export interface GaugeChild {
+  // eslint-disable-next-line no-unused-vars
+  inc(value?: number): void;
+  // eslint-disable-next-line no-unused-vars
+  dec(value?: number): void;
+  // eslint-disable-next-line no-unused-vars
+  set(value: number): void;
+}
+
+interface GaugeSeries extends Series {
+  value: number;
+}
+
+export class Gauge extends BaseMetric<'gauge', GaugeSeries> {
+  constructor(
+    name: string,
+    help: string,
+    labels: string[] = [],
+    options: MetricOptions<Gauge> = {}
+  ) {
+    super('gauge', name, help, labels, options);
+    this.registerWith(options.registers ?? [globalRegister]);
+  }
+
+  protected createSeries(series: Series): GaugeSeries {
+    return { ...series, value: 0 };
   }
 
   // Overload signatures
   // eslint-disable-next-line no-unused-vars
   inc(value?: number): void;
   // eslint-disable-next-line no-unused-vars
-  inc(labels: string[], value?: number): void;
+  inc(labels: LabelValues, value?: number): void;
 
   // Implementation
-  inc(arg1?: number | string[], arg2?: number): void {
-    let labels: string[] = [];
+  inc(arg1?: number | LabelValues, arg2?: number): void {
+    let labels: LabelValues = [];
     let value: number;
 
     if (typeof arg1 === 'number' || arg1 === undefined) {
@@ -29,29 +57,19 @@ export class Gauge {
       value = arg2 ?? 1; // default to 1
     }
 
-    if (labels.length !== this.labels.length) {
-      throw new Error(
-        `Label count mismatch, expected ${this.labels.length} but got ${labels.length}`
-      );
-    }
-
-    if (typeof value !== 'number' || isNaN(value) || !Number.isFinite(value)) {
-      throw new TypeError(`Value is not a valid finite number: ${value}`);
-    }
-
-    const key = JSON.stringify(labels);
-    this.values.set(key, (this.values.get(key) || 0) + value);
+    validateValue(value);
+    this.add(this.series.obtain(labels), value);
   }
 
   // Overload signatures
   // eslint-disable-next-line no-unused-vars
   dec(value?: number): void;
   // eslint-disable-next-line no-unused-vars
-  dec(labels: string[], value?: number): void;
+  dec(labels: LabelValues, value?: number): void;
 
   // Implementation
-  dec(arg1?: number | string[], arg2?: number): void {
-    let labels: string[] = [];
+  dec(arg1?: number | LabelValues, arg2?: number): void {
+    let labels: LabelValues = [];
     let value: number;
 
     if (typeof arg1 === 'number' || arg1 === undefined) {
@@ -61,85 +79,130 @@ export class Gauge {
       value = arg2 ?? 1; // default to 1
     }
 
-    if (labels.length !== this.labels.length) {
-      throw new Error(
-        `Label count mismatch, expected ${this.labels.length} but got ${labels.length}`
-      );
-    }
-
-    if (typeof value !== 'number' || isNaN(value) || !Number.isFinite(value)) {
-      throw new TypeError(`Value is not a valid finite number: ${value}`);
-    }
-
-    const key = JSON.stringify(labels);
-    this.values.set(key, (this.values.get(key) || 0) - value);
+    validateValue(value);
+    this.add(this.series.obtain(labels), -value);
   }
 
   // Overload signatures
   // eslint-disable-next-line no-unused-vars
   set(value: number): void;
   // eslint-disable-next-line no-unused-vars
-  set(labels: string[], value: number): void;
+  set(labels: LabelValues, value: number): void;
 
   // Implementation
-  set(arg1: number | string[], arg2?: number): void {
-    let labels: string[] = [];
+  set(arg1: number | LabelValues, arg2?: number): void {
+    let labels: LabelValues = [];
     let value: number;
 
     if (typeof arg1 === 'number') {
       value = arg1;
-    } else if (Array.isArray(arg1)) {
+    } else if (typeof arg1 === 'object' && arg1 !== null) {
       labels = arg1;
       value = arg2 ?? 0;
     } else {
       throw new TypeError(
-        `Labels must be an array of strings, got ${typeof arg1}`
+        `Labels must be an array or an object, got ${typeof arg1}`
       );
     }
 
-    if (typeof value !== 'number' || isNaN(value) || !Number.isFinite(value)) {
-      throw new TypeError(`Value is not a valid finite number: ${value}`);
-    }
+    validateValue(value);
+    this.assign(this.series.obtain(labels), value);
+  }
 
-    const key = JSON.stringify(labels);
-    this.values.set(key, value);
+  /**
+   * Set the gauge to the current Unix time in seconds, e.g. to record when a
+   * job last succeeded
+   */
+  setToCurrentTime(labels: LabelValues = []): void {
+    this.assign(this.series.obtain(labels), Date.now() / 1000);
   }
 
-  get(labels: string[] = []): number {
-    if (labels.length !== this.labels.length) {
-      throw new Error('Label count mismatch');
-    }
+  /**
+   * Start measuring a duration
+   * @param labels - Labels known at the start
+   * @returns A function that sets the gauge to the elapsed seconds
+   */
+  startTimer(labels: Labels = {}): EndTimer {
+    const elapsed = startClock();
+    return endLabels => {
+      const seconds = elapsed();
+      this.set({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels: LabelValues = []): number {
+    return this.series.find(labels)?.value ?? 0;
+  }
 
-    const key = JSON.stringify(labels);
-    return this.values.get(key) || 0;
+  // Overload signatures
+  // eslint-disable-next-line no-unused-vars
+  labels(...values: string[]): GaugeChild;
+  // eslint-disable-next-line no-unused-vars
+  labels(labels: Labels): GaugeChild;
+
+  /**
+   * Bind the gauge to one label combination. The labels are validated once,
+   * so the returned handle is cheap to use on hot paths.
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  labels(...args: string[] | [Labels]): GaugeChild {
+    const series = this.series.bind(
+      typeof args[0] === 'object' ? args[0] : (args as string[])
+    );
+    return {
+      inc: (value = 1): void => {
+        validateValue(value);
+        this.add(series(), value);
+      },
+      dec: (value = 1): void => {
+        validateValue(value);
+        this.add(series(), -value);
+      },
+      set: (value): void => {
+        validateValue(value);
+        this.assign(series(), value);
+      },
+    };
   }
 
-  // clear all values
-  reset(): void {
-    this.values.clear();
+  // series is undefined when the series limit dropped the observation
+  private add(series: GaugeSeries | undefined, value: number): void {
+    if (series === undefined) {
+      return;
+    }
+    series.value += value;
+    this.touch(series);
   }
 
-  toPrometheus(): string {
-    let output = `# HELP ${this.name} ${this.help} \n`;
-    output += `# TYPE ${this.name} gauge \n`;
-
-    for (const [key, value] of this.values) {
-      const splitKeys = JSON.parse(key);
-      output += `${this.name}`;
-      for (let i = 0; i < this.labels.length; i++) {
-        if (i === 0) {
-          output += '{';
-        }
-        output += `${this.labels[i]}="${splitKeys[i]}"`;
-        if (i !== this.labels.length - 1) {
-          output += ', ';
-        }
-        if (i === this.labels.length - 1) {
-          output += '}';
-        }
-      }
-      output += ` ${value}\n`;
+  private assign(series: GaugeSeries | undefined, value: number): void {
+    if (series === undefined) {
+      return;
     }
-    return output;
+    series.value = value;
+    this.touch(series);
+  }
+
+  getFamily(): GaugeFamily {
+    this.expire();
+    const series = [];
+    for (const { labels, value } of this.series) {
+      series.push({ labels, value });
+    }
+    return {
+      name: this.name,
+      help: this.help,
+      type: 'gauge',
+      unit: this.unit,
+      labelNames: [...this.labelNames],
+      series,
+    };
+  }
+
+  /**
+   * Current value of every series, as plain objects
+   */
+  snapshot(): GaugeSnapshot {
+    return snapshotFamily(this.getFamily());
   }
 }
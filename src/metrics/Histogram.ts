@@ -1,165 +1,335 @@
-export class Histogram {
-  private name: string;
-  private help: string;
+import process from 'node:process';
+import { Exemplar, HistogramFamily, Labels } from '../format/types.js';
+import { LabelValues } from '../utils/labels.js';
+import {
+  validateBuckets,
+  validateExemplarLabels,
+  validateValue,
+} from '../utils/validation.js';
+import { register as globalRegister } from '../registry/Registry.js';
+import { BaseMetric } from './BaseMetric.js';
+import { Series } from './series.js';
+import { HistogramSnapshot, snapshotFamily } from './snapshot.js';
+import { startClock } from '../utils/timer.js';
+import { DEFAULT_BUCKETS } from './buckets.js';
+import {
+  NativeBuckets,
+  NativeHistogramOptions,
+  resolveNativeHistogramOptions,
+} from '../utils/nativeHistogram.js';
+import { EndTimer, MetricOptions } from './types.js';
+
+export interface HistogramOptions extends MetricOptions<Histogram> {
+  /**
+   * Also record native histogram buckets, whose boundaries grow
+   * exponentially and need no configuration. `true` uses the defaults.
+   */
+  native?: boolean | NativeHistogramOptions;
+  /**
+   * Record the classic buckets given to the constructor (default true).
+   * Turning them off requires `native`, only the `+Inf` bucket is then
+   * exposed in the text formats.
+   */
+  classic?: boolean;
+}
+
+/**
+ * Histogram bound to one label combination, see `Histogram.labels()`
+ */
+export interface HistogramChild {
+  // eslint-disable-next-line no-unused-vars
+  observe(value: number, exemplarLabels?: Labels): void;
+}
+
+interface HistogramSeries extends Series {
+  // observations per classic bucket, not cumulative: counts[i] holds those
+  // above the previous bound up to buckets[i]. Summed up at scrape time.
+  counts: Float64Array;
+  sum: number;
+  count: number;
+  created: number;
+  // by bucket index, the index after the last bucket is +Inf
+  exemplars?: (Exemplar | undefined)[];
+  native?: NativeBuckets;
+}
+
+export class Histogram extends BaseMetric<'histogram', HistogramSeries> {
   private buckets: number[];
-  private labels: string[];
-  private counts: Map<string, Map<number, number>>;
-  private totalSum: Map<string, number>;
-  private totalCount: Map<string, number>;
+  private nativeOptions?: Required<NativeHistogramOptions>;
 
   constructor(
     name: string,
     help: string,
-    buckets: number[],
-    labels: string[] = []
+    buckets: readonly number[] = DEFAULT_BUCKETS,
+    labels: string[] = [],
+    options: HistogramOptions = {}
   ) {
-    this.name = name;
-    this.help = help;
-    this.buckets = [...buckets].sort((a, b) => a - b);
-    this.labels = labels;
-    this.counts = new Map();
-    this.totalSum = new Map();
-    this.totalCount = new Map();
+    super('histogram', name, help, labels, options, ['le']);
+    const classic = options.classic ?? true;
+    if (classic) {
+      validateBuckets(buckets);
+    } else if (!options.native) {
+      throw new Error(
+        'A histogram without classic buckets needs the native option'
+      );
+    }
+
+    this.buckets = classic ? [...buckets].sort((a, b) => a - b) : [];
+    this.nativeOptions = options.native
+      ? resolveNativeHistogramOptions(
+          options.native === true ? {} : options.native
+        )
+      : undefined;
+    this.registerWith(options.registers ?? [globalRegister]);
+  }
+
+  protected createSeries(series: Series): HistogramSeries {
+    return {
+      ...series,
+      counts: new Float64Array(this.buckets.length),
+      sum: 0,
+      count: 0,
+      created: Date.now(),
+      native: this.nativeOptions && new NativeBuckets(this.nativeOptions),
+    };
   }
 
   // Overload signatures
   // eslint-disable-next-line no-unused-vars
-  observe(value: number): void;
+  observe(value: number, exemplarLabels?: Labels): void;
   // eslint-disable-next-line no-unused-vars
-  observe(labels: string[], value: number): void;
+  observe(labels: LabelValues, value: number, exemplarLabels?: Labels): void;
 
   // Implementation
-  observe(arg1: number | string[], arg2?: number): void {
-    let labels: string[] = [];
+  observe(
+    arg1: number | LabelValues,
+    arg2?: number | Labels,
+    arg3?: Labels
+  ): void {
+    let labels: LabelValues = [];
     let value: number;
+    let exemplarLabels: Labels | undefined;
 
     if (typeof arg1 === 'number') {
       value = arg1;
-    } else if (Array.isArray(arg1)) {
+      exemplarLabels = arg2 as Labels | undefined;
+    } else if (typeof arg1 === 'object' && arg1 !== null) {
       if (typeof arg2 !== 'number') {
         throw new TypeError('Value must be a number');
       }
       labels = arg1;
       value = arg2;
+      exemplarLabels = arg3;
     } else {
       throw new TypeError(`Invalid argument type: ${typeof arg1}`);
     }
 
-    if (labels.length !== this.labels.length) {
-      throw new Error(
-        `Label count mismatch, expected ${this.labels.length} but got ${labels.length}`
-      );
-    }
+    this.validate(value, exemplarLabels);
+    this.record(this.series.obtain(labels), value, exemplarLabels);
+  }
+
+  /**
+   * Start measuring a duration
+   * @param labels - Labels known at the start
+   * @returns A function that observes the elapsed seconds
+   */
+  startTimer(labels: Labels = {}): EndTimer {
+    const elapsed = startClock();
+    return endLabels => {
+      const seconds = elapsed();
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
 
-    if (typeof value !== 'number' || isNaN(value) || !Number.isFinite(value)) {
-      throw new TypeError(`Value is not a valid finite number: ${value}`);
+  /**
+   * Run `fn` and observe how long it took. Async functions are measured
+   * until their promise settles. The duration is recorded even when `fn`
+   * throws or rejects; its error is passed on, and an error of the
+   * observation itself, e.g. from a `throw` series limit, is emitted as a
+   * warning.
+   * @param labels - Labels of the observation
+   * @returns Whatever `fn` returns. For a promise, a promise that settles
+   * like it once the duration is observed.
+   * @throws {Error} When observing the duration of a successful `fn` fails
+   */
+  time<T>(fn: () => T, labels: Labels = {}): T {
+    const end = this.startTimer(labels);
+    let result: T;
+    try {
+      result = fn();
+    } catch (err) {
+      endAfterFailure(end);
+      throw err;
     }
+    if (!isPromiseLike(result)) {
+      end();
+      return result;
+    }
+    // chained, so an error of end() rejects the promise the caller awaits
+    return result.then(
+      value => {
+        end();
+        return value;
+      },
+      err => {
+        endAfterFailure(end);
+        throw err;
+      }
+    ) as T;
+  }
 
-    const key = JSON.stringify(labels);
+  get(labels: LabelValues = []): { totalCount: number; totalSum: number } {
+    const series = this.series.find(labels);
+    return {
+      totalCount: series?.count ?? 0,
+      totalSum: series?.sum ?? 0,
+    };
+  }
 
-    // init if first time
-    if (!this.counts.has(key)) {
-      this.counts.set(key, new Map(this.buckets.map(b => [b, 0])));
-      this.totalSum.set(key, 0);
-      this.totalCount.set(key, 0);
+  // Overload signatures
+  // eslint-disable-next-line no-unused-vars
+  labels(...values: string[]): HistogramChild;
+  // eslint-disable-next-line no-unused-vars
+  labels(labels: Labels): HistogramChild;
+
+  /**
+   * Bind the histogram to one label combination. The labels are validated
+   * once, so the returned handle is cheap to use on hot paths.
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  labels(...args: string[] | [Labels]): HistogramChild {
+    const series = this.series.bind(
+      typeof args[0] === 'object' ? args[0] : (args as string[])
+    );
+    return {
+      observe: (value, exemplarLabels): void => {
+        this.validate(value, exemplarLabels);
+        this.record(series(), value, exemplarLabels);
+      },
+    };
+  }
+
+  // checked before the series is obtained, so invalid observations don't
+  // create series
+  private validate(value: number, exemplarLabels?: Labels): void {
+    validateValue(value);
+
+    if (exemplarLabels !== undefined) {
+      validateExemplarLabels(exemplarLabels);
     }
+  }
 
-    // increment all buckets >= value
-    const bucketMap = this.counts.get(key) ?? new Map();
-    for (const bucket of this.buckets) {
-      if (value <= bucket) {
-        bucketMap.set(bucket, (bucketMap.get(bucket) || 0) + 1);
-      }
+  // series is undefined when the series limit dropped the observation
+  private record(
+    series: HistogramSeries | undefined,
+    value: number,
+    exemplarLabels?: Labels
+  ): void {
+    if (series === undefined) {
+      return;
     }
 
-    // update total sum and count
-    this.totalSum.set(key, (this.totalSum.get(key) || 0) + value);
-    this.totalCount.set(key, (this.totalCount.get(key) || 0) + 1);
-  }
+    const index = bucketIndex(this.buckets, value);
+    if (index < this.buckets.length) {
+      series.counts[index]++;
+    }
+    series.native?.observe(value);
+    series.sum += value;
+    series.count++;
+    this.touch(series);
 
-  get(labels: string[] = []): { totalCount: number; totalSum: number } {
-    if (labels.length !== this.labels.length) {
-      throw new Error(
-        `Label count mismatch, expected ${this.labels.length} but got ${labels.length}`
-      );
+    // the exemplar belongs to the first bucket the value falls into
+    if (exemplarLabels !== undefined) {
+      series.exemplars ??= [];
+      series.exemplars[index] = {
+        labels: { ...exemplarLabels },
+        value,
+        timestamp: Date.now(),
+      };
     }
+  }
 
-    const key = JSON.stringify(labels);
+  getFamily(): HistogramFamily {
+    this.expire();
+    const series = [];
+    for (const {
+      labels,
+      counts,
+      sum,
+      count,
+      created,
+      exemplars,
+      native,
+    } of this.series) {
+      let cumulative = 0;
+      const buckets = this.buckets.map((le, i) => {
+        cumulative += counts[i];
+        return { le, count: cumulative, exemplar: exemplars?.[i] };
+      });
+      // +Inf bucket (always == count)
+      buckets.push({
+        le: Infinity,
+        count,
+        exemplar: exemplars?.[this.buckets.length],
+      });
+      series.push({
+        labels,
+        buckets,
+        sum,
+        count,
+        created,
+        ...(native && { native: native.toNative() }),
+      });
+    }
     return {
-      totalCount: this.totalCount.get(key) || 0,
-      totalSum: this.totalSum.get(key) || 0,
+      name: this.name,
+      help: this.help,
+      type: 'histogram',
+      unit: this.unit,
+      labelNames: [...this.labelNames],
+      series,
     };
   }
 
-  reset(): void {
-    this.counts.clear();
-    this.totalSum.clear();
-    this.totalCount.clear();
+  /**
+   * Cumulative buckets, sum and count of every series, as plain objects
+   */
+  snapshot(): HistogramSnapshot {
+    return snapshotFamily(this.getFamily());
   }
+}
 
-  toPrometheus(): string {
-    let output = `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} histogram\n`;
-
-    for (const [key, bucketMap] of this.counts) {
-      const splitKeys = JSON.parse(key);
-
-      // each bucket
-      for (const bucket of this.buckets) {
-        output += `${this.name}_bucket`;
-        if (this.labels.length > 0) {
-          output += '{';
-          for (let i = 0; i < this.labels.length; i++) {
-            output += `${this.labels[i]}="${splitKeys[i]}", `;
-          }
-          output += `le="${bucket}"}`;
-        } else {
-          output += `{le="${bucket}"}`;
-        }
-        output += ` ${bucketMap.get(bucket) || 0}\n`;
-      }
-
-      // +Inf bucket (always == count)
-      output += `${this.name}_bucket`;
-      if (this.labels.length > 0) {
-        output += '{';
-        for (let i = 0; i < this.labels.length; i++) {
-          output += `${this.labels[i]}="${splitKeys[i]}", `;
-        }
-        output += 'le="+Inf"}';
-      } else {
-        output += '{le="+Inf"}';
-      }
-      output += ` ${this.totalCount.get(key) || 0}\n`;
-
-      // sum
-      output += `${this.name}_sum`;
-      if (this.labels.length > 0) {
-        output += '{';
-        for (let i = 0; i < this.labels.length; i++) {
-          output += `${this.labels[i]}="${splitKeys[i]}"`;
-          if (i < this.labels.length - 1) {
-            output += ', ';
-          }
-        }
-        output += '}';
-      }
-      output += ` ${this.totalSum.get(key) || 0}\n`;
-
-      // count
-      output += `${this.name}_count`;
-      if (this.labels.length > 0) {
-        output += '{';
-        for (let i = 0; i < this.labels.length; i++) {
-          output += `${this.labels[i]}="${splitKeys[i]}"`;
-          if (i < this.labels.length - 1) {
-            output += ', ';
-          }
-        }
-        output += '}';
-      }
-      output += ` ${this.totalCount.get(key) || 0}\n`;
+// index of the first bucket whose bound is at least value, the number of
+// buckets when there is none
+function bucketIndex(buckets: number[], value: number): number {
+  let low = 0;
+  let high = buckets.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (value <= buckets[mid]) {
+      high = mid;
+    } else {
+      low = mid + 1;
     }
+  }
+  return low;
+}
 
-    return output;
+// the error of the timed function is what the caller sees, an error of the
+// observation is reported as a warning
+function endAfterFailure(end: EndTimer): void {
+  try {
+    end();
+  } catch (err) {
+    process.emitWarning(err as Error);
   }
 }
+
+function isPromiseLike(value: unknown): value is PromiseLike<unknown> {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    typeof (value as PromiseLike<unknown>).then === 'function'
+  );
+}
@@ -0,0 +1,200 @@
+import { Labels, SummaryFamily } from '../format/types.js';
+import { LabelValues } from '../utils/labels.js';
+import { validateValue } from '../utils/validation.js';
+import { TimeWindowQuantiles } from '../utils/quantile.js';
+import { register as globalRegister } from '../registry/Registry.js';
+import { BaseMetric } from './BaseMetric.js';
+import { Series } from './series.js';
+import { SummarySnapshot, snapshotFamily } from './snapshot.js';
+import { MetricOptions } from './types.js';
+
+export interface SummaryOptions extends MetricOptions<Summary> {
+  /** Length of the sliding window quantiles are computed over (default 600) */
+  maxAgeSeconds?: number;
+  /** Number of buckets the window is split into (default 5) */
+  ageBuckets?: number;
+}
+
+/**
+ * Summary bound to one label combination, see `Summary.labels()`
+ */
+export interface SummaryChild {
+  // eslint-disable-next-line no-unused-vars
+  observe(value: number): void;
+}
+
+interface SummarySeries extends Series {
+  window: TimeWindowQuantiles;
+  sum: number;
+  count: number;
+  created: number;
+}
+
+export class Summary extends BaseMetric<'summary', SummarySeries> {
+  private percentiles: number[];
+  private maxAgeSeconds: number;
+  private ageBuckets: number;
+
+  constructor(
+    name: string,
+    help: string,
+    percentiles: number[] = [0.01, 0.05, 0.5, 0.9, 0.95, 0.99, 0.999],
+    labels: string[] = [],
+    options: SummaryOptions = {}
+  ) {
+    super('summary', name, help, labels, options, ['quantile']);
+
+    for (const p of percentiles) {
+      if (typeof p !== 'number' || isNaN(p) || p < 0 || p > 1) {
+        throw new Error(`Percentile must be between 0 and 1, got ${p}`);
+      }
+    }
+
+    const maxAgeSeconds = options.maxAgeSeconds ?? 600;
+    const ageBuckets = options.ageBuckets ?? 5;
+    if (!Number.isFinite(maxAgeSeconds) || maxAgeSeconds <= 0) {
+      throw new Error(
+        `maxAgeSeconds must be a positive number, got ${maxAgeSeconds}`
+      );
+    }
+    if (!Number.isInteger(ageBuckets) || ageBuckets < 1) {
+      throw new Error(
+        `ageBuckets must be a positive integer, got ${ageBuckets}`
+      );
+    }
+
+    this.percentiles = [...new Set(percentiles)].sort((a, b) => a - b);
+    this.maxAgeSeconds = maxAgeSeconds;
+    this.ageBuckets = ageBuckets;
+    this.registerWith(options.registers ?? [globalRegister]);
+  }
+
+  protected createSeries(series: Series): SummarySeries {
+    return {
+      ...series,
+      window: new TimeWindowQuantiles(
+        this.percentiles,
+        this.maxAgeSeconds,
+        this.ageBuckets
+      ),
+      sum: 0,
+      count: 0,
+      created: Date.now(),
+    };
+  }
+
+  // Overload signatures
+  // eslint-disable-next-line no-unused-vars
+  observe(value: number): void;
+  // eslint-disable-next-line no-unused-vars
+  observe(labels: LabelValues, value: number): void;
+
+  // Implementation
+  observe(arg1: number | LabelValues, arg2?: number): void {
+    let labels: LabelValues = [];
+    let value: number;
+
+    if (typeof arg1 === 'number') {
+      value = arg1;
+    } else if (typeof arg1 === 'object' && arg1 !== null) {
+      if (typeof arg2 !== 'number') {
+        throw new TypeError('Value must be a number');
+      }
+      labels = arg1;
+      value = arg2;
+    } else {
+      throw new TypeError(`Invalid argument type: ${typeof arg1}`);
+    }
+
+    validateValue(value);
+    this.record(this.series.obtain(labels), value);
+  }
+
+  /**
+   * Get the current state of a series
+   * @returns Count and sum of all observations, plus the quantile estimates
+   * over the sliding window (NaN when the window is empty)
+   */
+  get(labels: LabelValues = []): {
+    totalCount: number;
+    totalSum: number;
+    quantiles: { quantile: number; value: number }[];
+  } {
+    const series = this.series.find(labels);
+    return {
+      totalCount: series?.count ?? 0,
+      totalSum: series?.sum ?? 0,
+      quantiles: this.percentiles.map(quantile => ({
+        quantile,
+        value: series ? series.window.query(quantile) : NaN,
+      })),
+    };
+  }
+
+  // Overload signatures
+  // eslint-disable-next-line no-unused-vars
+  labels(...values: string[]): SummaryChild;
+  // eslint-disable-next-line no-unused-vars
+  labels(labels: Labels): SummaryChild;
+
+  /**
+   * Bind the summary to one label combination. The labels are validated
+   * once, so the returned handle is cheap to use on hot paths.
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  labels(...args: string[] | [Labels]): SummaryChild {
+    const series = this.series.bind(
+      typeof args[0] === 'object' ? args[0] : (args as string[])
+    );
+    return {
+      observe: (value): void => {
+        validateValue(value);
+        this.record(series(), value);
+      },
+    };
+  }
+
+  // series is undefined when the series limit dropped the observation
+  private record(series: SummarySeries | undefined, value: number): void {
+    if (series === undefined) {
+      return;
+    }
+    series.window.insert(value);
+    series.sum += value;
+    series.count++;
+    this.touch(series);
+  }
+
+  getFamily(): SummaryFamily {
+    this.expire();
+    const series = [];
+    for (const { labels, window, sum, count, created } of this.series) {
+      series.push({
+        labels,
+        quantiles: this.percentiles.map(quantile => ({
+          quantile,
+          value: window.query(quantile),
+        })),
+        sum,
+        count,
+        created,
+      });
+    }
+    return {
+      name: this.name,
+      help: this.help,
+      type: 'summary',
+      unit: this.unit,
+      labelNames: [...this.labelNames],
+      series,
+    };
+  }
+
+  /**
+   * Quantiles, sum and count of every series, as plain objects. Quantiles
+   * are null while the window holds no observations.
+   */
+  snapshot(): SummarySnapshot {
+    return snapshotFamily(this.getFamily());
+  }
+}
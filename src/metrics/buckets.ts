@@ -0,0 +1,63 @@
+/**
+ * Buckets used when a histogram is created without any, suited to request
+ * durations in seconds
+ */
+export const DEFAULT_BUCKETS: readonly number[] = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Create `count` buckets spaced `width` apart, e.g. `linearBuckets(0.1,
+ * 0.1, 5)` for `[0.1, 0.2, 0.3, 0.4, 0.5]`
+ * @throws {Error} When `start` is not finite, `width` is not positive or
+ * `count` is not a positive integer
+ */
+export function linearBuckets(
+  start: number,
+  width: number,
+  count: number
+): number[] {
+  if (!Number.isFinite(start)) {
+    throw new Error(`start must be a finite number, got ${start}`);
+  }
+  if (!Number.isFinite(width) || width <= 0) {
+    throw new Error(`width must be a positive number, got ${width}`);
+  }
+  validateCount(count);
+  return Array.from({ length: count }, (_, i) => round(start + i * width));
+}
+
+/**
+ * Create `count` buckets, each `factor` times the previous one, e.g.
+ * `exponentialBuckets(1, 2, 4)` for `[1, 2, 4, 8]`
+ * @throws {Error} When `start` is not positive, `factor` is not greater
+ * than 1 or `count` is not a positive integer
+ */
+export function exponentialBuckets(
+  start: number,
+  factor: number,
+  count: number
+): number[] {
+  if (!Number.isFinite(start) || start <= 0) {
+    throw new Error(`start must be a positive number, got ${start}`);
+  }
+  if (!Number.isFinite(factor) || factor <= 1) {
+    throw new Error(`factor must be a number greater than 1, got ${factor}`);
+  }
+  validateCount(count);
+  return Array.from({ length: count }, (_, i) =>
+    round(start * Math.pow(factor, i))
+  );
+}
+
+function validateCount(count: number): void {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`count must be a positive integer, got ${count}`);
+  }
+}
+
+// drops floating point noise, so 0.1 + 0.2 gives le="0.3" and not
+// le="0.30000000000000004"
+function round(value: number): number {
+  return Number(value.toPrecision(15));
+}
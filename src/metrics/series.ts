@@ -0,0 +1,246 @@
+import { Labels } from '../format/types.js';
+import { LabelValues, resolveLabels, zipLabels } from '../utils/labels.js';
+import { OVERFLOW_LABEL_VALUE, SeriesLimit } from './seriesLimit.js';
+
+/**
+ * One label combination of a metric. The metric classes extend it with the
+ * state they record per series.
+ */
+export interface Series {
+  /** Label values in declaration order */
+  readonly values: readonly string[];
+  /**
+   * The values keyed by label name. Frozen, so formatters can cache its
+   * rendering for as long as the series lives.
+   */
+  readonly labels: Labels;
+  /** Time of the last update, only kept current when the metric has a ttl */
+  updated: number;
+  /** False once the series is removed, so bound children look it up again */
+  live: boolean;
+}
+
+interface TrieNode<S> {
+  children?: Map<string, TrieNode<S>>;
+  series?: S;
+}
+
+/**
+ * Series of one metric, interned in a trie of label values. Looking up a
+ * series that exists allocates nothing, unlike building a string key per
+ * observation. New series are created only when the series limit admits
+ * them. The overflow series does not count toward the limit, so labels
+ * folded into it get their own series as soon as another one is removed.
+ * Iterates in creation order.
+ */
+export class SeriesMap<S extends Series> implements Iterable<S> {
+  private labelNames: string[];
+  private labelDefaults: Labels;
+  private limit: SeriesLimit;
+  // eslint-disable-next-line no-unused-vars
+  private create: (series: Series) => S;
+  private root: TrieNode<S> = {};
+  private all: Set<S> = new Set();
+  private overflow?: S;
+
+  /**
+   * @param create - Adds the metric's initial state to a new series
+   */
+  constructor(
+    labelNames: string[],
+    labelDefaults: Labels,
+    limit: SeriesLimit,
+    // eslint-disable-next-line no-unused-vars
+    create: (series: Series) => S
+  ) {
+    this.labelNames = labelNames;
+    this.labelDefaults = labelDefaults;
+    this.limit = limit;
+    this.create = create;
+  }
+
+  get size(): number {
+    return this.all.size;
+  }
+
+  [Symbol.iterator](): Iterator<S> {
+    return this.all.values();
+  }
+
+  /**
+   * The series of the label values, if it exists
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  find(input: LabelValues): S | undefined {
+    const series = this.lookup(input);
+    if (series === undefined) {
+      resolveLabels(this.labelNames, input, this.labelDefaults);
+    }
+    return series;
+  }
+
+  /**
+   * The series to record an observation for the label values into, created
+   * if needed and subject to the series limit
+   * @returns The series, or undefined when the limit drops the observation
+   * @throws {Error} When the labels do not match the declared label names,
+   * or the limit is reached and its policy is `throw`
+   */
+  obtain(input: LabelValues): S | undefined {
+    const found = this.lookup(input);
+    if (found !== undefined) {
+      return found;
+    }
+    const values = this.limit.admit(
+      resolveLabels(this.labelNames, input, this.labelDefaults),
+      this.overflow?.live ? this.all.size - 1 : this.all.size
+    );
+    if (values === undefined) {
+      return undefined;
+    }
+    // the overflow series may exist already
+    return this.lookup(values) ?? this.insert(values);
+  }
+
+  /**
+   * Validate label values once and return a function that obtains their
+   * series, for the children of `labels()`. The series is remembered until
+   * it is removed.
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  bind(input: LabelValues): () => S | undefined {
+    const values = resolveLabels(this.labelNames, input, this.labelDefaults);
+    let bound: S | undefined;
+    return () => {
+      if (bound?.live) {
+        return bound;
+      }
+      const series = this.obtain(values);
+      // the overflow series is only borrowed, the labels get their own
+      // series once another one is removed
+      bound = series === this.lookup(values) ? series : undefined;
+      return series;
+    };
+  }
+
+  /**
+   * Delete the series of the label values
+   * @returns Whether the series existed
+   * @throws {Error} When the labels do not match the declared label names
+   */
+  remove(input: LabelValues): boolean {
+    const series = this.find(input);
+    if (series === undefined) {
+      return false;
+    }
+    this.delete(series);
+    return true;
+  }
+
+  delete(series: S): void {
+    if (!series.live) {
+      return;
+    }
+    series.live = false;
+    this.all.delete(series);
+
+    const path = [this.root];
+    for (const value of series.values) {
+      path.push(path[path.length - 1].children?.get(value) as TrieNode<S>);
+    }
+    path[path.length - 1].series = undefined;
+    // prune the nodes no other series goes through
+    for (let i = series.values.length; i > 0; i--) {
+      if (path[i].series !== undefined || path[i].children?.size) {
+        break;
+      }
+      path[i - 1].children?.delete(series.values[i - 1]);
+    }
+  }
+
+  /**
+   * Delete the series last updated at or before `cutoff`
+   */
+  expire(cutoff: number): void {
+    for (const series of this.all) {
+      if (series.updated <= cutoff) {
+        this.delete(series);
+      }
+    }
+  }
+
+  clear(): void {
+    for (const series of this.all) {
+      series.live = false;
+    }
+    this.all.clear();
+    this.root = {};
+  }
+
+  // the existing series of valid label values, without allocating
+  private lookup(input: LabelValues): S | undefined {
+    const names = this.labelNames;
+    let node: TrieNode<S> | undefined = this.root;
+    if (Array.isArray(input)) {
+      if (input.length !== names.length) {
+        return undefined;
+      }
+      for (let i = 0; i < input.length && node; i++) {
+        // coerced like resolveLabels() does, for values that are not strings
+        node = node.children?.get(String(input[i]));
+      }
+      return node?.series;
+    }
+    if (typeof input !== 'object' || input === null) {
+      return undefined;
+    }
+
+    let known = 0;
+    for (let i = 0; i < names.length && node; i++) {
+      const name = names[i];
+      if (Object.hasOwn(input, name)) {
+        known++;
+      }
+      const value = input[name] ?? this.labelDefaults[name];
+      if (value === undefined) {
+        return undefined;
+      }
+      node = node.children?.get(String(value));
+    }
+    // an undeclared label
+    for (const name in input) {
+      if (Object.hasOwn(input, name)) {
+        known--;
+      }
+    }
+    return known === 0 ? node?.series : undefined;
+  }
+
+  private insert(values: string[]): S {
+    let node = this.root;
+    for (const value of values) {
+      node.children ??= new Map();
+      let child = node.children.get(value);
+      if (child === undefined) {
+        child = {};
+        node.children.set(value, child);
+      }
+      node = child;
+    }
+    const series = this.create({
+      values,
+      labels: Object.freeze(zipLabels(this.labelNames, values)),
+      updated: Date.now(),
+      live: true,
+    });
+    node.series = series;
+    this.all.add(series);
+    if (
+      values.length > 0 &&
+      values.every(value => value === OVERFLOW_LABEL_VALUE)
+    ) {
+      this.overflow = series;
+    }
+    return series;
+  }
+}
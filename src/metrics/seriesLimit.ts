@@ -0,0 +1,138 @@
+import { Labels } from '../format/types.js';
+import { zipLabels } from '../utils/labels.js';
+
+/**
+ * What a metric does with a new series once it has `maxSeries` series:
+ * `drop` ignores the observation, `overflow` records it in a series whose
+ * label values are all `__overflow__`, `throw` throws.
+ */
+export type SeriesLimitPolicy = 'drop' | 'overflow' | 'throw';
+
+export const SERIES_LIMIT_POLICIES: SeriesLimitPolicy[] = [
+  'drop',
+  'overflow',
+  'throw',
+];
+
+/** Label value of the series that `overflow` folds new series into */
+export const OVERFLOW_LABEL_VALUE = '__overflow__';
+
+/**
+ * An observation that would have created a series beyond `maxSeries`
+ */
+export interface SeriesLimitEvent {
+  /** Name of the metric */
+  metric: string;
+  /** Labels of the series that was not created */
+  labels: Labels;
+  maxSeries: number;
+  policy: SeriesLimitPolicy;
+}
+
+// eslint-disable-next-line no-unused-vars
+export type SeriesLimitListener = (event: SeriesLimitEvent) => void;
+
+/**
+ * Check the `maxSeries` and `seriesLimitPolicy` options
+ * @throws {Error} When the limit is not a positive integer or the policy is
+ * unknown
+ */
+export function validateSeriesLimit(
+  maxSeries: number | undefined,
+  policy: SeriesLimitPolicy | undefined
+): void {
+  if (
+    maxSeries !== undefined &&
+    (!Number.isInteger(maxSeries) || maxSeries < 1)
+  ) {
+    throw new Error(`maxSeries must be a positive integer, got ${maxSeries}`);
+  }
+  if (policy !== undefined && !SERIES_LIMIT_POLICIES.includes(policy)) {
+    throw new Error(
+      `Unknown series limit policy "${policy}", expected one of: ${SERIES_LIMIT_POLICIES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Series limit of one metric, shared by the metric classes
+ */
+export class SeriesLimit {
+  private metric: string;
+  private labelNames: string[];
+  private maxSeries?: number;
+  private policy?: SeriesLimitPolicy;
+  private listeners: Set<SeriesLimitListener> = new Set();
+
+  constructor(
+    metric: string,
+    labelNames: string[],
+    maxSeries?: number,
+    policy?: SeriesLimitPolicy
+  ) {
+    validateSeriesLimit(maxSeries, policy);
+    this.metric = metric;
+    this.labelNames = labelNames;
+    this.maxSeries = maxSeries;
+    this.policy = policy;
+  }
+
+  /**
+   * Use a registry's limit, unless the metric already has one
+   */
+  applyDefault(maxSeries: number, policy?: SeriesLimitPolicy): void {
+    if (this.maxSeries === undefined) {
+      this.maxSeries = maxSeries;
+      this.policy ??= policy;
+    }
+  }
+
+  addListener(listener: SeriesLimitListener): () => void {
+    this.listeners.add(listener);
+    return (): void => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Decide where an observation for a series that does not exist yet goes
+   * @param values - Label values of the observation
+   * @param size - Number of series the metric has, not counting the
+   * overflow series
+   * @returns The label values to record under, or undefined to drop the
+   * observation
+   * @throws {Error} When the limit is reached and the policy is `throw`
+   */
+  admit(values: string[], size: number): string[] | undefined {
+    if (this.maxSeries === undefined || size < this.maxSeries) {
+      return values;
+    }
+    const policy = this.policy ?? 'drop';
+    if (
+      policy === 'overflow' &&
+      values.every(value => value === OVERFLOW_LABEL_VALUE)
+    ) {
+      return values;
+    }
+
+    const labels = zipLabels(this.labelNames, values);
+    for (const listener of this.listeners) {
+      listener({
+        metric: this.metric,
+        labels,
+        maxSeries: this.maxSeries,
+        policy,
+      });
+    }
+    switch (policy) {
+      case 'drop':
+        return undefined;
+      case 'overflow':
+        return this.labelNames.map(() => OVERFLOW_LABEL_VALUE);
+      case 'throw':
+        throw new Error(
+          `Metric "${this.metric}" reached its limit of ${this.maxSeries} series, cannot add ${JSON.stringify(labels)}`
+        );
+    }
+  }
+}
@@ -0,0 +1,125 @@
+import { Labels, MetricFamily, NativeHistogram } from '../format/types.js';
+import { MetricMetadata } from './types.js';
+
+export interface ValueSeriesSnapshot {
+  labels: Labels;
+  value: number;
+}
+
+export interface HistogramSeriesSnapshot {
+  labels: Labels;
+  /**
+   * Cumulative counts of the finite buckets. The `+Inf` bucket always equals
+   * `count`, leaving it out keeps the snapshot JSON-safe.
+   */
+  buckets: { le: number; count: number }[];
+  sum: number;
+  count: number;
+  native?: NativeHistogram;
+}
+
+export interface SummarySeriesSnapshot {
+  labels: Labels;
+  /**
+   * Null when the window holds no observations, rather than the NaN of the
+   * exposition formats, which JSON can't represent
+   */
+  quantiles: { quantile: number; value: number | null }[];
+  sum: number;
+  count: number;
+}
+
+export interface CounterSnapshot extends MetricMetadata<'counter'> {
+  series: ValueSeriesSnapshot[];
+}
+
+export interface GaugeSnapshot extends MetricMetadata<'gauge'> {
+  series: ValueSeriesSnapshot[];
+}
+
+export interface HistogramSnapshot extends MetricMetadata<'histogram'> {
+  series: HistogramSeriesSnapshot[];
+}
+
+export interface SummarySnapshot extends MetricMetadata<'summary'> {
+  series: SummarySeriesSnapshot[];
+}
+
+/**
+ * Metadata and current values of one metric, see `snapshot()` on the
+ * metrics and `Registry.getMetricsAsJSON()`
+ */
+export type MetricSnapshot =
+  | CounterSnapshot
+  | GaugeSnapshot
+  | HistogramSnapshot
+  | SummarySnapshot;
+
+type SnapshotOf<F extends MetricFamily> = Extract<
+  MetricSnapshot,
+  { type: F['type'] }
+>;
+
+/**
+ * Turn a metric family into a snapshot. Label names missing from the family
+ * are taken from its series.
+ */
+export function snapshotFamily<F extends MetricFamily>(
+  family: F
+): SnapshotOf<F> {
+  const metadata = {
+    name: family.name,
+    help: family.help,
+    ...(family.unit !== undefined && { unit: family.unit }),
+    labelNames: family.labelNames
+      ? [...family.labelNames]
+      : Array.from(
+          new Set(family.series.flatMap(series => Object.keys(series.labels)))
+        ),
+  };
+  let snapshot: MetricSnapshot;
+  switch (family.type) {
+    case 'counter':
+    case 'gauge':
+      snapshot = {
+        ...metadata,
+        type: family.type,
+        series: family.series.map(({ labels, value }) => ({
+          labels: { ...labels },
+          value,
+        })),
+      } as CounterSnapshot | GaugeSnapshot;
+      break;
+    case 'histogram':
+      snapshot = {
+        ...metadata,
+        type: 'histogram',
+        series: family.series.map(series => ({
+          labels: { ...series.labels },
+          buckets: series.buckets
+            .filter(bucket => bucket.le !== Infinity)
+            .map(({ le, count }) => ({ le, count })),
+          sum: series.sum,
+          count: series.count,
+          ...(series.native && { native: series.native }),
+        })),
+      };
+      break;
+    case 'summary':
+      snapshot = {
+        ...metadata,
+        type: 'summary',
+        series: family.series.map(series => ({
+          labels: { ...series.labels },
+          quantiles: series.quantiles.map(({ quantile, value }) => ({
+            quantile,
+            value: Number.isNaN(value) ? null : value,
+          })),
+          sum: series.sum,
+          count: series.count,
+        })),
+      };
+      break;
+  }
+  return snapshot as SnapshotOf<F>;
+}
@@ -0,0 +1,69 @@
+import { Labels, MetricType } from '../format/types.js';
+import type { Registry } from '../registry/Registry.js';
+import { SeriesLimitListener, SeriesLimitPolicy } from './seriesLimit.js';
+
+/**
+ * Callback that brings a metric up to date right before it is serialized
+ */
+// eslint-disable-next-line no-unused-vars
+export type CollectFunction<T> = (metric: T) => void | Promise<void>;
+
+/**
+ * Stops a timer started with `startTimer()` and records the elapsed time
+ * @param labels - Labels known only at the end, such as a status code,
+ * merged over the labels given to `startTimer()`
+ * @returns Elapsed seconds
+ */
+// eslint-disable-next-line no-unused-vars
+export type EndTimer = (labels?: Labels) => number;
+
+export interface MetricOptions<T = unknown> {
+  /**
+   * Unit of the metric, such as `seconds` or `bytes`. The metric name must
+   * end with `_<unit>` (before `_total` for counters).
+   */
+  unit?: string;
+  /**
+   * Values for labels left out when labels are passed as an object, e.g.
+   * `{ route: 'unknown' }`
+   */
+  labelDefaults?: Labels;
+  /**
+   * Called by the registry right before the metric is serialized, so values
+   * can be computed at scrape time instead of on a timer. May be async.
+   */
+  collect?: CollectFunction<T>;
+  /**
+   * Drop series that have not been updated for this many milliseconds.
+   * Checked when the metric is serialized, so there is no timer.
+   */
+  ttl?: number;
+  /**
+   * Maximum number of series (label combinations), not counting the
+   * overflow series. Observations for new series beyond it are handled as
+   * `seriesLimitPolicy` says. Defaults to
+   * the `maxSeries` of the first registry with one that the metric is
+   * registered with.
+   */
+  maxSeries?: number;
+  /** What to do with new series beyond `maxSeries` (default `drop`) */
+  seriesLimitPolicy?: SeriesLimitPolicy;
+  /** Called for every observation that hits `maxSeries` */
+  onSeriesLimit?: SeriesLimitListener;
+  /**
+   * Registries the metric registers itself with when it is created (default:
+   * the global `register`). Pass `[]` to register it by hand.
+   */
+  registers?: Registry[];
+}
+
+/**
+ * Description of a metric, as listed by `Registry.getMetrics()`
+ */
+export interface MetricMetadata<T extends MetricType = MetricType> {
+  name: string;
+  help: string;
+  type: T;
+  unit?: string;
+  labelNames: string[];
+}
@@ -0,0 +1,194 @@
+import { Buffer } from 'node:buffer';
+import { request as httpRequest, OutgoingHttpHeaders } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { connect } from 'node:net';
+import { URL } from 'node:url';
+import { formatGraphite } from '../format/graphite.js';
+import { formatInfluxLineProtocol } from '../format/influx.js';
+import { MetricFamily } from '../format/types.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { scheduleFlush } from './schedule.js';
+
+export type LineProtocolFormat = 'graphite' | 'influx';
+
+export interface LineProtocolExporterOptions {
+  /** `graphite` plaintext with tags, or the InfluxDB line protocol */
+  format: LineProtocolFormat;
+  /**
+   * Where to send the lines: `tcp://host:port` writes them to a socket,
+   * e.g. `tcp://graphite:2003`; an `http(s)://` URL posts them, e.g.
+   * `http://influxdb:8086/api/v2/write?org=acme&bucket=metrics`
+   */
+  url: string;
+  /** Registry to export (default: the global `register`) */
+  registry?: Registry;
+  /** Extra request headers for HTTP, e.g. `Authorization` */
+  headers?: Record<string, string>;
+  /**
+   * Milliseconds between exports (default 60000). Pass 0 to only send on
+   * `flush()` and `close()`.
+   */
+  flushInterval?: number;
+  /** Connection and request timeout in milliseconds (default 10000) */
+  timeout?: number;
+  /**
+   * Called when a periodic export fails (default: `process.emitWarning`).
+   * Errors of `flush()` calls reject the returned promise instead.
+   */
+  // eslint-disable-next-line no-unused-vars
+  onError?: (error: Error) => void;
+}
+
+// eslint-disable-next-line no-unused-vars
+const FORMATTERS: Record<LineProtocolFormat, (f: MetricFamily[]) => string> = {
+  graphite: formatGraphite,
+  influx: formatInfluxLineProtocol,
+};
+
+/**
+ * Sends the metrics of a registry to Graphite or InfluxDB on a schedule,
+ * rendered with `formatGraphite()` or `formatInfluxLineProtocol()`, over a
+ * TCP connection per export or an HTTP POST.
+ */
+export class LineProtocolExporter {
+  private format: LineProtocolFormat;
+  private url: URL;
+  private registry: Registry;
+  private headers: Record<string, string>;
+  private timeout: number;
+  private stopFlushing: () => void;
+  // the final flush, once closed
+  private closing?: Promise<void>;
+
+  /**
+   * @throws {Error} When an option is invalid
+   */
+  constructor(options: LineProtocolExporterOptions) {
+    if (!Object.hasOwn(FORMATTERS, options.format)) {
+      throw new Error(`Unknown line protocol format "${options.format}"`);
+    }
+    this.url = new URL(options.url);
+    if (!['tcp:', 'http:', 'https:'].includes(this.url.protocol)) {
+      throw new Error(
+        `Unsupported line protocol transport "${this.url.protocol}"`
+      );
+    }
+    if (this.url.protocol === 'tcp:' && this.url.port === '') {
+      throw new Error(`TCP URL needs a port, got ${options.url}`);
+    }
+    const flushInterval = options.flushInterval ?? 60000;
+    if (!Number.isFinite(flushInterval) || flushInterval < 0) {
+      throw new Error(
+        `flushInterval must be a non-negative number, got ${flushInterval}`
+      );
+    }
+    const timeout = options.timeout ?? 10000;
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error(`timeout must be a positive number, got ${timeout}`);
+    }
+
+    this.format = options.format;
+    this.registry = options.registry ?? globalRegister;
+    this.headers = { ...options.headers };
+    this.timeout = timeout;
+
+    this.stopFlushing = scheduleFlush(
+      () => this.flush(),
+      flushInterval,
+      options.onError
+    );
+  }
+
+  /**
+   * Collect the registry and send it now
+   * @throws {Error} When the exporter is closed or sending fails
+   */
+  async flush(): Promise<void> {
+    if (this.closing !== undefined) {
+      throw new Error('Line protocol exporter is closed');
+    }
+    await this.send();
+  }
+
+  /**
+   * Stop exporting on the interval and send the latest values one last
+   * time. Call it before the process exits.
+   * @throws {Error} When the final export fails
+   */
+  async close(): Promise<void> {
+    if (this.closing === undefined) {
+      this.stopFlushing();
+      this.closing = this.send();
+    }
+    return this.closing;
+  }
+
+  private async send(): Promise<void> {
+    const body = Buffer.from(
+      FORMATTERS[this.format](await this.registry.getFamilies())
+    );
+    if (body.length === 0) {
+      return;
+    }
+    await (this.url.protocol === 'tcp:'
+      ? this.sendTcp(body)
+      : this.sendHttp(body));
+  }
+
+  private sendTcp(body: Buffer): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const socket = connect({
+        // brackets of IPv6 hosts are part of the URL syntax only
+        host: this.url.hostname.replace(/^\[(.*)\]$/, '$1'),
+        port: Number(this.url.port),
+      });
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy(
+          new Error(`Connection timed out after ${this.timeout}ms`)
+        );
+      });
+      socket.on('error', reject);
+      socket.on('close', hadError => {
+        if (!hadError) {
+          resolve();
+        }
+      });
+      socket.end(body);
+    });
+  }
+
+  private sendHttp(body: Buffer): Promise<void> {
+    const headers: OutgoingHttpHeaders = {
+      ...this.headers,
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Length': body.length,
+    };
+    const request = this.url.protocol === 'https:' ? httpsRequest : httpRequest;
+    return new Promise((resolve, reject) => {
+      const req = request(this.url, { method: 'POST', headers }, res => {
+        const chunks: Buffer[] = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const status = res.statusCode ?? 0;
+          if (status >= 200 && status < 300) {
+            resolve();
+            return;
+          }
+          const reason = `${status} ${res.statusMessage ?? ''}`.trim();
+          const text = Buffer.concat(chunks).toString().trim();
+          reject(
+            new Error(
+              `Server responded with ${reason}${text ? `: ${text}` : ''}`
+            )
+          );
+        });
+      });
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new Error(`Request timed out after ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
@@ -0,0 +1,284 @@
+import { Buffer } from 'node:buffer';
+import { request as httpRequest, OutgoingHttpHeaders } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { setTimeout } from 'node:timers';
+import { URL } from 'node:url';
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import {
+  formatOtlpJson,
+  formatOtlpProtobuf,
+  OTLP_JSON_CONTENT_TYPE,
+  OTLP_PROTOBUF_CONTENT_TYPE,
+  OtlpAttributes,
+  toOtlpMetrics,
+} from '../format/otlp.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { scheduleFlush } from './schedule.js';
+
+const gzipAsync = promisify(gzip);
+
+export type OtlpEncoding = 'json' | 'protobuf';
+
+export interface OtlpExporterOptions {
+  /**
+   * OTLP/HTTP metrics endpoint (default
+   * `http://localhost:4318/v1/metrics`)
+   */
+  url?: string;
+  /** Registry to export (default: the global `register`) */
+  registry?: Registry;
+  /** Request body encoding (default `protobuf`) */
+  encoding?: OtlpEncoding;
+  /** Extra request headers, e.g. an API key */
+  headers?: Record<string, string>;
+  /**
+   * Resource attributes describing the process, such as `service.name`
+   * (default `{ 'service.name': 'unknown_service:node' }`)
+   */
+  resource?: OtlpAttributes;
+  /**
+   * Milliseconds between exports (default 60000). Pass 0 to only export on
+   * `flush()` and `close()`.
+   */
+  flushInterval?: number;
+  /** Request timeout in milliseconds (default 10000) */
+  timeout?: number;
+  /** Retries of a failed export before giving up (default 5) */
+  maxRetries?: number;
+  /**
+   * Milliseconds before the first retry (default 1000), doubled for each
+   * further retry. A `Retry-After` header takes precedence.
+   */
+  retryDelay?: number;
+  /** Gzip the request body (default false) */
+  compress?: boolean;
+  /**
+   * Called when a periodic export fails (default: `process.emitWarning`).
+   * Errors of `flush()` and `close()` reject the returned promise
+   * instead.
+   */
+  // eslint-disable-next-line no-unused-vars
+  onError?: (error: Error) => void;
+}
+
+// statuses the OTLP specification allows to retry
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+interface Response {
+  status: number;
+  reason: string;
+  body: string;
+  retryAfter?: string;
+}
+
+/**
+ * Pushes the metrics of a registry to an OpenTelemetry collector over
+ * OTLP/HTTP, converted as described in `toOtlpMetrics()`. Exports run one
+ * at a time; failed exports are retried with exponential backoff when the
+ * collector is unreachable or asks for it.
+ */
+export class OtlpExporter {
+  private url: URL;
+  private registry: Registry;
+  private encoding: OtlpEncoding;
+  private headers: Record<string, string>;
+  private resource: OtlpAttributes;
+  private timeout: number;
+  private maxRetries: number;
+  private retryDelay: number;
+  private compress: boolean;
+  private stopFlushing: () => void;
+  // the running export, later exports wait for it
+  private pending: Promise<void> = Promise.resolve();
+  private closed = false;
+
+  /**
+   * @throws {Error} When an option is invalid
+   */
+  constructor(options: OtlpExporterOptions = {}) {
+    this.url = new URL(options.url ?? 'http://localhost:4318/v1/metrics');
+    if (this.url.protocol !== 'http:' && this.url.protocol !== 'https:') {
+      throw new Error(`Unsupported OTLP protocol "${this.url.protocol}"`);
+    }
+    const encoding = options.encoding ?? 'protobuf';
+    if (encoding !== 'json' && encoding !== 'protobuf') {
+      throw new Error(`Unknown OTLP encoding "${encoding}"`);
+    }
+    const flushInterval = options.flushInterval ?? 60000;
+    if (!Number.isFinite(flushInterval) || flushInterval < 0) {
+      throw new Error(
+        `flushInterval must be a non-negative number, got ${flushInterval}`
+      );
+    }
+    const timeout = options.timeout ?? 10000;
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error(`timeout must be a positive number, got ${timeout}`);
+    }
+    const maxRetries = options.maxRetries ?? 5;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      throw new Error(
+        `maxRetries must be a non-negative integer, got ${maxRetries}`
+      );
+    }
+    const retryDelay = options.retryDelay ?? 1000;
+    if (!Number.isFinite(retryDelay) || retryDelay < 0) {
+      throw new Error(
+        `retryDelay must be a non-negative number, got ${retryDelay}`
+      );
+    }
+
+    this.registry = options.registry ?? globalRegister;
+    this.encoding = encoding;
+    this.headers = { ...options.headers };
+    this.resource = {
+      'service.name': 'unknown_service:node',
+      ...options.resource,
+    };
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.compress = options.compress ?? false;
+
+    this.stopFlushing = scheduleFlush(
+      () => this.flush(),
+      flushInterval,
+      options.onError
+    );
+  }
+
+  /**
+   * Export the registry now, after any export that is already running
+   * @throws {Error} When the exporter is closed, or the export fails after
+   * all retries
+   */
+  flush(): Promise<void> {
+    if (this.closed) {
+      return Promise.reject(new Error('OTLP exporter is closed'));
+    }
+    return this.enqueue();
+  }
+
+  /**
+   * Stop exporting on the interval and export the latest values one last
+   * time. Call it before the process exits.
+   * @throws {Error} When the final export fails after all retries
+   */
+  async close(): Promise<void> {
+    if (this.closed) {
+      return this.pending;
+    }
+    this.closed = true;
+    this.stopFlushing();
+    return this.enqueue();
+  }
+
+  private enqueue(): Promise<void> {
+    const next = this.pending.catch(() => {}).then(() => this.export());
+    this.pending = next;
+    return next;
+  }
+
+  private async export(): Promise<void> {
+    const request = toOtlpMetrics(await this.registry.getFamilies(), {
+      resource: this.resource,
+    });
+    const body =
+      this.encoding === 'json'
+        ? Buffer.from(formatOtlpJson(request))
+        : formatOtlpProtobuf(request);
+
+    for (let attempt = 0; ; attempt++) {
+      const backoff = this.retryDelay * 2 ** attempt;
+      let response: Response;
+      try {
+        response = await this.send(body);
+      } catch (err) {
+        // requests that failed without a response, such as a refused
+        // connection or a timeout, are retried
+        if (attempt >= this.maxRetries) {
+          throw err;
+        }
+        await sleep(backoff);
+        continue;
+      }
+      if (response.status >= 200 && response.status < 300) {
+        return;
+      }
+      if (
+        !RETRYABLE_STATUSES.has(response.status) ||
+        attempt >= this.maxRetries
+      ) {
+        throw new Error(
+          `OTLP endpoint responded with ${response.reason}` +
+            (response.body ? `: ${response.body}` : '')
+        );
+      }
+      await sleep(retryAfter(response.retryAfter) ?? backoff);
+    }
+  }
+
+  private async send(body: Buffer): Promise<Response> {
+    const headers: OutgoingHttpHeaders = {
+      ...this.headers,
+      'Content-Type':
+        this.encoding === 'json'
+          ? OTLP_JSON_CONTENT_TYPE
+          : OTLP_PROTOBUF_CONTENT_TYPE,
+    };
+    let payload = body;
+    if (this.compress) {
+      payload = await gzipAsync(payload);
+      headers['Content-Encoding'] = 'gzip';
+    }
+    headers['Content-Length'] = payload.length;
+
+    const request = this.url.protocol === 'https:' ? httpsRequest : httpRequest;
+    return new Promise<Response>((resolve, reject) => {
+      const req = request(this.url, { method: 'POST', headers }, res => {
+        const chunks: Buffer[] = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const status = res.statusCode ?? 0;
+          const header = res.headers['retry-after'];
+          resolve({
+            status,
+            reason: `${status} ${res.statusMessage ?? ''}`.trim(),
+            // protobuf error details are binary, only text is worth showing
+            body: /^(text\/|application\/json)/.test(
+              res.headers['content-type'] ?? ''
+            )
+              ? Buffer.concat(chunks).toString().trim()
+              : '',
+            ...(header !== undefined && { retryAfter: header }),
+          });
+        });
+      });
+      req.setTimeout(this.timeout, () => {
+        req.destroy(
+          new Error(`OTLP request timed out after ${this.timeout}ms`)
+        );
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+}
+
+// milliseconds to wait for a Retry-After header in seconds or as a date
+function retryAfter(header: string | undefined): number | undefined {
+  if (header === undefined) {
+    return undefined;
+  }
+  const seconds = Number(header);
+  if (header.trim() !== '' && Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(milliseconds: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
@@ -0,0 +1,178 @@
+import { Buffer } from 'node:buffer';
+import { request as httpRequest, OutgoingHttpHeaders } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { URL } from 'node:url';
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import { PROMETHEUS_CONTENT_TYPE } from '../format/prometheus.js';
+import { Labels } from '../format/types.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { validateLabelNames } from '../utils/validation.js';
+
+const gzipAsync = promisify(gzip);
+
+export interface PushgatewayOptions {
+  /** Registry to push (default: the global `register`) */
+  registry?: Registry;
+  /** Extra request headers, e.g. `Authorization` */
+  headers?: Record<string, string>;
+  /** Request timeout in milliseconds (default 10000) */
+  timeout?: number;
+  /** Gzip the request body (default false) */
+  compress?: boolean;
+}
+
+/**
+ * Identifies a group of metrics on the Pushgateway
+ */
+export interface PushParams {
+  jobName: string;
+  /** Grouping labels besides `job`, e.g. `{ instance: 'worker-1' }` */
+  groupings?: Labels;
+}
+
+/**
+ * Client for the Prometheus Pushgateway, for batch jobs that exit before
+ * Prometheus can scrape them. Metrics are grouped by job name and optional
+ * grouping labels; pushing replaces (`push`) or updates (`pushAdd`) the
+ * metrics of that group.
+ */
+export class Pushgateway {
+  private url: URL;
+  private registry: Registry;
+  private headers: Record<string, string>;
+  private timeout: number;
+  private compress: boolean;
+
+  /**
+   * @param url - Base URL of the Pushgateway, e.g. `http://pushgateway:9091`
+   * @throws {Error} When the URL or timeout is invalid
+   */
+  constructor(url: string, options: PushgatewayOptions = {}) {
+    this.url = new URL(url);
+    if (this.url.protocol !== 'http:' && this.url.protocol !== 'https:') {
+      throw new Error(
+        `Unsupported Pushgateway protocol "${this.url.protocol}"`
+      );
+    }
+    const timeout = options.timeout ?? 10000;
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error(`timeout must be a positive number, got ${timeout}`);
+    }
+    this.registry = options.registry ?? globalRegister;
+    this.headers = { ...options.headers };
+    this.timeout = timeout;
+    this.compress = options.compress ?? false;
+  }
+
+  /**
+   * Replace all metrics of the group with the registry's metrics (PUT)
+   * @throws {Error} When the request fails or the Pushgateway rejects it
+   */
+  async push(params: PushParams): Promise<void> {
+    await this.send('PUT', params, await this.registry.metricsAsync());
+  }
+
+  /**
+   * Replace only the metrics of the group that have the same names as the
+   * registry's metrics (POST)
+   * @throws {Error} When the request fails or the Pushgateway rejects it
+   */
+  async pushAdd(params: PushParams): Promise<void> {
+    await this.send('POST', params, await this.registry.metricsAsync());
+  }
+
+  /**
+   * Delete all metrics of the group (DELETE)
+   * @throws {Error} When the request fails or the Pushgateway rejects it
+   */
+  async delete(params: PushParams): Promise<void> {
+    await this.send('DELETE', params);
+  }
+
+  private async send(
+    method: string,
+    params: PushParams,
+    body?: string
+  ): Promise<void> {
+    const url = new URL(this.url);
+    url.pathname = url.pathname.replace(/\/+$/, '') + groupingPath(params);
+
+    const headers: OutgoingHttpHeaders = { ...this.headers };
+    let payload: Buffer | undefined;
+    if (body !== undefined) {
+      payload = Buffer.from(body);
+      headers['Content-Type'] = PROMETHEUS_CONTENT_TYPE;
+      if (this.compress) {
+        payload = await gzipAsync(payload);
+        headers['Content-Encoding'] = 'gzip';
+      }
+      headers['Content-Length'] = payload.length;
+    }
+
+    const request = url.protocol === 'https:' ? httpsRequest : httpRequest;
+    await new Promise<void>((resolve, reject) => {
+      const req = request(url, { method, headers }, res => {
+        const chunks: Buffer[] = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const status = res.statusCode ?? 0;
+          if (status >= 200 && status < 300) {
+            resolve();
+            return;
+          }
+          const reason = `${status} ${res.statusMessage ?? ''}`.trim();
+          const text = Buffer.concat(chunks).toString().trim();
+          reject(
+            new Error(
+              `Pushgateway responded with ${reason}${text ? `: ${text}` : ''}`
+            )
+          );
+        });
+      });
+      req.setTimeout(this.timeout, () => {
+        req.destroy(
+          new Error(`Pushgateway request timed out after ${this.timeout}ms`)
+        );
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+}
+
+/**
+ * Build the `/metrics/job/<job>/<label>/<value>...` path for a group.
+ * Values containing `/` (and empty values) use the `@base64` form, since
+ * the Pushgateway cannot tell an encoded slash from a path separator.
+ * @throws {Error} When the job name is empty or a grouping label is invalid
+ */
+export function groupingPath({ jobName, groupings = {} }: PushParams): string {
+  if (typeof jobName !== 'string' || jobName === '') {
+    throw new Error('jobName must be a non-empty string');
+  }
+  const names = Object.keys(groupings);
+  if (names.includes('job')) {
+    throw new Error('Grouping label "job" is reserved, use jobName instead');
+  }
+  validateLabelNames(names);
+
+  let path = `/metrics${encodeSegment('job', jobName)}`;
+  for (const name of names) {
+    path += encodeSegment(name, groupings[name]);
+  }
+  return path;
+}
+
+function encodeSegment(name: string, value: string): string {
+  if (typeof value !== 'string') {
+    throw new TypeError(
+      `Grouping label "${name}" must be a string, got ${typeof value}`
+    );
+  }
+  if (value === '' || value.includes('/')) {
+    return `/${name}@base64/${Buffer.from(value).toString('base64url') || '='}`;
+  }
+  return `/${name}/${encodeURIComponent(value)}`;
+}
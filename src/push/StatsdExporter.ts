@@ -0,0 +1,269 @@
+import { Buffer } from 'node:buffer';
+import { createSocket, Socket } from 'node:dgram';
+import { isIPv6 } from 'node:net';
+import { Labels, MetricFamily } from '../format/types.js';
+import { register as globalRegister, Registry } from '../registry/Registry.js';
+import { scheduleFlush } from './schedule.js';
+
+/**
+ * `dogstatsd` sends labels as `|#name:value` tags, `statsd` appends them to
+ * the metric name as `.name.value`, since plain StatsD has no tags
+ */
+export type StatsdProtocol = 'dogstatsd' | 'statsd';
+
+export interface StatsdExporterOptions {
+  /** Registry to export (default: the global `register`) */
+  registry?: Registry;
+  /** Host of the StatsD agent (default `127.0.0.1`) */
+  host?: string;
+  /** UDP port of the StatsD agent (default 8125) */
+  port?: number;
+  /** How labels are sent (default `dogstatsd`) */
+  protocol?: StatsdProtocol;
+  /**
+   * Maximum size of a UDP packet in bytes (default 1432, which fits an
+   * Ethernet MTU). Lines are batched into packets up to this size; a line
+   * longer than it is sent on its own.
+   */
+  maxPacketSize?: number;
+  /**
+   * Milliseconds between flushes (default 10000). Pass 0 to only send on
+   * `flush()` and `close()`.
+   */
+  flushInterval?: number;
+  /**
+   * Called when a periodic flush fails (default: `process.emitWarning`).
+   * Errors of `flush()` calls reject the returned promise instead.
+   */
+  // eslint-disable-next-line no-unused-vars
+  onError?: (error: Error) => void;
+}
+
+/**
+ * Sends the metrics of a registry to a StatsD or DogStatsD agent over UDP,
+ * so code instrumented with Promlite can report to a StatsD pipeline.
+ *
+ * Each flush collects the registry (running async `collect` callbacks and
+ * applying its prefix and default labels) and sends:
+ * - counters as the increase since the previous flush (`|c`)
+ * - gauges as their current value (`|g`)
+ * - histograms and summaries as the increase of `<name>_count` and
+ *   `<name>_sum` (`|c`), and summary quantiles as gauges with a `quantile`
+ *   label. Histogram buckets are not sent, StatsD builds its own
+ *   distributions from raw observations, which the registry doesn't keep.
+ */
+export class StatsdExporter {
+  private registry: Registry;
+  private host: string;
+  private port: number;
+  private protocol: StatsdProtocol;
+  private maxPacketSize: number;
+  private socket: Socket;
+  private stopFlushing: () => void;
+  // counter values sent so far, to send deltas
+  private sent: Map<string, number> = new Map();
+  // the final flush, once closed
+  private closing?: Promise<void>;
+
+  /**
+   * @throws {Error} When an option is invalid
+   */
+  constructor(options: StatsdExporterOptions = {}) {
+    const port = options.port ?? 8125;
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      throw new Error(`port must be an integer from 1 to 65535, got ${port}`);
+    }
+    const protocol = options.protocol ?? 'dogstatsd';
+    if (protocol !== 'dogstatsd' && protocol !== 'statsd') {
+      throw new Error(`Unknown StatsD protocol "${protocol}"`);
+    }
+    const maxPacketSize = options.maxPacketSize ?? 1432;
+    if (!Number.isInteger(maxPacketSize) || maxPacketSize <= 0) {
+      throw new Error(
+        `maxPacketSize must be a positive integer, got ${maxPacketSize}`
+      );
+    }
+    const flushInterval = options.flushInterval ?? 10000;
+    if (!Number.isFinite(flushInterval) || flushInterval < 0) {
+      throw new Error(
+        `flushInterval must be a non-negative number, got ${flushInterval}`
+      );
+    }
+
+    this.registry = options.registry ?? globalRegister;
+    this.host = options.host ?? '127.0.0.1';
+    this.port = port;
+    this.protocol = protocol;
+    this.maxPacketSize = maxPacketSize;
+    this.socket = createSocket(isIPv6(this.host) ? 'udp6' : 'udp4');
+    // sending must not keep the process alive
+    this.socket.unref();
+
+    this.stopFlushing = scheduleFlush(
+      () => this.flush(),
+      flushInterval,
+      options.onError
+    );
+  }
+
+  /**
+   * Collect the registry and send it now
+   * @throws {Error} When the exporter is closed or a packet can't be sent
+   */
+  async flush(): Promise<void> {
+    if (this.closing !== undefined) {
+      throw new Error('StatsD exporter is closed');
+    }
+    await this.send();
+  }
+
+  /**
+   * Stop flushing on the interval, send the latest values one last time and
+   * close the socket. Call it before the process exits.
+   * @throws {Error} When a packet of the final flush can't be sent
+   */
+  async close(): Promise<void> {
+    if (this.closing === undefined) {
+      this.stopFlushing();
+      this.closing = this.send().finally(
+        () => new Promise<void>(resolve => this.socket.close(resolve))
+      );
+    }
+    return this.closing;
+  }
+
+  private async send(): Promise<void> {
+    const lines = this.render(await this.registry.getFamilies());
+    for (const packet of batch(lines, this.maxPacketSize)) {
+      await new Promise<void>((resolve, reject) => {
+        this.socket.send(packet, this.port, this.host, error =>
+          error ? reject(error) : resolve()
+        );
+      });
+    }
+  }
+
+  // StatsD lines for the families, updating the counter values sent so far
+  private render(families: MetricFamily[]): string[] {
+    const lines: string[] = [];
+    const sent = new Map<string, number>();
+    const counter = (
+      name: string,
+      labels: Labels,
+      value: number,
+      // a value below the previous one means the series was reset
+      reset = value < this.previous(name, labels)
+    ): void => {
+      const delta = reset ? value : value - this.previous(name, labels);
+      sent.set(key(name, labels), value);
+      if (delta !== 0) {
+        lines.push(this.line(name, labels, delta, 'c'));
+      }
+    };
+    // the sum of a histogram or summary may go down, only the count tells
+    // whether it was reset
+    const countAndSum = (
+      name: string,
+      labels: Labels,
+      count: number,
+      sum: number
+    ): void => {
+      const reset = count < this.previous(`${name}_count`, labels);
+      counter(`${name}_count`, labels, count, reset);
+      counter(`${name}_sum`, labels, sum, reset);
+    };
+    const gauge = (name: string, labels: Labels, value: number): void => {
+      // a leading sign makes StatsD add to the gauge instead of setting it,
+      // so negative values are sent as a reset to zero first
+      if (value < 0) {
+        lines.push(this.line(name, labels, 0, 'g'));
+      }
+      lines.push(this.line(name, labels, value, 'g'));
+    };
+
+    for (const family of families) {
+      switch (family.type) {
+        case 'counter':
+          for (const { labels, value } of family.series) {
+            counter(family.name, labels, value);
+          }
+          break;
+        case 'gauge':
+          for (const { labels, value } of family.series) {
+            gauge(family.name, labels, value);
+          }
+          break;
+        case 'histogram':
+          for (const { labels, count, sum } of family.series) {
+            countAndSum(family.name, labels, count, sum);
+          }
+          break;
+        case 'summary':
+          for (const { labels, count, sum, quantiles } of family.series) {
+            countAndSum(family.name, labels, count, sum);
+            for (const { quantile, value } of quantiles) {
+              gauge(family.name, { ...labels, quantile: `${quantile}` }, value);
+            }
+          }
+          break;
+      }
+    }
+    this.sent = sent;
+    return lines.filter(line => line !== '');
+  }
+
+  private previous(name: string, labels: Labels): number {
+    return this.sent.get(key(name, labels)) ?? 0;
+  }
+
+  // one line, or '' for values StatsD can't represent
+  private line(
+    name: string,
+    labels: Labels,
+    value: number,
+    type: string
+  ): string {
+    if (!Number.isFinite(value)) {
+      return '';
+    }
+    const entries = Object.entries(labels).filter(([, v]) => v !== '');
+    if (this.protocol === 'statsd') {
+      const path = entries
+        .map(([label, v]) => `.${label}.${v.replace(/[^\w-]/g, '_')}`)
+        .join('');
+      return `${statsdName(name)}${path}:${value}|${type}`;
+    }
+    const tags = entries
+      .map(([label, v]) => `${label}:${v.replace(/[,|\r\n]/g, '_')}`)
+      .join(',');
+    return `${statsdName(name)}:${value}|${type}${tags && `|#${tags}`}`;
+  }
+}
+
+function key(name: string, labels: Labels): string {
+  return `${name}${JSON.stringify(labels)}`;
+}
+
+// colons separate the name from the value
+function statsdName(name: string): string {
+  return name.replace(/:/g, '_');
+}
+
+// join lines into packets of at most maxSize bytes
+function batch(lines: string[], maxSize: number): Buffer[] {
+  const packets: Buffer[] = [];
+  let current = '';
+  for (const line of lines) {
+    const joined = current === '' ? line : `${current}\n${line}`;
+    if (current !== '' && Buffer.byteLength(joined) > maxSize) {
+      packets.push(Buffer.from(current));
+      current = line;
+    } else {
+      current = joined;
+    }
+  }
+  if (current !== '') {
+    packets.push(Buffer.from(current));
+  }
+  return packets;
+}
@@ -0,0 +1,26 @@
+import process from 'node:process';
+import { clearInterval, setInterval } from 'node:timers';
+
+/**
+ * Run an exporter's `flush` every `interval` milliseconds. Errors go to
+ * `onError` (default `process.emitWarning`), since nobody awaits a
+ * scheduled export.
+ * @param interval - Milliseconds between exports, 0 to never export
+ * @returns A function that stops the exports
+ */
+export function scheduleFlush(
+  flush: () => Promise<void>,
+  interval: number,
+  // eslint-disable-next-line no-unused-vars
+  onError: (error: Error) => void = error => process.emitWarning(error)
+): () => void {
+  if (interval === 0) {
+    return () => {};
+  }
+  const timer = setInterval(() => {
+    flush().catch(onError);
+  }, interval);
+  // exporting must not keep the process alive
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,615 @@
+import process from 'node:process';
+import { clearTimeout, setTimeout } from 'node:timers';
+import { Buffer } from 'node:buffer';
+import { ExpositionFormat, TextExpositionFormat } from '../format/negotiate.js';
+import { formatOpenMetrics } from '../format/openmetrics.js';
+import { formatPrometheus } from '../format/prometheus.js';
+import { formatProtobuf } from '../format/protobuf.js';
+import { Labels, MetricFamily } from '../format/types.js';
+// the metric classes import the global `register` from here, so Counter
+// may only be used at runtime once modules have loaded
+import { Counter } from '../metrics/Counter.js';
+import type { Gauge } from '../metrics/Gauge.js';
+import type { Histogram } from '../metrics/Histogram.js';
+import type { Summary } from '../metrics/Summary.js';
+import {
+  SeriesLimitEvent,
+  SeriesLimitListener,
+  SeriesLimitPolicy,
+  validateSeriesLimit,
+} from '../metrics/seriesLimit.js';
+import type { MetricMetadata } from '../metrics/types.js';
+import { MetricSnapshot, snapshotFamily } from '../metrics/snapshot.js';
+import { validateLabelNames, validateMetricName } from '../utils/validation.js';
+
+export type Metric = Counter | Gauge | Histogram | Summary;
+
+/**
+ * A registered metric with its metadata. Checking `type` narrows `metric`
+ * to the matching class.
+ */
+export type RegisteredMetric =
+  | (MetricMetadata<'counter'> & { metric: Counter })
+  | (MetricMetadata<'gauge'> & { metric: Gauge })
+  | (MetricMetadata<'histogram'> & { metric: Histogram })
+  | (MetricMetadata<'summary'> & { metric: Summary });
+
+/**
+ * Receives errors from `collect` callbacks
+ * @param error - What went wrong, with the original error as `cause`
+ * @param name - Name of the failing metric
+ */
+// eslint-disable-next-line no-unused-vars
+export type CollectErrorHandler = (error: Error, name: string) => void;
+
+export interface MetricsOptions {
+  /**
+   * Only collect and render the metrics with these names, as exposed, so
+   * including the registry's prefix. Unknown names are ignored.
+   */
+  names?: string[];
+  /** Overrides the registry's `onCollectError` for this call */
+  onCollectError?: CollectErrorHandler;
+}
+
+export interface RegistryOptions {
+  /**
+   * How long a single `collect` callback may take in `metricsAsync()`, in
+   * milliseconds (default 5000)
+   */
+  collectTimeout?: number;
+  /**
+   * Called when a `collect` callback throws, rejects or times out. The
+   * metric is still serialized with the values it had. Defaults to
+   * `process.emitWarning`.
+   */
+  onCollectError?: CollectErrorHandler;
+  /**
+   * Prepended to the name of every metric family at exposition, e.g.
+   * `mylib_`. Registration and lookups keep using the unprefixed names.
+   */
+  prefix?: string;
+  /**
+   * Default `maxSeries` for registered metrics that have no limit of their
+   * own
+   */
+  maxSeries?: number;
+  /** Default `seriesLimitPolicy` that goes with `maxSeries` */
+  seriesLimitPolicy?: SeriesLimitPolicy;
+  /**
+   * Called for every observation of a registered metric that hits its
+   * `maxSeries` limit, e.g. to alert on it
+   */
+  onSeriesLimit?: SeriesLimitListener;
+}
+
+/**
+ * Self-metric counting observations that hit a `maxSeries` limit. A
+ * registry registers it the first time that happens.
+ */
+export const SERIES_LIMIT_METRIC = 'promlite_series_limit_observations_total';
+
+// label names the exposition formats add to histogram and summary series
+const SERIES_LABELS = ['le', 'quantile'];
+
+/**
+ * Registry class to manage multiple metrics and provide a central endpoint
+ * for collecting all metrics in Prometheus format
+ */
+export class Registry {
+  private _metrics: Map<string, Metric> = new Map();
+  private collectTimeout: number;
+  protected onCollectError: CollectErrorHandler;
+  private prefix: string;
+  private defaultLabels: Labels = {};
+  // series labels with the default labels added, for the frozen label sets
+  // metrics keep between scrapes
+  private labelsWithDefaults: WeakMap<Labels, Labels> = new WeakMap();
+  // registries combined by `Registry.merge()`
+  private sources: Registry[] = [];
+  private maxSeries?: number;
+  private seriesLimitPolicy?: SeriesLimitPolicy;
+  private onSeriesLimit?: SeriesLimitListener;
+  // removes the series limit listener of each registered metric
+  private unsubscribers: Map<string, () => void> = new Map();
+
+  constructor(options: RegistryOptions = {}) {
+    const collectTimeout = options.collectTimeout ?? 5000;
+    if (!Number.isFinite(collectTimeout) || collectTimeout <= 0) {
+      throw new Error(
+        `collectTimeout must be a positive number, got ${collectTimeout}`
+      );
+    }
+    this.collectTimeout = collectTimeout;
+    this.onCollectError =
+      options.onCollectError ??
+      ((error: Error): void => process.emitWarning(error));
+    this.prefix = options.prefix ?? '';
+    if (this.prefix !== '') {
+      validateMetricName(this.prefix);
+    }
+    validateSeriesLimit(options.maxSeries, options.seriesLimitPolicy);
+    this.maxSeries = options.maxSeries;
+    this.seriesLimitPolicy = options.seriesLimitPolicy;
+    this.onSeriesLimit = options.onSeriesLimit;
+  }
+
+  /**
+   * Combine several registries into one, e.g. a library's private registry
+   * with the application's. The merged registry reads its sources at every
+   * scrape, so metrics registered on them later show up too. Its own prefix
+   * and default labels apply on top of those of the sources, and collect
+   * errors are reported to its `onCollectError`.
+   * @param registries - Registries to expose together
+   * @param options - Options of the merged registry
+   * @throws {Error} When two registries expose a metric family with the
+   * same name. Since sources can change, this is checked again at every
+   * scrape.
+   */
+  static merge(
+    registries: Registry[],
+    options: RegistryOptions = {}
+  ): Registry {
+    const merged = new Registry(options);
+    merged.sources = [...registries];
+    checkDuplicateFamilies(merged.familyNames());
+    return merged;
+  }
+
+  // Overload signatures
+  // eslint-disable-next-line no-unused-vars
+  register(metric: Metric): void;
+  /**
+   * @deprecated Metrics are registered under their own name, use
+   * `register(metric)`
+   */
+  // eslint-disable-next-line no-unused-vars
+  register(name: string, metric: Metric): void;
+
+  /**
+   * Register a metric under its own name. Metrics register themselves with
+   * the registries in their `registers` option, so this is only needed for
+   * metrics created with `registers: []`. Registering the same metric again
+   * does nothing.
+   * @throws {Error} When a different metric with the same name is
+   * registered, or the metric declares one of the default labels
+   */
+  register(arg1: Metric | string, arg2?: Metric): void {
+    const metric = typeof arg1 === 'string' ? arg2 : arg1;
+    if (metric === undefined) {
+      throw new TypeError('register() expects a metric');
+    }
+    const { name } = metric.getMetadata();
+    if (typeof arg1 === 'string' && arg1 !== name) {
+      throw new Error(
+        `Cannot register metric '${name}' as '${arg1}', metrics are registered under their own name`
+      );
+    }
+    const registered = this._metrics.get(name);
+    if (registered === metric) {
+      return;
+    }
+    if (registered) {
+      throw new Error(`Metric with name '${name}' is already registered`);
+    }
+    checkDefaultLabels(name, metric, this.defaultLabels);
+    this._metrics.set(name, metric);
+    if (this.maxSeries !== undefined) {
+      metric.applyDefaultSeriesLimit(this.maxSeries, this.seriesLimitPolicy);
+    }
+    this.unsubscribers.set(
+      name,
+      metric.onSeriesLimit(event => this.seriesLimitReached(event))
+    );
+  }
+
+  /**
+   * Set labels that are added to every series of the registry at
+   * exposition, e.g. `{ service: 'api', env: 'prod' }`. Replaces the
+   * default labels set before; pass `{}` to remove them.
+   * @throws {Error} When a label name is invalid or a registered metric
+   * declares a label with the same name
+   */
+  setDefaultLabels(labels: Labels): void {
+    const names = Object.keys(labels);
+    validateLabelNames(names);
+    for (const name of names) {
+      if (SERIES_LABELS.includes(name)) {
+        throw new Error(
+          `Default label "${name}" is reserved for histogram and summary series`
+        );
+      }
+      if (typeof labels[name] !== 'string') {
+        throw new TypeError(
+          `Default label "${name}" must be a string, got ${typeof labels[name]}`
+        );
+      }
+    }
+    for (const [name, metric] of this._metrics) {
+      checkDefaultLabels(name, metric, labels);
+    }
+    this.defaultLabels = { ...labels };
+    this.labelsWithDefaults = new WeakMap();
+  }
+
+  /**
+   * Get the labels set with `setDefaultLabels()`
+   */
+  getDefaultLabels(): Labels {
+    return { ...this.defaultLabels };
+  }
+
+  /**
+   * Unregister a metric from the registry
+   * @param name - Name of the metric to remove
+   */
+  unregister(name: string): boolean {
+    this.unsubscribers.get(name)?.();
+    this.unsubscribers.delete(name);
+    return this._metrics.delete(name);
+  }
+
+  /**
+   * Get a registered metric by name
+   * @param name - Name of the metric to retrieve
+   * @returns The metric instance or undefined if not found
+   */
+  getMetric(name: string): Metric | undefined {
+    return this._metrics.get(name);
+  }
+
+  /**
+   * Same as `getMetric()`, under the name prom-client uses
+   */
+  getSingleMetric(name: string): Metric | undefined {
+    return this.getMetric(name);
+  }
+
+  /**
+   * List the registered metrics with their metadata
+   */
+  getMetrics(): RegisteredMetric[] {
+    return Array.from(
+      this._metrics.values(),
+      metric => ({ ...metric.getMetadata(), metric }) as RegisteredMetric
+    );
+  }
+
+  /**
+   * Clear all registered metrics
+   */
+  clear(): void {
+    for (const unsubscribe of this.unsubscribers.values()) {
+      unsubscribe();
+    }
+    this.unsubscribers.clear();
+    this._metrics.clear();
+  }
+
+  /**
+   * Get all registered metric names
+   * @returns Array of metric names
+   */
+  getMetricNames(): string[] {
+    return Array.from(this._metrics.keys());
+  }
+
+  /**
+   * Generate output for all registered metrics. Synchronous `collect`
+   * callbacks run first; async ones are started but not awaited, so their
+   * results show up in the next scrape. Use `metricsAsync()` to wait for them.
+   * @param format - Exposition format, `prometheus` (default) for the classic
+   * text format, `openmetrics` for OpenMetrics 1.0 text or `protobuf` for
+   * delimited `io.prometheus.client.MetricFamily` messages
+   * @param options - Restrict the output to some metrics, or handle
+   * collect errors for this call
+   * @returns String containing all metrics in the requested format, a
+   * Buffer for `protobuf`
+   */
+  // eslint-disable-next-line no-unused-vars
+  metrics(format?: TextExpositionFormat, options?: MetricsOptions): string;
+  // eslint-disable-next-line no-unused-vars
+  metrics(format: 'protobuf', options?: MetricsOptions): Buffer;
+  // eslint-disable-next-line no-unused-vars
+  metrics(format: ExpositionFormat, options?: MetricsOptions): string | Buffer;
+
+  metrics(
+    format: ExpositionFormat = 'prometheus',
+    options: MetricsOptions = {}
+  ): string | Buffer {
+    return render(this.expose(this.gatherSync(options)), format);
+  }
+
+  /**
+   * Generate output for all registered metrics after running every `collect`
+   * callback, async ones included. Callbacks run concurrently, each bounded
+   * by the registry's `collectTimeout`. A failing callback does not fail the
+   * scrape: it is reported to `onCollectError` and its metric is serialized
+   * with the values it had.
+   * @param format - Exposition format, see `metrics()`
+   * @param options - See `metrics()`
+   * @returns String containing all metrics in the requested format, a
+   * Buffer for `protobuf`
+   */
+  metricsAsync(
+    // eslint-disable-next-line no-unused-vars
+    format?: TextExpositionFormat,
+    // eslint-disable-next-line no-unused-vars
+    options?: MetricsOptions
+  ): Promise<string>;
+  // eslint-disable-next-line no-unused-vars
+  metricsAsync(format: 'protobuf', options?: MetricsOptions): Promise<Buffer>;
+  metricsAsync(
+    // eslint-disable-next-line no-unused-vars
+    format: ExpositionFormat,
+    // eslint-disable-next-line no-unused-vars
+    options?: MetricsOptions
+  ): Promise<string | Buffer>;
+
+  async metricsAsync(
+    format: ExpositionFormat = 'prometheus',
+    options: MetricsOptions = {}
+  ): Promise<string | Buffer> {
+    return render(await this.getFamilies(options), format);
+  }
+
+  /**
+   * Run every `collect` callback like `metricsAsync()` does and return the
+   * metric families instead of rendering them, with the registry's prefix
+   * and default labels applied
+   * @param options - See `metrics()`
+   */
+  async getFamilies(options: MetricsOptions = {}): Promise<MetricFamily[]> {
+    return this.expose(await this.gather(options));
+  }
+
+  /**
+   * Current values of every metric as plain objects, with name, help, type,
+   * unit, label names and each series' values, e.g. for an admin endpoint.
+   * Collects like `metricsAsync()` and applies the prefix and default labels.
+   * @param options - See `metrics()`
+   */
+  async getMetricsAsJSON(
+    options: MetricsOptions = {}
+  ): Promise<MetricSnapshot[]> {
+    return (await this.getFamilies(options)).map(family =>
+      snapshotFamily(family)
+    );
+  }
+
+  /**
+   * Run the synchronous `collect` callbacks and return the families of the
+   * registry's metrics and its merged sources, without this registry's
+   * prefix and default labels
+   */
+  protected gatherSync(options: MetricsOptions): MetricFamily[] {
+    const onCollectError = options.onCollectError ?? this.onCollectError;
+    const names = this.unprefixNames(options.names);
+    const selected = this.select(names);
+    for (const [name, metric] of selected) {
+      try {
+        const pending = metric.collect();
+        if (pending) {
+          pending.catch(err => onCollectError(collectError(name, err), name));
+        }
+      } catch (err) {
+        onCollectError(collectError(name, err), name);
+      }
+    }
+    const families = selected.map(([, metric]) => metric.getFamily());
+    if (this.sources.length === 0) {
+      return families;
+    }
+    const sourceOptions = { ...options, names, onCollectError };
+    for (const source of this.sources) {
+      families.push(...source.expose(source.gatherSync(sourceOptions)));
+    }
+    checkDuplicateFamilies(families.map(family => family.name));
+    return families;
+  }
+
+  /**
+   * Async counterpart of `gatherSync()`, which waits for every `collect`
+   * callback
+   */
+  protected async gather(options: MetricsOptions): Promise<MetricFamily[]> {
+    const onCollectError = options.onCollectError ?? this.onCollectError;
+    const names = this.unprefixNames(options.names);
+    const selected = this.select(names);
+    await Promise.all(
+      selected.map(([name, metric]) =>
+        this.runCollect(name, metric).catch(err => onCollectError(err, name))
+      )
+    );
+    const families = selected.map(([, metric]) => metric.getFamily());
+    if (this.sources.length === 0) {
+      return families;
+    }
+    const sourceOptions = { ...options, names, onCollectError };
+    for (const sourceFamilies of await Promise.all(
+      this.sources.map(source => source.getFamilies(sourceOptions))
+    )) {
+      families.push(...sourceFamilies);
+    }
+    checkDuplicateFamilies(families.map(family => family.name));
+    return families;
+  }
+
+  // applies the prefix and default labels
+  private expose(families: MetricFamily[]): MetricFamily[] {
+    const defaults = Object.entries(this.defaultLabels);
+    if (this.prefix === '' && defaults.length === 0) {
+      return families;
+    }
+    return families.map(
+      family =>
+        ({
+          ...family,
+          name: this.prefix + family.name,
+          labelNames: family.labelNames && [
+            ...Object.keys(this.defaultLabels),
+            ...family.labelNames,
+          ],
+          series: (family.series as { labels: Labels }[]).map(series => ({
+            ...series,
+            labels: this.withDefaultLabels(family.name, series.labels),
+          })),
+        }) as MetricFamily
+    );
+  }
+
+  private withDefaultLabels(family: string, labels: Labels): Labels {
+    let merged = this.labelsWithDefaults.get(labels);
+    if (merged !== undefined) {
+      return merged;
+    }
+    for (const name of Object.keys(this.defaultLabels)) {
+      if (name in labels) {
+        throw new Error(
+          `Metric family "${family}" has a label "${name}", which is also a default label of the registry`
+        );
+      }
+    }
+    merged = { ...this.defaultLabels, ...labels };
+    // frozen as well, so formatters cache its rendering too
+    if (Object.isFrozen(labels)) {
+      Object.freeze(merged);
+      this.labelsWithDefaults.set(labels, merged);
+    }
+    return merged;
+  }
+
+  // names of the exposed families, as far as they are known without
+  // collecting
+  private familyNames(): string[] {
+    return [
+      ...this._metrics.keys(),
+      ...this.sources.flatMap(source => source.familyNames()),
+    ].map(name => this.prefix + name);
+  }
+
+  private seriesLimitReached(event: SeriesLimitEvent): void {
+    // the self-metric is limited like any other, without counting itself
+    if (event.metric === SERIES_LIMIT_METRIC) {
+      return;
+    }
+    const counter =
+      this._metrics.get(SERIES_LIMIT_METRIC) ??
+      new Counter(
+        SERIES_LIMIT_METRIC,
+        "Observations for new series beyond a metric's maxSeries, by metric and policy",
+        ['metric', 'policy'],
+        { registers: [this] }
+      );
+    if (counter instanceof Counter) {
+      counter.inc({ metric: event.metric, policy: event.policy });
+    }
+    this.onSeriesLimit?.(event);
+  }
+
+  /**
+   * The requested names without this registry's prefix, as the metrics are
+   * registered and as sources and workers expose them. Names without the
+   * prefix can't be exposed here and are dropped.
+   */
+  protected unprefixNames(names?: string[]): string[] | undefined {
+    if (names === undefined || this.prefix === '') {
+      return names;
+    }
+    return names
+      .filter(name => name.startsWith(this.prefix))
+      .map(name => name.slice(this.prefix.length));
+  }
+
+  private select(names?: string[]): [string, Metric][] {
+    const entries = Array.from(this._metrics);
+    if (names === undefined) {
+      return entries;
+    }
+    const wanted = new Set(names);
+    return entries.filter(([name]) => wanted.has(name));
+  }
+
+  private async runCollect(name: string, metric: Metric): Promise<void> {
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new Error(
+              `Collector for metric '${name}' timed out after ${this.collectTimeout}ms`
+            )
+          ),
+        this.collectTimeout
+      );
+    });
+    try {
+      await Promise.race([
+        Promise.resolve()
+          .then(() => metric.collect())
+          .catch(err => {
+            throw collectError(name, err);
+          }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Reset all registered metrics
+   */
+  resetAll(): void {
+    for (const [, metric] of this._metrics) {
+      metric.reset();
+    }
+  }
+}
+
+function render(
+  families: MetricFamily[],
+  format: ExpositionFormat
+): string | Buffer {
+  switch (format) {
+    case 'openmetrics':
+      return formatOpenMetrics(families);
+    case 'protobuf':
+      return formatProtobuf(families);
+    default:
+      return formatPrometheus(families);
+  }
+}
+
+function checkDefaultLabels(
+  name: string,
+  metric: Metric,
+  defaults: Labels
+): void {
+  const label = metric.getLabelNames().find(label => label in defaults);
+  if (label !== undefined) {
+    throw new Error(
+      `Metric '${name}' declares a label "${label}", which is also a default label of the registry`
+    );
+  }
+}
+
+function checkDuplicateFamilies(names: string[]): void {
+  const seen = new Set<string>();
+  for (const name of names) {
+    if (seen.has(name)) {
+      throw new Error(`Duplicate metric family "${name}" in merged registries`);
+    }
+    seen.add(name);
+  }
+}
+
+function collectError(name: string, cause: unknown): Error {
+  const message = cause instanceof Error ? cause.message : String(cause);
+  return new Error(`Collector for metric '${name}' failed: ${message}`, {
+    cause,
+  });
+}
+
+// Default registry instance
+export const register = new Registry();
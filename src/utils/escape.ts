@@ -0,0 +1,18 @@
+/**
+ * Escape a label value for the text exposition format: backslash, double
+ * quote and line feed must be written as `\\`, `\"` and `\n`
+ */
+export function escapeLabelValue(value: string): string {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape HELP text for the text exposition format: backslash and line feed
+ * must be written as `\\` and `\n`
+ */
+export function escapeHelp(help: string): string {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
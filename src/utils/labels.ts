@@ -0,0 +1,63 @@
+import { Labels } from '../format/types.js';
+
+/**
+ * Label values of one series, either positional in declaration order or as
+ * an object keyed by label name
+ */
+export type LabelValues = string[] | Labels;
+
+/**
+ * Pair declared label names with the values of one series
+ */
+export function zipLabels(names: string[], values: string[]): Labels {
+  const labels: Labels = {};
+  for (let i = 0; i < names.length; i++) {
+    labels[names[i]] = values[i];
+  }
+  return labels;
+}
+
+/**
+ * Turn the label values passed to a metric method into positional values.
+ * Values are coerced with `String()` in both forms, so `{ code: 200 }` and
+ * `[200]` name the same series.
+ * @param names - Label names declared by the metric
+ * @param input - Positional values, or an object keyed by label name
+ * @param defaults - Values for labels left out of an object
+ * @returns Label values in declaration order
+ * @throws {Error} When values are missing, unknown or of the wrong count
+ */
+export function resolveLabels(
+  names: string[],
+  input: LabelValues,
+  defaults: Labels = {}
+): string[] {
+  if (Array.isArray(input)) {
+    if (input.length !== names.length) {
+      throw new Error(
+        `Label count mismatch, expected ${names.length} but got ${input.length}`
+      );
+    }
+    return input.map(value => String(value));
+  }
+
+  if (typeof input !== 'object' || input === null) {
+    throw new TypeError(
+      `Labels must be an array or an object, got ${typeof input}`
+    );
+  }
+  for (const name of Object.keys(input)) {
+    if (!names.includes(name)) {
+      throw new Error(
+        `Unknown label "${name}", expected one of: ${names.join(', ')}`
+      );
+    }
+  }
+  return names.map(name => {
+    const value = input[name] ?? defaults[name];
+    if (value === undefined) {
+      throw new Error(`Missing value for label "${name}"`);
+    }
+    return String(value);
+  });
+}
@@ -0,0 +1,258 @@
+import { BucketSpan, NativeHistogram } from '../format/types.js';
+
+/** Lowest resolution, each bucket is 2^16 times wider than the previous */
+export const MIN_SCHEMA = -4;
+/** Highest resolution, buckets grow by a factor of about 1.0027 */
+export const MAX_SCHEMA = 8;
+
+export interface NativeHistogramOptions {
+  /**
+   * Resolution of the buckets, their boundaries grow by a factor of
+   * `2^(2^-schema)`. Between -4 and 8 (default 3, about 9% per bucket).
+   */
+  schema?: number;
+  /**
+   * Observations with an absolute value up to this are counted in the zero
+   * bucket (default 2^-128)
+   */
+  zeroThreshold?: number;
+  /**
+   * Largest number of populated buckets, positive and negative together.
+   * Going over halves the resolution by reducing the schema (default 160).
+   */
+  maxBuckets?: number;
+}
+
+/**
+ * Check the options of a native histogram and fill in the defaults
+ * @throws {Error} When an option is out of range
+ */
+export function resolveNativeHistogramOptions(
+  options: NativeHistogramOptions
+): Required<NativeHistogramOptions> {
+  const { schema = 3, zeroThreshold = 2 ** -128, maxBuckets = 160 } = options;
+  if (!Number.isInteger(schema) || schema < MIN_SCHEMA || schema > MAX_SCHEMA) {
+    throw new Error(
+      `schema must be an integer from ${MIN_SCHEMA} to ${MAX_SCHEMA}, got ${schema}`
+    );
+  }
+  if (!Number.isFinite(zeroThreshold) || zeroThreshold < 0) {
+    throw new Error(
+      `zeroThreshold must be a non-negative number, got ${zeroThreshold}`
+    );
+  }
+  if (!Number.isInteger(maxBuckets) || maxBuckets < 1) {
+    throw new Error(`maxBuckets must be a positive integer, got ${maxBuckets}`);
+  }
+  return { schema, zeroThreshold, maxBuckets };
+}
+
+/**
+ * Sparse exponential buckets of one histogram series. Only buckets that
+ * received an observation are stored.
+ */
+export class NativeBuckets {
+  private schema: number;
+  private zeroThreshold: number;
+  private maxBuckets: number;
+  private zeroCount = 0;
+  private positive: Map<number, number> = new Map();
+  private negative: Map<number, number> = new Map();
+
+  constructor(options: Required<NativeHistogramOptions>) {
+    this.schema = options.schema;
+    this.zeroThreshold = options.zeroThreshold;
+    this.maxBuckets = options.maxBuckets;
+  }
+
+  observe(value: number): void {
+    if (Math.abs(value) <= this.zeroThreshold) {
+      this.zeroCount++;
+      return;
+    }
+    const buckets = value > 0 ? this.positive : this.negative;
+    const index = bucketIndex(Math.abs(value), this.schema);
+    buckets.set(index, (buckets.get(index) ?? 0) + 1);
+
+    while (
+      this.positive.size + this.negative.size > this.maxBuckets &&
+      this.schema > MIN_SCHEMA
+    ) {
+      this.schema--;
+      this.positive = reduceSchema(this.positive, 1);
+      this.negative = reduceSchema(this.negative, 1);
+    }
+  }
+
+  toNative(): NativeHistogram {
+    const positive = toSpans(this.positive);
+    const negative = toSpans(this.negative);
+    return {
+      schema: this.schema,
+      zeroThreshold: this.zeroThreshold,
+      zeroCount: this.zeroCount,
+      positiveSpans: positive.spans,
+      positiveCounts: positive.counts,
+      negativeSpans: negative.spans,
+      negativeCounts: negative.counts,
+    };
+  }
+}
+
+/**
+ * Index of the bucket a positive value falls into, the same as the
+ * Prometheus clients compute it
+ */
+export function bucketIndex(value: number, schema: number): number {
+  const [fraction, exponent] = frexp(value);
+  if (schema > 0) {
+    const bounds = boundsFor(schema);
+    let i = 0;
+    while (i < bounds.length && bounds[i] < fraction) {
+      i++;
+    }
+    return i + (exponent - 1) * bounds.length;
+  }
+  // powers of two are the upper bound of their bucket
+  const index = fraction === 0.5 ? exponent - 1 : exponent;
+  return (index + (1 << -schema) - 1) >> -schema;
+}
+
+/**
+ * Sum native histograms, e.g. of several workers, at the lowest schema
+ * among them
+ * @throws {Error} When their zero thresholds differ
+ */
+export function mergeNativeHistograms(
+  histograms: NativeHistogram[]
+): NativeHistogram {
+  const [first] = histograms;
+  if (histograms.some(h => h.zeroThreshold !== first.zeroThreshold)) {
+    throw new Error('Native histograms have different zero thresholds');
+  }
+  const schema = Math.min(...histograms.map(h => h.schema));
+  const positive = new Map<number, number>();
+  const negative = new Map<number, number>();
+  let zeroCount = 0;
+  for (const histogram of histograms) {
+    zeroCount += histogram.zeroCount;
+    const delta = histogram.schema - schema;
+    addBuckets(
+      positive,
+      reduceSchema(
+        fromSpans(histogram.positiveSpans, histogram.positiveCounts),
+        delta
+      )
+    );
+    addBuckets(
+      negative,
+      reduceSchema(
+        fromSpans(histogram.negativeSpans, histogram.negativeCounts),
+        delta
+      )
+    );
+  }
+  const positiveBuckets = toSpans(positive);
+  const negativeBuckets = toSpans(negative);
+  return {
+    schema,
+    zeroThreshold: first.zeroThreshold,
+    zeroCount,
+    positiveSpans: positiveBuckets.spans,
+    positiveCounts: positiveBuckets.counts,
+    negativeSpans: negativeBuckets.spans,
+    negativeCounts: negativeBuckets.counts,
+  };
+}
+
+// upper bounds of the buckets within one power of two, as fractions in
+// [0.5, 1), for schemas above 0
+const boundsCache = new Map<number, number[]>();
+
+function boundsFor(schema: number): number[] {
+  let bounds = boundsCache.get(schema);
+  if (!bounds) {
+    const size = 2 ** schema;
+    bounds = Array.from({ length: size }, (_, j) => 2 ** (j / size - 1));
+    boundsCache.set(schema, bounds);
+  }
+  return bounds;
+}
+
+// splits a positive number into a fraction in [0.5, 1) and a power of two
+function frexp(value: number): [number, number] {
+  let exponent = Math.floor(Math.log2(value)) + 1;
+  let fraction = value / 2 ** exponent;
+  // Math.log2 can be off by one right next to a power of two
+  if (fraction < 0.5) {
+    fraction *= 2;
+    exponent--;
+  } else if (fraction >= 1) {
+    fraction /= 2;
+    exponent++;
+  }
+  return [fraction, exponent];
+}
+
+// merges every 2^delta neighbouring buckets, lowering the schema by delta
+function reduceSchema(
+  buckets: Map<number, number>,
+  delta: number
+): Map<number, number> {
+  if (delta === 0) {
+    return buckets;
+  }
+  const reduced = new Map<number, number>();
+  for (const [index, count] of buckets) {
+    let target = index;
+    for (let i = 0; i < delta; i++) {
+      target = (target + 1) >> 1;
+    }
+    reduced.set(target, (reduced.get(target) ?? 0) + count);
+  }
+  return reduced;
+}
+
+function addBuckets(
+  target: Map<number, number>,
+  buckets: Map<number, number>
+): void {
+  for (const [index, count] of buckets) {
+    target.set(index, (target.get(index) ?? 0) + count);
+  }
+}
+
+function toSpans(buckets: Map<number, number>): {
+  spans: BucketSpan[];
+  counts: number[];
+} {
+  const spans: BucketSpan[] = [];
+  const counts: number[] = [];
+  let previous: number | undefined;
+  for (const index of [...buckets.keys()].sort((a, b) => a - b)) {
+    if (previous !== undefined && index === previous + 1) {
+      spans[spans.length - 1].length++;
+    } else {
+      spans.push({
+        offset: previous === undefined ? index : index - previous - 1,
+        length: 1,
+      });
+    }
+    counts.push(buckets.get(index) ?? 0);
+    previous = index;
+  }
+  return { spans, counts };
+}
+
+function fromSpans(spans: BucketSpan[], counts: number[]): Map<number, number> {
+  const buckets = new Map<number, number>();
+  let index = 0;
+  let i = 0;
+  for (const span of spans) {
+    index += span.offset;
+    for (let j = 0; j < span.length; j++) {
+      buckets.set(index++, counts[i++]);
+    }
+  }
+  return buckets;
+}
@@ -0,0 +1,154 @@
+import { Buffer } from 'node:buffer';
+
+const scratch = new DataView(new ArrayBuffer(8));
+
+/**
+ * Minimal protobuf writer for the field types the Prometheus and OTLP
+ * schemas use. Like proto3, scalar fields holding their default value are
+ * left out.
+ */
+export class ProtoWriter {
+  readonly output: number[] = [];
+
+  uint(field: number, value: number): void {
+    if (value !== 0) {
+      this.varint(field * 8);
+      this.varint(value);
+    }
+  }
+
+  sint(field: number, value: number): void {
+    this.uint(field, zigzag(value));
+  }
+
+  /**
+   * @param present - Write the value even when it is 0, for `optional`
+   * fields whose presence matters
+   */
+  double(field: number, value: number, present = false): void {
+    if (present || value !== 0 || Object.is(value, -0)) {
+      this.varint(field * 8 + 1);
+      scratch.setFloat64(0, value, true);
+      this.fixed();
+    }
+  }
+
+  fixed64(field: number, value: bigint): void {
+    if (value !== 0n) {
+      this.varint(field * 8 + 1);
+      scratch.setBigUint64(0, value, true);
+      this.fixed();
+    }
+  }
+
+  /**
+   * @param present - Write the value even when it is 0, for fields of a
+   * `oneof`
+   */
+  uint64(field: number, value: bigint, present = false): void {
+    if (present || value !== 0n) {
+      this.varint(field * 8);
+      while (value > 127n) {
+        this.output.push(Number(value % 128n) | 128);
+        value /= 128n;
+      }
+      this.output.push(Number(value));
+    }
+  }
+
+  /**
+   * @param present - Write the value even when it is false, for fields of a
+   * `oneof`
+   */
+  bool(field: number, value: boolean, present = false): void {
+    if (present || value) {
+      this.varint(field * 8);
+      this.varint(value ? 1 : 0);
+    }
+  }
+
+  /**
+   * @param present - Write the value even when it is empty, for fields of a
+   * `oneof`
+   */
+  string(field: number, value: string, present = false): void {
+    if (present || value !== '') {
+      this.lengthDelimited(field, Buffer.from(value, 'utf8'));
+    }
+  }
+
+  // embedded messages are written even when empty, their presence matters
+  message(field: number, message: ProtoWriter): void {
+    this.lengthDelimited(field, message.output);
+  }
+
+  packedSint(field: number, values: number[]): void {
+    if (values.length > 0) {
+      const packed = new ProtoWriter();
+      for (const value of values) {
+        packed.varint(zigzag(value));
+      }
+      this.lengthDelimited(field, packed.output);
+    }
+  }
+
+  packedDouble(field: number, values: number[]): void {
+    if (values.length > 0) {
+      const packed = new ProtoWriter();
+      for (const value of values) {
+        scratch.setFloat64(0, value, true);
+        packed.fixed();
+      }
+      this.lengthDelimited(field, packed.output);
+    }
+  }
+
+  packedFixed64(field: number, values: bigint[]): void {
+    if (values.length > 0) {
+      const packed = new ProtoWriter();
+      for (const value of values) {
+        scratch.setBigUint64(0, value, true);
+        packed.fixed();
+      }
+      this.lengthDelimited(field, packed.output);
+    }
+  }
+
+  /** Append a message prefixed with its length, as in a delimited stream */
+  delimited(message: ProtoWriter): void {
+    this.varint(message.output.length);
+    this.append(message.output);
+  }
+
+  // non-negative integers up to Number.MAX_SAFE_INTEGER
+  private varint(value: number): void {
+    while (value > 127) {
+      this.output.push(value % 128 | 128);
+      value = Math.floor(value / 128);
+    }
+    this.output.push(value);
+  }
+
+  // the 8 bytes in scratch
+  private fixed(): void {
+    for (let i = 0; i < 8; i++) {
+      this.output.push(scratch.getUint8(i));
+    }
+  }
+
+  private lengthDelimited(field: number, bytes: ArrayLike<number>): void {
+    this.varint(field * 8 + 2);
+    this.varint(bytes.length);
+    this.append(bytes);
+  }
+
+  private append(bytes: ArrayLike<number>): void {
+    for (let i = 0; i < bytes.length; i++) {
+      this.output.push(bytes[i]);
+    }
+  }
+}
+
+function zigzag(value: number): number {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
@@ -0,0 +1,232 @@
+interface QuantileSample {
+  value: number;
+  width: number;
+  delta: number;
+}
+
+// number of observations buffered before they are merged into the summary
+const BUFFER_SIZE = 500;
+
+/**
+ * Streaming quantile estimator using the targeted-quantiles variant of the
+ * CKMS algorithm (Cormode, Korn, Muthukrishnan, Srivastava). Memory is bounded
+ * by the requested error rather than by the number of observations.
+ */
+export class QuantileStream {
+  private targets: { quantile: number; epsilon: number }[];
+  private samples: QuantileSample[] = [];
+  private buffer: number[] = [];
+  private n = 0;
+  private min = Infinity;
+  private max = -Infinity;
+
+  constructor(quantiles: number[]) {
+    // min and max are tracked exactly, so 0 and 1 need no targets
+    this.targets = quantiles
+      .filter(q => q > 0 && q < 1)
+      .map(q => ({ quantile: q, epsilon: Math.min(q, 1 - q) / 10 }));
+  }
+
+  insert(value: number): void {
+    this.buffer.push(value);
+    if (value < this.min) {
+      this.min = value;
+    }
+    if (value > this.max) {
+      this.max = value;
+    }
+    if (this.buffer.length >= BUFFER_SIZE) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Estimate the value at quantile q
+   * @returns The estimate, or NaN when nothing has been observed
+   */
+  query(q: number): number {
+    if (this.count() === 0) {
+      return NaN;
+    }
+    if (q <= 0) {
+      return this.min;
+    }
+    if (q >= 1) {
+      return this.max;
+    }
+
+    // fast path: everything is still in the buffer, answer exactly
+    if (this.samples.length === 0) {
+      const sorted = [...this.buffer].sort((a, b) => a - b);
+      const i = Math.max(Math.ceil(sorted.length * q) - 1, 0);
+      return sorted[i];
+    }
+
+    this.flush();
+    let t = Math.ceil(q * this.n);
+    t += Math.ceil(this.invariant(t) / 2);
+    let prev = this.samples[0];
+    let rank = 0;
+    for (let i = 1; i < this.samples.length; i++) {
+      const cur = this.samples[i];
+      rank += prev.width;
+      if (rank + cur.width + cur.delta > t) {
+        return prev.value;
+      }
+      prev = cur;
+    }
+    return prev.value;
+  }
+
+  /**
+   * Number of samples kept, bounded by the requested error rather than by
+   * the number of observations
+   */
+  get size(): number {
+    return this.samples.length;
+  }
+
+  count(): number {
+    return this.n + this.buffer.length;
+  }
+
+  reset(): void {
+    this.samples = [];
+    this.buffer = [];
+    this.n = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  // maximum allowed rank error at rank r
+  private invariant(r: number): number {
+    let m = Number.MAX_VALUE;
+    for (const { quantile, epsilon } of this.targets) {
+      const f =
+        quantile * this.n <= r
+          ? (2 * epsilon * r) / quantile
+          : (2 * epsilon * (this.n - r)) / (1 - quantile);
+      if (f < m) {
+        m = f;
+      }
+    }
+    return m;
+  }
+
+  private flush(): void {
+    if (this.buffer.length === 0) {
+      return;
+    }
+    this.buffer.sort((a, b) => a - b);
+
+    let rank = 0;
+    let i = 0;
+    for (const value of this.buffer) {
+      let inserted = false;
+      for (; i < this.samples.length; i++) {
+        const cur = this.samples[i];
+        if (cur.value > value) {
+          // exact for a new minimum, like for a new maximum below.
+          // Otherwise the rank is off by at most what the invariant allows
+          // and what the next sample's rank is off by.
+          const bound = Math.min(
+            Math.floor(this.invariant(rank)),
+            cur.width + cur.delta
+          );
+          const delta = i === 0 ? 0 : Math.max(bound - 1, 0);
+          this.samples.splice(i, 0, { value, width: 1, delta });
+          i++;
+          inserted = true;
+          break;
+        }
+        rank += cur.width;
+      }
+      if (!inserted) {
+        this.samples.push({ value, width: 1, delta: 0 });
+        i++;
+      }
+      this.n++;
+      rank++;
+    }
+    this.buffer = [];
+    this.compress();
+  }
+
+  private compress(): void {
+    if (this.samples.length < 2) {
+      return;
+    }
+    let x = this.samples[this.samples.length - 1];
+    let rank = this.n - 1 - x.width;
+
+    // the minimum is kept, so values below it get their exact rank
+    for (let i = this.samples.length - 2; i >= 1; i--) {
+      const cur = this.samples[i];
+      if (cur.width + x.width + x.delta <= this.invariant(rank)) {
+        x.width += cur.width;
+        this.samples.splice(i, 1);
+      } else {
+        x = cur;
+      }
+      rank -= cur.width;
+    }
+  }
+}
+
+/**
+ * Quantiles over a sliding time window. Observations go into `ageBuckets`
+ * streams that are reset in rotation, so queries only cover roughly the last
+ * `maxAgeSeconds` seconds.
+ */
+export class TimeWindowQuantiles {
+  private streams: QuantileStream[];
+  private head = 0;
+  private rotateAt: number;
+  private rotateEvery: number;
+
+  constructor(quantiles: number[], maxAgeSeconds: number, ageBuckets: number) {
+    this.streams = Array.from(
+      { length: ageBuckets },
+      () => new QuantileStream(quantiles)
+    );
+    this.rotateEvery = (maxAgeSeconds * 1000) / ageBuckets;
+    this.rotateAt = Date.now() + this.rotateEvery;
+  }
+
+  insert(value: number): void {
+    this.rotate();
+    for (const stream of this.streams) {
+      stream.insert(value);
+    }
+  }
+
+  query(q: number): number {
+    this.rotate();
+    return this.streams[this.head].query(q);
+  }
+
+  reset(): void {
+    for (const stream of this.streams) {
+      stream.reset();
+    }
+    this.head = 0;
+    this.rotateAt = Date.now() + this.rotateEvery;
+  }
+
+  private rotate(): void {
+    const now = Date.now();
+    if (now < this.rotateAt) {
+      return;
+    }
+    // idle for longer than the whole window, nothing left to keep
+    if (now - this.rotateAt >= this.rotateEvery * this.streams.length) {
+      this.reset();
+      return;
+    }
+    while (now >= this.rotateAt) {
+      this.streams[this.head].reset();
+      this.head = (this.head + 1) % this.streams.length;
+      this.rotateAt += this.rotateEvery;
+    }
+  }
+}
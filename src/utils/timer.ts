@@ -0,0 +1,18 @@
+import process from 'node:process';
+
+/**
+ * Start a monotonic, nanosecond resolution clock
+ * @returns A function that returns the seconds elapsed since the start
+ */
+export function startClock(): () => number {
+  const start = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Convert milliseconds since the epoch to nanoseconds, which don't fit a
+ * number, keeping microsecond precision
+ */
+export function toNanoseconds(milliseconds: number): bigint {
+  return BigInt(Math.round(milliseconds * 1000)) * 1000n;
+}
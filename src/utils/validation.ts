@@ -0,0 +1,163 @@
+const METRIC_NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Check a metric name against the Prometheus naming rules
+ * @throws {Error} When the name is not a valid metric name
+ */
+export function validateMetricName(name: string): void {
+  if (typeof name !== 'string' || !METRIC_NAME_RE.test(name)) {
+    throw new Error(
+      `Invalid metric name "${name}", must match ${METRIC_NAME_RE}`
+    );
+  }
+}
+
+/**
+ * Check label names against the Prometheus naming rules
+ * @param labels - Label names declared by the metric
+ * @param reserved - Label names the metric type uses itself (e.g. `le`)
+ * @throws {Error} When a name is invalid, reserved or declared twice
+ */
+export function validateLabelNames(
+  labels: string[],
+  reserved: string[] = []
+): void {
+  const seen = new Set<string>();
+  for (const label of labels) {
+    if (typeof label !== 'string' || !LABEL_NAME_RE.test(label)) {
+      throw new Error(
+        `Invalid label name "${label}", must match ${LABEL_NAME_RE}`
+      );
+    }
+    if (label.startsWith('__')) {
+      throw new Error(
+        `Invalid label name "${label}", names starting with "__" are reserved`
+      );
+    }
+    if (reserved.includes(label)) {
+      throw new Error(
+        `Invalid label name "${label}", it is reserved for this metric type`
+      );
+    }
+    if (seen.has(label)) {
+      throw new Error(`Duplicate label name "${label}"`);
+    }
+    seen.add(label);
+  }
+}
+
+/**
+ * Check a recorded value. `NaN` and infinities are rejected, they would
+ * poison sums and counts for the rest of the process.
+ * @param subject - What the value is, for the message
+ * @throws {TypeError} When the value is not a finite number
+ */
+export function validateValue(value: number, subject = 'Value'): void {
+  if (!Number.isFinite(value)) {
+    throw new TypeError(`${subject} is not a valid finite number: ${value}`);
+  }
+}
+
+/**
+ * Check histogram bucket boundaries. `+Inf` is always added by the
+ * histogram, so it may not be given.
+ * @throws {TypeError} When the buckets are not an array of numbers
+ * @throws {Error} When there are no buckets, or a bucket is not finite or
+ * given twice
+ */
+export function validateBuckets(buckets: readonly number[]): void {
+  if (!Array.isArray(buckets)) {
+    throw new TypeError('Buckets must be an array of numbers');
+  }
+  if (buckets.length === 0) {
+    throw new Error('Buckets must not be empty');
+  }
+  const seen = new Set<number>();
+  for (const bucket of buckets) {
+    if (typeof bucket !== 'number') {
+      throw new TypeError(
+        `Bucket ${String(bucket)} must be a number, got ${typeof bucket}`
+      );
+    }
+    if (bucket === Infinity) {
+      throw new Error(
+        'Bucket +Inf is added automatically and must not be given'
+      );
+    }
+    if (!Number.isFinite(bucket)) {
+      throw new Error(`Bucket ${bucket} must be a finite number`);
+    }
+    if (seen.has(bucket)) {
+      throw new Error(`Duplicate bucket ${bucket}`);
+    }
+    seen.add(bucket);
+  }
+}
+
+/**
+ * Check that a metric name carries its unit as a suffix, as OpenMetrics
+ * requires
+ * @param name - Metric name, counters may still end with `_total`
+ * @param unit - Unit declared for the metric
+ * @throws {Error} When the unit is malformed or missing from the name
+ */
+export function validateUnit(name: string, unit: string): void {
+  if (typeof unit !== 'string' || !/^[a-zA-Z0-9_:]+$/.test(unit)) {
+    throw new Error(`Invalid unit "${unit}"`);
+  }
+  const base = name.endsWith('_total') ? name.slice(0, -6) : name;
+  if (!base.endsWith(`_${unit}`)) {
+    throw new Error(
+      `Metric name "${name}" must end with the unit suffix "_${unit}"`
+    );
+  }
+}
+
+// combined length of exemplar label names and values, in code points
+const EXEMPLAR_MAX_LENGTH = 128;
+
+/**
+ * Check exemplar labels against the OpenMetrics rules
+ * @throws {TypeError} When the labels are not an object of strings
+ * @throws {Error} When a name is invalid or the label set is too long
+ */
+export function validateExemplarLabels(labels: Record<string, string>): void {
+  if (typeof labels !== 'object' || labels === null || Array.isArray(labels)) {
+    throw new TypeError('Exemplar labels must be an object');
+  }
+  let length = 0;
+  for (const [name, value] of Object.entries(labels)) {
+    if (!LABEL_NAME_RE.test(name)) {
+      throw new Error(
+        `Invalid exemplar label name "${name}", must match ${LABEL_NAME_RE}`
+      );
+    }
+    if (typeof value !== 'string') {
+      throw new TypeError(
+        `Exemplar label "${name}" must be a string, got ${typeof value}`
+      );
+    }
+    length += [...name].length + [...value].length;
+  }
+  if (length > EXEMPLAR_MAX_LENGTH) {
+    throw new Error(
+      `Exemplar labels are ${length} characters long, the limit is ${EXEMPLAR_MAX_LENGTH}`
+    );
+  }
+}
+
+/**
+ * Check that label defaults only name declared labels
+ * @throws {Error} When a default is given for an undeclared label
+ */
+export function validateLabelDefaults(
+  labels: string[],
+  defaults: Record<string, string>
+): void {
+  for (const name of Object.keys(defaults)) {
+    if (!labels.includes(name)) {
+      throw new Error(`Default given for undeclared label "${name}"`);
+    }
+  }
+}
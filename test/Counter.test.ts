@@ -1,3 +1,4 @@
+import { jest } from "@jest/globals";
 import { Counter } from "../src/metrics/Counter.js";
 
 let counter: Counter;
@@ -68,7 +69,7 @@ describe("Counter", () => {
 
     it("should return Prometheus format", () => {
         const prometheus = counter.toPrometheus();
-        expect(prometheus).toBe(`# HELP test test counter \n# TYPE test counter\ntest{method="get", route="/"} 5\n`);
+        expect(prometheus).toBe(`# HELP test test counter\n# TYPE test counter\ntest{method="get", route="/"} 5\n`);
     });
 
     it("should handle multiple label combinations", () => {
@@ -79,7 +80,7 @@ describe("Counter", () => {
 
     it("should return correct Prometheus format with multiple labels", () => {
         const prometheus = counter.toPrometheus();
-        expect(prometheus).toBe(`# HELP test test counter \n# TYPE test counter\ntest{method="get", route="/"} 5\ntest{method="post", route="/submit"} 3\n`);
+        expect(prometheus).toBe(`# HELP test test counter\n# TYPE test counter\ntest{method="get", route="/"} 5\ntest{method="post", route="/submit"} 3\n`);
     });
 
     it("should throw error on invalid increment values", () => {
@@ -88,4 +89,139 @@ describe("Counter", () => {
         expect(() => counter.inc(["get", "/"], -Infinity)).toThrow(TypeError);
         expect(() => counter.inc(["get", "/"], "string" as unknown as number)).toThrow(TypeError);
     });
-});
\ No newline at end of file
+
+    it("should escape label values and help text", () => {
+        const escaped = new Counter("escaped_total", "Help with \\ and\nnewline", ["error"]);
+        escaped.inc(['say "hi"\\bye\nnow']);
+        expect(escaped.toPrometheus()).toBe(
+            `# HELP escaped_total Help with \\\\ and\\nnewline\n# TYPE escaped_total counter\n` +
+            `escaped_total{error="say \\"hi\\"\\\\bye\\nnow"} 1\n`
+        );
+    });
+
+    it("should reject invalid metric and label names", () => {
+        expect(() => new Counter("my counter", "help")).toThrow('Invalid metric name "my counter"');
+        expect(() => new Counter("1st_counter", "help")).toThrow('Invalid metric name "1st_counter"');
+        expect(() => new Counter("ok", "help", ["bad-label"])).toThrow('Invalid label name "bad-label"');
+        expect(() => new Counter("ok", "help", ["__internal"])).toThrow(
+            'Invalid label name "__internal", names starting with "__" are reserved'
+        );
+        expect(() => new Counter("ok", "help", ["method", "method"])).toThrow('Duplicate label name "method"');
+        expect(() => new Counter("namespace:ok_total", "help", ["le", "quantile"])).not.toThrow();
+    });
+
+    it("should accept labels as an object in any order", () => {
+        const objCounter = new Counter("object_labels_total", "object labels", ["method", "route"]);
+        objCounter.inc({ route: "/x", method: "GET" }, 2);
+        objCounter.inc(["GET", "/x"]);
+        expect(objCounter.getValue({ method: "GET", route: "/x" })).toBe(3);
+        expect(objCounter.toPrometheus()).toContain(`object_labels_total{method="GET", route="/x"} 3\n`);
+    });
+
+    it("should reject unknown and missing object labels", () => {
+        expect(() => counter.inc({ method: "GET", path: "/" })).toThrow(
+            'Unknown label "path", expected one of: method, route'
+        );
+        expect(() => counter.inc({ method: "GET" })).toThrow('Missing value for label "route"');
+    });
+
+    it("should fill missing object labels from defaults", () => {
+        const defaulted = new Counter("defaulted_total", "defaults", ["method", "route"], {
+            labelDefaults: { route: "unknown" },
+        });
+        defaulted.inc({ method: "GET" });
+        defaulted.inc({ method: "GET", route: "/x" });
+        expect(defaulted.getValue(["GET", "unknown"])).toBe(1);
+        expect(defaulted.getValue(["GET", "/x"])).toBe(1);
+        expect(() => new Counter("bad_defaults_total", "defaults", ["method"], {
+            labelDefaults: { route: "unknown" },
+        })).toThrow('Default given for undeclared label "route"');
+    });
+
+    it("should increment through a bound child", () => {
+        const bound = new Counter("bound_total", "bound", ["method", "route"]);
+        const byObject = bound.labels({ method: "GET", route: "/" });
+        const byValues = bound.labels("GET", "/");
+        byObject.inc();
+        byValues.inc(4);
+        expect(bound.getValue(["GET", "/"])).toBe(5);
+        expect(() => byObject.inc(-1)).toThrow("Counter cannot be decreased");
+        expect(() => bound.labels("GET")).toThrow("Label count mismatch, expected 2 but got 1");
+    });
+
+    it("should reject undeclared object labels for an existing series", () => {
+        const requests = new Counter("existing_series_total", "Requests", ["method"]);
+        requests.inc({ method: "GET" });
+        expect(() => requests.inc({ method: "GET", route: "/" })).toThrow('Unknown label "route"');
+        expect(requests.getValue({ method: "GET" })).toBe(1);
+    });
+
+    it("should not be affected by later changes to the label array", () => {
+        const requests = new Counter("reused_array_total", "Requests", ["method"]);
+        const labels = ["GET"];
+        requests.inc(labels);
+        labels[0] = "POST";
+        requests.inc(labels);
+
+        expect(requests.getFamily().series.map(s => [s.labels, s.value])).toEqual([
+            [{ method: "GET" }, 1],
+            [{ method: "POST" }, 1],
+        ]);
+    });
+
+    it("should coerce label values of both forms to the same series", () => {
+        const responses = new Counter("coerced_total", "Responses", ["code"]);
+        const code = 200 as unknown as string;
+        responses.inc({ code });
+        responses.inc([code]);
+        responses.labels(code).inc();
+
+        expect(responses.getFamily().series.map(s => [s.labels, s.value])).toEqual([[{ code: "200" }, 3]]);
+        expect(responses.getValue([code])).toBe(3);
+    });
+});
+
+describe("Counter series removal", () => {
+    it("should remove a single series with its exemplar", () => {
+        const requests = new Counter("tenant_requests_total", "Requests", ["tenant"]);
+        requests.inc({ tenant: "a" }, 1, { trace_id: "abc" });
+        requests.inc({ tenant: "b" });
+
+        expect(requests.remove(["a"])).toBe(true);
+        expect(requests.getValue(["a"])).toBe(0);
+        expect(requests.getFamily().series.map(s => s.labels)).toEqual([{ tenant: "b" }]);
+
+        requests.inc({ tenant: "a" });
+        const [, recreated] = requests.getFamily().series;
+        expect(recreated.value).toBe(1);
+        expect(recreated.exemplar).toBeUndefined();
+    });
+
+    it("should keep recording through a bound child after a reset", () => {
+        const requests = new Counter("reset_child_total", "Requests", ["tenant"]);
+        const child = requests.labels("a");
+        child.inc();
+        requests.reset();
+        child.inc(2);
+
+        expect(requests.getValue(["a"])).toBe(2);
+        expect(requests.getFamily().series).toHaveLength(1);
+    });
+
+    it("should expire series not updated within the ttl", () => {
+        jest.useFakeTimers({ now: 1700000000000 });
+        try {
+            const requests = new Counter("expiring_requests_total", "Requests", ["tenant"], { ttl: 5000 });
+            requests.inc(["a"]);
+            jest.advanceTimersByTime(4000);
+            requests.inc(["a"]);
+            jest.advanceTimersByTime(4000);
+            expect(requests.getFamily().series).toHaveLength(1);
+
+            jest.advanceTimersByTime(1000);
+            expect(requests.getFamily().series).toEqual([]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
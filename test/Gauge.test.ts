@@ -1,3 +1,4 @@
+import { jest } from "@jest/globals";
 import { Gauge } from "../src/metrics/Gauge";
 
 let gauge: Gauge;
@@ -5,12 +6,12 @@ let gauge2: Gauge;
 
 beforeAll(() => {
     gauge = new Gauge(
-        "test gauge",
+        "test_gauge",
         "simple gauge testing"
     );
 
     gauge2 = new Gauge(
-        "test gauge 2",
+        "test_gauge_2",
         "gaug with labels",
         ["method", "route"]
     );
@@ -82,7 +83,107 @@ describe("Gauge", () => {
         gauge2.set(["GET", "/test"], 5);
         const prom1 = gauge.toPrometheus();
         const prom2 = gauge2.toPrometheus();
-        expect(prom1).toBe(`# HELP test gauge simple gauge testing \n# TYPE test gauge gauge \ntest gauge 10\n`);
-        expect(prom2).toBe(`# HELP test gauge 2 gaug with labels \n# TYPE test gauge 2 gauge \ntest gauge 2{method="GET", route="/test"} 5\n`);
+        expect(prom1).toBe(`# HELP test_gauge simple gauge testing\n# TYPE test_gauge gauge\ntest_gauge 10\n`);
+        expect(prom2).toBe(`# HELP test_gauge_2 gaug with labels\n# TYPE test_gauge_2 gauge\ntest_gauge_2{method="GET", route="/test"} 5\n`);
     });
-});
\ No newline at end of file
+
+    it("should escape label values and help text", () => {
+        const escaped = new Gauge("escaped_gauge", "Path like C:\\tmp", ["path"]);
+        escaped.set(['/a"b'], 1);
+        expect(escaped.toPrometheus()).toBe(
+            `# HELP escaped_gauge Path like C:\\\\tmp\n# TYPE escaped_gauge gauge\n` +
+            `escaped_gauge{path="/a\\"b"} 1\n`
+        );
+    });
+
+    it("should reject invalid metric and label names", () => {
+        expect(() => new Gauge("gauge-1", "help")).toThrow('Invalid metric name "gauge-1"');
+        expect(() => new Gauge("ok", "help", ["a:b"])).toThrow('Invalid label name "a:b"');
+        expect(() => new Gauge("ok", "help", ["a", "a"])).toThrow('Duplicate label name "a"');
+    });
+
+    it("should accept labels as an object", () => {
+        const objGauge = new Gauge("object_labels_gauge", "object labels", ["method", "route"]);
+        objGauge.set({ route: "/x", method: "GET" }, 5);
+        objGauge.inc({ method: "GET", route: "/x" }, 2);
+        objGauge.dec({ method: "GET", route: "/x" });
+        expect(objGauge.get({ method: "GET", route: "/x" })).toBe(6);
+        expect(objGauge.get(["GET", "/x"])).toBe(6);
+        expect(() => objGauge.set({ method: "GET" }, 1)).toThrow('Missing value for label "route"');
+        expect(() => objGauge.set(["GET"], 1)).toThrow("Label count mismatch, expected 2 but got 1");
+    });
+
+    it("should update through a bound child", () => {
+        const child = gauge2.labels({ method: "PUT", route: "/child" });
+        child.set(10);
+        child.inc();
+        child.dec(3);
+        expect(gauge2.get(["PUT", "/child"])).toBe(8);
+        expect(() => child.set(NaN)).toThrow(TypeError);
+        expect(() => child.dec(Infinity)).toThrow("Value is not a valid finite number: Infinity");
+    });
+});
+
+describe("Gauge series removal", () => {
+    it("should remove a single series", () => {
+        const connections = new Gauge("tenant_connections", "Connections", ["tenant"]);
+        connections.set({ tenant: "a" }, 3);
+        connections.set({ tenant: "b" }, 5);
+
+        expect(connections.remove({ tenant: "a" })).toBe(true);
+        expect(connections.remove(["a"])).toBe(false);
+        expect(connections.getFamily().series).toEqual([{ labels: { tenant: "b" }, value: 5 }]);
+        expect(() => connections.remove({ other: "a" })).toThrow('Unknown label "other"');
+    });
+
+    it("should expire series not updated within the ttl at scrape time", () => {
+        jest.useFakeTimers({ now: 1700000000000 });
+        try {
+            const sessions = new Gauge("tenant_sessions", "Sessions", ["tenant"], { ttl: 1000 });
+            const child = sessions.labels("a");
+            child.set(1);
+            jest.advanceTimersByTime(600);
+            sessions.set({ tenant: "b" }, 2);
+            jest.advanceTimersByTime(600);
+
+            expect(sessions.get(["a"])).toBe(1);
+            expect(sessions.getFamily().series).toEqual([{ labels: { tenant: "b" }, value: 2 }]);
+            expect(sessions.get(["a"])).toBe(0);
+
+            child.inc();
+            jest.advanceTimersByTime(600);
+            expect(sessions.getFamily().series.map(s => s.labels.tenant)).toEqual(["a"]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it("should reject an invalid ttl", () => {
+        expect(() => new Gauge("bad_ttl", "Bad", [], { ttl: 0 })).toThrow("ttl must be a positive number, got 0");
+        expect(() => new Gauge("bad_ttl", "Bad", [], { ttl: Infinity })).toThrow("ttl must be a positive number, got Infinity");
+    });
+});
+
+describe("Gauge timers", () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("should set the gauge to the elapsed seconds", () => {
+        jest.useFakeTimers();
+        const lastRun = new Gauge("job_last_duration_seconds", "Last run", ["job", "result"]);
+        const end = lastRun.startTimer({ job: "backup" });
+        jest.advanceTimersByTime(1500);
+
+        expect(end({ result: "success" })).toBeCloseTo(1.5, 6);
+        expect(lastRun.get({ job: "backup", result: "success" })).toBeCloseTo(1.5, 6);
+    });
+
+    it("should set the gauge to the current Unix time", () => {
+        jest.useFakeTimers({ now: 1700000000500 });
+        const lastSuccess = new Gauge("job_last_success_timestamp_seconds", "Last success", ["job"]);
+        lastSuccess.setToCurrentTime({ job: "backup" });
+
+        expect(lastSuccess.get(["backup"])).toBe(1700000000.5);
+    });
+});
@@ -1,17 +1,20 @@
+import process from "node:process";
+import { jest } from "@jest/globals";
 import { Histogram } from "../src/metrics/Histogram";
+import { DEFAULT_BUCKETS, exponentialBuckets, linearBuckets } from "../src/index";
 
 let histogram: Histogram;
 let histogram2: Histogram;
 
 beforeAll(() => {
     histogram = new Histogram(
-        "test histogram",
+        "test_histogram",
         "simple histogram testing",
         [0.1, 0.5, 1, 5, 10]
     );
 
     histogram2 = new Histogram(
-        "test histogram 2",
+        "test_histogram_2",
         "histogram with labels",
         [0.1, 0.5, 1, 5, 10],
         ["method", "route"]
@@ -42,23 +45,23 @@ describe("Histogram", () => {
     it("should return prometheus format", () => {
         const prom1 = histogram.toPrometheus();
         const prom2 = histogram2.toPrometheus();
-        expect(prom1).toBe(`# HELP test histogram simple histogram testing\n# TYPE test histogram histogram\ntest histogram_bucket{le="0.1"} 0\n` +
-            `test histogram_bucket{le="0.5"} 1\n` +
-            `test histogram_bucket{le="1"} 2\n` +
-            `test histogram_bucket{le="5"} 3\n` +
-            `test histogram_bucket{le="10"} 4\n` +
-            `test histogram_bucket{le="+Inf"} 5\n` +
-            `test histogram_sum 25\n` +
-            `test histogram_count 5\n`
+        expect(prom1).toBe(`# HELP test_histogram simple histogram testing\n# TYPE test_histogram histogram\ntest_histogram_bucket{le="0.1"} 0\n` +
+            `test_histogram_bucket{le="0.5"} 1\n` +
+            `test_histogram_bucket{le="1"} 2\n` +
+            `test_histogram_bucket{le="5"} 3\n` +
+            `test_histogram_bucket{le="10"} 4\n` +
+            `test_histogram_bucket{le="+Inf"} 5\n` +
+            `test_histogram_sum 25\n` +
+            `test_histogram_count 5\n`
         );
-        expect(prom2).toBe(`# HELP test histogram 2 histogram with labels\n# TYPE test histogram 2 histogram\ntest histogram 2_bucket{method="GET", route="/test", le="0.1"} 0\n` +
-            `test histogram 2_bucket{method="GET", route="/test", le="0.5"} 1\n` +
-            `test histogram 2_bucket{method="GET", route="/test", le="1"} 2\n` +
-            `test histogram 2_bucket{method="GET", route="/test", le="5"} 3\n` +
-            `test histogram 2_bucket{method="GET", route="/test", le="10"} 4\n` +
-            `test histogram 2_bucket{method="GET", route="/test", le="+Inf"} 5\n` +
-            `test histogram 2_sum{method="GET", route="/test"} 31.8\n` +
-            `test histogram 2_count{method="GET", route="/test"} 5\n`);
+        expect(prom2).toBe(`# HELP test_histogram_2 histogram with labels\n# TYPE test_histogram_2 histogram\ntest_histogram_2_bucket{method="GET", route="/test", le="0.1"} 0\n` +
+            `test_histogram_2_bucket{method="GET", route="/test", le="0.5"} 1\n` +
+            `test_histogram_2_bucket{method="GET", route="/test", le="1"} 2\n` +
+            `test_histogram_2_bucket{method="GET", route="/test", le="5"} 3\n` +
+            `test_histogram_2_bucket{method="GET", route="/test", le="10"} 4\n` +
+            `test_histogram_2_bucket{method="GET", route="/test", le="+Inf"} 5\n` +
+            `test_histogram_2_sum{method="GET", route="/test"} 31.8\n` +
+            `test_histogram_2_count{method="GET", route="/test"} 5\n`);
     });
 
     it("should throw error on invalid observe values", () => {
@@ -85,4 +88,316 @@ describe("Histogram", () => {
             histogram2.get(["GET"]);
         }).toThrow("Label count mismatch, expected 2 but got 1");
     });
-});
\ No newline at end of file
+
+    it("should escape label values and help text", () => {
+        const escaped = new Histogram("escaped_histogram", "multi\nline", [1], ["route"]);
+        escaped.observe(['/x"y'], 0.5);
+        expect(escaped.toPrometheus()).toBe(
+            `# HELP escaped_histogram multi\\nline\n# TYPE escaped_histogram histogram\n` +
+            `escaped_histogram_bucket{route="/x\\"y", le="1"} 1\n` +
+            `escaped_histogram_bucket{route="/x\\"y", le="+Inf"} 1\n` +
+            `escaped_histogram_sum{route="/x\\"y"} 0.5\n` +
+            `escaped_histogram_count{route="/x\\"y"} 1\n`
+        );
+    });
+
+    it("should reject invalid metric and label names", () => {
+        expect(() => new Histogram("test histogram", "help", [1])).toThrow('Invalid metric name "test histogram"');
+        expect(() => new Histogram("ok", "help", [1], ["le"])).toThrow(
+            'Invalid label name "le", it is reserved for this metric type'
+        );
+        expect(() => new Histogram("ok", "help", [1], ["__name__"])).toThrow('Invalid label name "__name__"');
+    });
+
+    it("should count values on bucket bounds and outside the buckets", () => {
+        const sizes = new Histogram("bounds_histogram", "bounds", [1, 2, 5]);
+        for (const value of [-1, 1, 2, 2.5, 5, 6]) {
+            sizes.observe(value);
+        }
+        expect(sizes.getFamily().series[0].buckets.map(({ le, count }) => [le, count])).toEqual([
+            [1, 2],
+            [2, 3],
+            [5, 5],
+            [Infinity, 6],
+        ]);
+    });
+
+    it("should observe through object labels and a bound child", () => {
+        const objHistogram = new Histogram("object_labels_histogram", "object labels", [1], ["method", "route"], {
+            labelDefaults: { method: "GET" },
+        });
+        objHistogram.observe({ route: "/a" }, 0.5);
+        objHistogram.labels("GET", "/a").observe(2);
+        objHistogram.labels({ route: "/a" }).observe(0.25, { trace_id: "t" });
+        expect(objHistogram.get({ route: "/a" })).toEqual({ totalCount: 3, totalSum: 2.75 });
+        expect(() => objHistogram.labels({ route: "/a", status: "200" })).toThrow('Unknown label "status"');
+    });
+});
+
+describe("Histogram series removal", () => {
+    it("should remove a single series", () => {
+        const latency = new Histogram("tenant_latency_seconds", "Latency", [0.1, 1], ["tenant"]);
+        const child = latency.labels({ tenant: "a" });
+        child.observe(0.5);
+        latency.observe({ tenant: "b" }, 2);
+
+        expect(latency.remove({ tenant: "a" })).toBe(true);
+        expect(latency.get(["a"])).toEqual({ totalCount: 0, totalSum: 0 });
+        expect(latency.getFamily().series.map(s => s.labels)).toEqual([{ tenant: "b" }]);
+
+        child.observe(0.05);
+        expect(latency.get(["a"])).toEqual({ totalCount: 1, totalSum: 0.05 });
+    });
+
+    it("should expire series not updated within the ttl", () => {
+        jest.useFakeTimers({ now: 1700000000000 });
+        try {
+            const latency = new Histogram("expiring_latency_seconds", "Latency", [1], ["tenant"], { ttl: 1000 });
+            latency.observe(["a"], 0.5);
+            jest.advanceTimersByTime(1000);
+            latency.observe(["b"], 0.5);
+
+            expect(latency.getFamily().series.map(s => s.labels)).toEqual([{ tenant: "b" }]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
+
+describe("Histogram timers", () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("should observe the elapsed seconds with start and end labels", () => {
+        jest.useFakeTimers();
+        const duration = new Histogram("timed_request_seconds", "Request duration", [0.1, 1], ["method", "status"]);
+        const end = duration.startTimer({ method: "GET" });
+        jest.advanceTimersByTime(250);
+
+        expect(end({ status: "200" })).toBeCloseTo(0.25, 6);
+        const { totalCount, totalSum } = duration.get({ method: "GET", status: "200" });
+        expect(totalCount).toBe(1);
+        expect(totalSum).toBeCloseTo(0.25, 6);
+    });
+
+    it("should time sync functions, also when they throw", () => {
+        jest.useFakeTimers();
+        const duration = new Histogram("timed_sync_seconds", "Duration", [1]);
+
+        expect(
+            duration.time(() => {
+                jest.advanceTimersByTime(100);
+                return "done";
+            })
+        ).toBe("done");
+        expect(() =>
+            duration.time(() => {
+                throw new Error("failed");
+            })
+        ).toThrow("failed");
+
+        const { totalCount, totalSum } = duration.get();
+        expect(totalCount).toBe(2);
+        expect(totalSum).toBeCloseTo(0.1, 6);
+    });
+
+    it("should time async functions until they settle", async () => {
+        const duration = new Histogram("timed_async_seconds", "Duration", [1], ["job"]);
+        const wait = (): Promise<void> => new Promise(resolve => setTimeout(resolve, 20));
+
+        const result = duration.time(async () => {
+            await wait();
+            return 42;
+        }, { job: "ok" });
+        expect(duration.get({ job: "ok" }).totalCount).toBe(0);
+        expect(await result).toBe(42);
+
+        await expect(
+            duration.time(async () => {
+                await wait();
+                throw new Error("failed");
+            }, { job: "failed" })
+        ).rejects.toThrow("failed");
+
+        for (const job of ["ok", "failed"]) {
+            const { totalCount, totalSum } = duration.get({ job });
+            expect(totalCount).toBe(1);
+            expect(totalSum).toBeGreaterThanOrEqual(0.015);
+        }
+    });
+});
+
+describe("Histogram timer errors", () => {
+    let warn: jest.SpiedFunction<typeof process.emitWarning>;
+
+    beforeEach(() => {
+        warn = jest.spyOn(process, "emitWarning").mockImplementation(() => undefined);
+    });
+
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    it("should reject with the series limit error of an async function", async () => {
+        const duration = new Histogram("limited_async_seconds", "Duration", [1], ["job"], {
+            maxSeries: 1,
+            seriesLimitPolicy: "throw",
+        });
+        duration.observe({ job: "a" }, 1);
+
+        await expect(duration.time(async () => 42, { job: "b" })).rejects.toThrow(
+            'Metric "limited_async_seconds" reached its limit of 1 series'
+        );
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it("should pass on the error of a failing function and warn about the limit", async () => {
+        const duration = new Histogram("limited_failing_seconds", "Duration", [1], ["job"], {
+            maxSeries: 1,
+            seriesLimitPolicy: "throw",
+        });
+        duration.observe({ job: "a" }, 1);
+
+        expect(() =>
+            duration.time(() => {
+                throw new Error("failed");
+            }, { job: "b" })
+        ).toThrow("failed");
+        await expect(
+            duration.time(async () => {
+                throw new Error("async failed");
+            }, { job: "b" })
+        ).rejects.toThrow("async failed");
+        expect(warn).toHaveBeenCalledTimes(2);
+        expect(String(warn.mock.calls[0][0])).toContain("reached its limit of 1 series");
+    });
+});
+
+describe("Histogram buckets", () => {
+    it("should use the default buckets when none are given", () => {
+        const latency = new Histogram("default_buckets_seconds", "Latency", undefined, [], { registers: [] });
+        latency.observe(1);
+
+        expect(latency.getFamily().series[0].buckets.map(b => b.le)).toEqual([...DEFAULT_BUCKETS, Infinity]);
+    });
+
+    it("should reject invalid buckets", () => {
+        const create = (buckets: number[]): Histogram =>
+            new Histogram("bad_buckets", "Bad", buckets, [], { registers: [] });
+
+        expect(() => create([])).toThrow("Buckets must not be empty");
+        expect(() => create([1, 2, 1])).toThrow("Duplicate bucket 1");
+        expect(() => create([1, NaN])).toThrow("Bucket NaN must be a finite number");
+        expect(() => create([1, Infinity])).toThrow("Bucket +Inf is added automatically and must not be given");
+        expect(() => create([1, "2" as unknown as number])).toThrow(TypeError);
+    });
+
+    it("should sort buckets", () => {
+        const sizes = new Histogram("sorted_bytes", "Sizes", [100, 10, 1], [], { registers: [] });
+        sizes.observe(5);
+
+        expect(sizes.getFamily().series[0].buckets.map(b => b.le)).toEqual([1, 10, 100, Infinity]);
+    });
+});
+
+describe("bucket generators", () => {
+    it("should create linear buckets without floating point noise", () => {
+        expect(linearBuckets(0.1, 0.1, 5)).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+        expect(linearBuckets(-1, 1, 3)).toEqual([-1, 0, 1]);
+    });
+
+    it("should create exponential buckets", () => {
+        expect(exponentialBuckets(1, 2, 4)).toEqual([1, 2, 4, 8]);
+        expect(exponentialBuckets(0.001, 10, 4)).toEqual([0.001, 0.01, 0.1, 1]);
+    });
+
+    it("should validate their arguments", () => {
+        expect(() => linearBuckets(0, 0, 3)).toThrow("width must be a positive number, got 0");
+        expect(() => linearBuckets(NaN, 1, 3)).toThrow("start must be a finite number, got NaN");
+        expect(() => linearBuckets(0, 1, 0)).toThrow("count must be a positive integer, got 0");
+        expect(() => exponentialBuckets(0, 2, 3)).toThrow("start must be a positive number, got 0");
+        expect(() => exponentialBuckets(1, 1, 3)).toThrow("factor must be a number greater than 1, got 1");
+        expect(() => exponentialBuckets(1, 2, 2.5)).toThrow("count must be a positive integer, got 2.5");
+    });
+});
+
+describe("Histogram native buckets", () => {
+    const nativeOf = (histogram: Histogram): unknown => histogram.getFamily().series[0].native;
+
+    it("should count observations in exponential buckets", () => {
+        const latency = new Histogram("native_seconds", "Latency", [1], [], {
+            registers: [],
+            native: { schema: 0 },
+        });
+        [1, 1.5, 3, 0, -2, 2].forEach(v => latency.observe(v));
+
+        expect(nativeOf(latency)).toEqual({
+            schema: 0,
+            zeroThreshold: 2 ** -128,
+            zeroCount: 1,
+            positiveSpans: [{ offset: 0, length: 3 }],
+            positiveCounts: [1, 2, 1],
+            negativeSpans: [{ offset: 1, length: 1 }],
+            negativeCounts: [1],
+        });
+        expect(latency.get()).toEqual({ totalCount: 6, totalSum: 5.5 });
+    });
+
+    it("should use schema 3 by default and skip empty buckets", () => {
+        const latency = new Histogram("native_default_seconds", "Latency", [1], [], { registers: [], native: true });
+        [1, 1.1, 2].forEach(v => latency.observe(v));
+
+        expect(nativeOf(latency)).toMatchObject({
+            schema: 3,
+            positiveSpans: [
+                { offset: 0, length: 1 },
+                { offset: 1, length: 1 },
+                { offset: 5, length: 1 },
+            ],
+            positiveCounts: [1, 1, 1],
+        });
+    });
+
+    it("should reduce the schema when there are too many buckets", () => {
+        const latency = new Histogram("native_reduced_seconds", "Latency", [1], [], {
+            registers: [],
+            native: { schema: 2, maxBuckets: 2 },
+        });
+        [1, 2, 4, 0.5].forEach(v => latency.observe(v));
+
+        expect(nativeOf(latency)).toMatchObject({
+            schema: -1,
+            positiveSpans: [{ offset: 0, length: 2 }],
+            positiveCounts: [2, 2],
+        });
+    });
+
+    it("should only expose the +Inf bucket without classic buckets", () => {
+        const latency = new Histogram("native_only_seconds", "Latency", undefined, [], {
+            registers: [],
+            native: true,
+            classic: false,
+        });
+        latency.observe(0.3);
+
+        expect(latency.toPrometheus()).toBe(
+            "# HELP native_only_seconds Latency\n# TYPE native_only_seconds histogram\n" +
+            `native_only_seconds_bucket{le="+Inf"} 1\n` +
+            "native_only_seconds_sum 0.3\n" +
+            "native_only_seconds_count 1\n"
+        );
+    });
+
+    it("should validate the options", () => {
+        const create = (options: object): Histogram =>
+            new Histogram("bad_native", "Bad", [1], [], { registers: [], ...options });
+
+        expect(() => create({ classic: false })).toThrow("A histogram without classic buckets needs the native option");
+        expect(() => create({ native: { schema: 9 } })).toThrow("schema must be an integer from -4 to 8, got 9");
+        expect(() => create({ native: { zeroThreshold: -1 } })).toThrow(
+            "zeroThreshold must be a non-negative number, got -1"
+        );
+        expect(() => create({ native: { maxBuckets: 0 } })).toThrow("maxBuckets must be a positive integer, got 0");
+    });
+});
@@ -0,0 +1,210 @@
+import { createServer as createHttpServer, IncomingHttpHeaders } from "node:http";
+import { AddressInfo, createServer as createTcpServer, Server } from "node:net";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import { formatGraphite, formatInfluxLineProtocol, LineProtocolExporter, Registry } from "../src/index";
+
+const TIMESTAMP = 1700000000500;
+let registry: Registry;
+
+beforeEach(() => {
+    registry = new Registry();
+    const registers = [registry];
+    const requests = new Counter("http_requests_total", "Requests", ["method", "path"], { registers });
+    const temperature = new Gauge("temperature_celsius", "Temperature", ["room"], { registers });
+    const latency = new Histogram("latency_seconds", "Latency", [0.5, 1], ["route"], { registers });
+    const size = new Summary("size_bytes", "Size", [0.5], [], { registers });
+
+    requests.inc(["GET", "/a b;c,d=e"], 3);
+    requests.inc(["POST", ""]);
+    temperature.set(["kitchen"], 21.5);
+    latency.observe(["/a"], 0.7);
+    latency.observe(["/a"], 3);
+    size.observe(100);
+});
+
+describe("formatGraphite", () => {
+    it("should render tagged series with Prometheus sample names", async () => {
+        expect(formatGraphite(await registry.getFamilies(), TIMESTAMP).split("\n")).toEqual([
+            "http_requests_total;method=GET;path=/a_b_c,d=e 3 1700000000",
+            "http_requests_total;method=POST 1 1700000000",
+            "temperature_celsius;room=kitchen 21.5 1700000000",
+            "latency_seconds_bucket;route=/a;le=0.5 0 1700000000",
+            "latency_seconds_bucket;route=/a;le=1 1 1700000000",
+            "latency_seconds_bucket;route=/a;le=+Inf 2 1700000000",
+            "latency_seconds_sum;route=/a 3.7 1700000000",
+            "latency_seconds_count;route=/a 2 1700000000",
+            "size_bytes;quantile=0.5 100 1700000000",
+            "size_bytes_sum 100 1700000000",
+            "size_bytes_count 1 1700000000",
+            "",
+        ]);
+    });
+
+    it("should leave out non-finite values", () => {
+        expect(
+            formatGraphite([{ name: "ratio", help: "", type: "gauge", series: [{ labels: { a: "~x" }, value: NaN }, { labels: { a: "~x" }, value: 1 }] }], 0)
+        ).toBe("ratio;a=_x 1 0\n");
+    });
+});
+
+describe("formatInfluxLineProtocol", () => {
+    it("should render a line per series with fields laid out like Telegraf", async () => {
+        expect(formatInfluxLineProtocol(await registry.getFamilies(), TIMESTAMP).split("\n")).toEqual([
+            "http_requests_total,method=GET,path=/a\\ b;c\\,d\\=e counter=3 1700000000500000000",
+            "http_requests_total,method=POST counter=1 1700000000500000000",
+            "temperature_celsius,room=kitchen gauge=21.5 1700000000500000000",
+            "latency_seconds,route=/a 0.5=0,1=1,+Inf=2,sum=3.7,count=2 1700000000500000000",
+            "size_bytes 0.5=100,sum=100,count=1 1700000000500000000",
+            "",
+        ]);
+    });
+
+    it("should sort tags and leave out non-finite fields", () => {
+        expect(
+            formatInfluxLineProtocol(
+                [
+                    { name: "up time", help: "", type: "gauge", series: [{ labels: { z: "1", a: "x\ny" }, value: 1 }] },
+                    { name: "ratio", help: "", type: "gauge", series: [{ labels: {}, value: Infinity }] },
+                ],
+                0
+            )
+        ).toBe("up\\ time,a=x\\ y,z=1 gauge=1 0\n");
+    });
+
+    it("should escape backslashes in tags", () => {
+        expect(
+            formatInfluxLineProtocol([{ name: "files", help: "", type: "gauge", series: [{ labels: { path: "C:\\" }, value: 1 }] }], 0)
+        ).toBe("files,path=C:\\\\ gauge=1 0\n");
+    });
+});
+
+describe("LineProtocolExporter", () => {
+    it("should write Graphite lines over TCP", async () => {
+        const received: string[] = [];
+        const server: Server = createTcpServer(socket => {
+            let data = "";
+            socket.on("data", chunk => (data += chunk));
+            socket.on("end", () => {
+                received.push(data);
+                socket.end();
+            });
+        });
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        const { port } = server.address() as AddressInfo;
+
+        try {
+            const exporter = new LineProtocolExporter({
+                format: "graphite",
+                url: `tcp://127.0.0.1:${port}`,
+                registry,
+                flushInterval: 0,
+            });
+            await exporter.flush();
+
+            expect(received).toHaveLength(1);
+            expect(received[0]).toContain("temperature_celsius;room=kitchen 21.5 ");
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("should reject when the TCP connection fails", async () => {
+        const server = createTcpServer();
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        const { port } = server.address() as AddressInfo;
+        await new Promise(resolve => server.close(resolve));
+
+        const exporter = new LineProtocolExporter({ format: "graphite", url: `tcp://127.0.0.1:${port}`, registry, flushInterval: 0 });
+        await expect(exporter.flush()).rejects.toThrow("ECONNREFUSED");
+    });
+
+    describe("over HTTP", () => {
+        let server: ReturnType<typeof createHttpServer>;
+        let received: { url?: string; headers: IncomingHttpHeaders; body: string }[];
+        let status: number;
+        let url: string;
+
+        beforeEach(async () => {
+            received = [];
+            status = 204;
+            server = createHttpServer((req, res) => {
+                let body = "";
+                req.on("data", chunk => (body += chunk));
+                req.on("end", () => {
+                    received.push({ url: req.url, headers: req.headers, body });
+                    res.statusCode = status;
+                    res.end(status >= 400 ? "partial write: field type conflict" : "");
+                });
+            });
+            await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+            url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+        });
+
+        afterEach(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it("should post InfluxDB lines with custom headers", async () => {
+            const exporter = new LineProtocolExporter({
+                format: "influx",
+                url: `${url}/api/v2/write?org=acme&bucket=metrics`,
+                registry,
+                headers: { Authorization: "Token secret" },
+                flushInterval: 0,
+            });
+            await exporter.flush();
+
+            expect(received[0].url).toBe("/api/v2/write?org=acme&bucket=metrics");
+            expect(received[0].headers.authorization).toBe("Token secret");
+            expect(received[0].headers["content-type"]).toBe("text/plain; charset=utf-8");
+            expect(received[0].body).toContain("temperature_celsius,room=kitchen gauge=21.5 ");
+        });
+
+        it("should reject on error responses", async () => {
+            status = 400;
+            const exporter = new LineProtocolExporter({ format: "influx", url, registry, flushInterval: 0 });
+            await expect(exporter.flush()).rejects.toThrow(
+                "Server responded with 400 Bad Request: partial write: field type conflict"
+            );
+        });
+
+        it("should send on an interval and once more on close", async () => {
+            const exporter = new LineProtocolExporter({ format: "influx", url, registry, flushInterval: 20 });
+            while (received.length < 2) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            const before = received.length;
+            await exporter.close();
+            const count = received.length;
+            expect(count).toBeGreaterThan(before);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(received).toHaveLength(count);
+            await expect(exporter.flush()).rejects.toThrow("Line protocol exporter is closed");
+        });
+
+        it("should not send anything for an empty registry", async () => {
+            await new LineProtocolExporter({ format: "graphite", url, registry: new Registry(), flushInterval: 0 }).flush();
+            expect(received).toHaveLength(0);
+        });
+    });
+
+    it("should reject invalid options", () => {
+        expect(() => new LineProtocolExporter({ format: "json" as "influx", url: "tcp://localhost:2003" })).toThrow(
+            'Unknown line protocol format "json"'
+        );
+        expect(() => new LineProtocolExporter({ format: "graphite", url: "udp://localhost:2003" })).toThrow(
+            'Unsupported line protocol transport "udp:"'
+        );
+        expect(() => new LineProtocolExporter({ format: "graphite", url: "tcp://localhost" })).toThrow(
+            "TCP URL needs a port, got tcp://localhost"
+        );
+        expect(() => new LineProtocolExporter({ format: "graphite", url: "tcp://localhost:2003", timeout: 0 })).toThrow(
+            "timeout must be a positive number, got 0"
+        );
+    });
+});
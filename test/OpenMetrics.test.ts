@@ -0,0 +1,261 @@
+import { jest } from "@jest/globals";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import {
+    formatOpenMetrics,
+    formatPrometheus,
+    GaugeFamily,
+    linearBuckets,
+    negotiateFormat,
+    OPENMETRICS_CONTENT_TYPE,
+    PROMETHEUS_CONTENT_TYPE,
+    Registry,
+} from "../src/index";
+
+let registry: Registry;
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: 1700000000500 });
+
+    const requests = new Counter("http_requests_total", "Total requests", ["method"]);
+    const jobs = new Counter("jobs", "Jobs processed");
+    const temperature = new Gauge("room_temperature_celsius", "Temperature", ["room"], { unit: "celsius" });
+    const latency = new Histogram("latency_seconds", "Latency", [0.5, 1], [], { unit: "seconds" });
+    const size = new Summary("response_size_bytes", "Size with \"quotes\"", [0.5], [], { unit: "bytes" });
+
+    requests.inc(["GET"], 3);
+    jobs.inc();
+    temperature.set(["a,b"], -1.5);
+    latency.observe(0.7);
+    size.observe(512);
+
+    registry = new Registry();
+    registry.register(requests);
+    registry.register(jobs);
+    registry.register(temperature);
+    registry.register(latency);
+    registry.register(size);
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe("OpenMetrics", () => {
+    it("should render OpenMetrics text", () => {
+        expect(registry.metrics("openmetrics")).toBe(
+            `# HELP http_requests Total requests\n` +
+            `# TYPE http_requests counter\n` +
+            `http_requests_total{method="GET"} 3\n` +
+            `http_requests_created{method="GET"} 1700000000.5\n` +
+            `# HELP jobs Jobs processed\n` +
+            `# TYPE jobs counter\n` +
+            `jobs_total 1\n` +
+            `jobs_created 1700000000.5\n` +
+            `# HELP room_temperature_celsius Temperature\n` +
+            `# TYPE room_temperature_celsius gauge\n` +
+            `# UNIT room_temperature_celsius celsius\n` +
+            `room_temperature_celsius{room="a,b"} -1.5\n` +
+            `# HELP latency_seconds Latency\n` +
+            `# TYPE latency_seconds histogram\n` +
+            `# UNIT latency_seconds seconds\n` +
+            `latency_seconds_bucket{le="0.5"} 0\n` +
+            `latency_seconds_bucket{le="1"} 1\n` +
+            `latency_seconds_bucket{le="+Inf"} 1\n` +
+            `latency_seconds_count 1\n` +
+            `latency_seconds_sum 0.7\n` +
+            `latency_seconds_created 1700000000.5\n` +
+            `# HELP response_size_bytes Size with \\"quotes\\"\n` +
+            `# TYPE response_size_bytes summary\n` +
+            `# UNIT response_size_bytes bytes\n` +
+            `response_size_bytes{quantile="0.5"} 512\n` +
+            `response_size_bytes_count 1\n` +
+            `response_size_bytes_sum 512\n` +
+            `response_size_bytes_created 1700000000.5\n` +
+            `# EOF\n`
+        );
+    });
+
+    it("should keep the Prometheus text format as the default", () => {
+        const output = registry.metrics();
+        expect(output).toBe(registry.metrics("prometheus"));
+        expect(output).toContain(`# TYPE http_requests_total counter\nhttp_requests_total{method="GET"} 3\n`);
+        expect(output).toContain(`# TYPE jobs counter\njobs 1\n`);
+        expect(output).not.toContain("# UNIT");
+        expect(output).not.toContain("_created");
+        expect(output).not.toContain("# EOF");
+    });
+
+    it("should terminate an empty registry with EOF", () => {
+        expect(new Registry().metrics("openmetrics")).toBe("# EOF\n");
+    });
+
+    it("should require the unit as a name suffix", () => {
+        expect(() => new Gauge("temperature", "help", [], { unit: "celsius" })).toThrow(
+            'Metric name "temperature" must end with the unit suffix "_celsius"'
+        );
+        expect(() => new Counter("io_bytes_total", "help", [], { unit: "bytes" })).not.toThrow();
+        expect(() => new Counter("io_bytes", "help", [], { unit: "bad unit" })).toThrow('Invalid unit "bad unit"');
+    });
+
+    it("should write le and quantile values like the Prometheus format", () => {
+        const local = new Registry();
+        const registers = [local];
+        const latency = new Histogram("bounds_seconds", "Bounds", linearBuckets(0.1, 0.1, 3).concat([1, 2.5]), [], {
+            registers,
+        });
+        const size = new Summary("bounds_bytes", "Bounds", [0.5, 1], [], { registers });
+        latency.observe(0.25);
+        size.observe(10);
+
+        const labelValues = (text: string): string[] => text.match(/(le|quantile)="[^"]*"/g) ?? [];
+        expect(labelValues(local.metrics("openmetrics"))).toEqual(labelValues(local.metrics()));
+        expect(labelValues(local.metrics())).toEqual([
+            'le="0.1"',
+            'le="0.2"',
+            'le="0.3"',
+            'le="1"',
+            'le="2.5"',
+            'le="+Inf"',
+            'quantile="0.5"',
+            'quantile="1"',
+        ]);
+    });
+});
+
+describe("Label rendering", () => {
+    it("should render label sets changed since an earlier render", () => {
+        const family: GaugeFamily = { name: "temperature", help: "", type: "gauge", series: [{ labels: { room: "a" }, value: 1 }] };
+        expect(formatPrometheus([family])).toContain(`temperature{room="a"} 1\n`);
+        family.series[0].labels.room = "b";
+        expect(formatPrometheus([family])).toContain(`temperature{room="b"} 1\n`);
+        expect(formatOpenMetrics([family])).toContain(`temperature{room="b"} 1\n`);
+    });
+
+    it("should hand out frozen series labels", () => {
+        const gauge = new Gauge("frozen_labels", "Frozen", ["room"], { registers: [] });
+        gauge.set(["a"], 1);
+        expect(Object.isFrozen(gauge.getFamily().series[0].labels)).toBe(true);
+    });
+});
+
+describe("negotiateFormat", () => {
+    it("should fall back to the Prometheus text format", () => {
+        const prometheus = { format: "prometheus", contentType: PROMETHEUS_CONTENT_TYPE };
+        expect(negotiateFormat()).toEqual(prometheus);
+        expect(negotiateFormat("")).toEqual(prometheus);
+        expect(negotiateFormat("text/plain")).toEqual(prometheus);
+        expect(negotiateFormat("*/*")).toEqual(prometheus);
+        expect(negotiateFormat("application/json")).toEqual(prometheus);
+        expect(negotiateFormat("application/openmetrics-text; version=2.0.0")).toEqual(prometheus);
+        expect(negotiateFormat("application/openmetrics-text;q=0")).toEqual(prometheus);
+    });
+
+    it("should pick OpenMetrics when the scraper prefers it", () => {
+        expect(negotiateFormat("application/openmetrics-text")).toEqual({
+            format: "openmetrics",
+            contentType: OPENMETRICS_CONTENT_TYPE,
+        });
+        // what Prometheus itself sends
+        expect(
+            negotiateFormat(
+                "application/openmetrics-text;version=1.0.0;q=0.5,application/openmetrics-text;version=0.0.1;q=0.4,text/plain;version=0.0.4;q=0.3,*/*;q=0.2"
+            )
+        ).toEqual({ format: "openmetrics", contentType: OPENMETRICS_CONTENT_TYPE });
+        expect(negotiateFormat("application/openmetrics-text; version=0.0.1").contentType).toBe(
+            "application/openmetrics-text; version=0.0.1; charset=utf-8"
+        );
+    });
+
+    it("should respect quality values", () => {
+        expect(negotiateFormat("text/plain;q=0.9, application/openmetrics-text;q=0.5").format).toBe("prometheus");
+        expect(negotiateFormat("text/plain;q=0.5, application/openmetrics-text;q=0.9").format).toBe("openmetrics");
+    });
+});
+
+describe("Exemplars", () => {
+    it("should keep the latest exemplar per counter series", () => {
+        const counter = new Counter("traced_requests_total", "Traced requests", ["method"]);
+        counter.inc(["GET"], 1, { trace_id: "aaa" });
+        jest.advanceTimersByTime(1000);
+        counter.inc(["GET"], 2, { trace_id: "bbb" });
+        counter.inc(["POST"]);
+        counter.inc(["POST"], 1);
+
+        const registry = new Registry();
+        registry.register(counter);
+        expect(registry.metrics("openmetrics")).toBe(
+            `# HELP traced_requests Traced requests\n` +
+            `# TYPE traced_requests counter\n` +
+            `traced_requests_total{method="GET"} 3 # {trace_id="bbb"} 2 1700000001.5\n` +
+            `traced_requests_created{method="GET"} 1700000000.5\n` +
+            `traced_requests_total{method="POST"} 2\n` +
+            `traced_requests_created{method="POST"} 1700000001.5\n` +
+            `# EOF\n`
+        );
+        // the Prometheus text format has no exemplars
+        expect(registry.metrics()).not.toContain("trace_id");
+    });
+
+    it("should accept exemplars on counters without labels", () => {
+        const counter = new Counter("plain_total", "Plain");
+        counter.inc(undefined, { trace_id: "a" });
+        counter.inc(2, { trace_id: "b" });
+        expect(counter.getValue()).toBe(3);
+        expect(counter.getFamily().series[0].exemplar).toEqual({
+            labels: { trace_id: "b" },
+            value: 2,
+            timestamp: 1700000001500,
+        });
+    });
+
+    it("should keep the latest exemplar per histogram bucket", () => {
+        const histogram = new Histogram("traced_latency_seconds", "Latency", [0.1, 1], ["route"]);
+        histogram.observe(["/a"], 0.05, { trace_id: "fast" });
+        histogram.observe(["/a"], 0.5, { trace_id: "slow" });
+        histogram.observe(["/a"], 0.7, { trace_id: "slower" });
+        histogram.observe(["/a"], 3, { trace_id: "slowest", span_id: "s1" });
+        histogram.observe(["/a"], 0.08);
+
+        const registry = new Registry();
+        registry.register(histogram);
+        expect(registry.metrics("openmetrics")).toBe(
+            `# HELP traced_latency_seconds Latency\n` +
+            `# TYPE traced_latency_seconds histogram\n` +
+            `traced_latency_seconds_bucket{route="/a",le="0.1"} 2 # {trace_id="fast"} 0.05 1700000001.5\n` +
+            `traced_latency_seconds_bucket{route="/a",le="1"} 4 # {trace_id="slower"} 0.7 1700000001.5\n` +
+            `traced_latency_seconds_bucket{route="/a",le="+Inf"} 5 # {trace_id="slowest",span_id="s1"} 3 1700000001.5\n` +
+            `traced_latency_seconds_count{route="/a"} 5\n` +
+            `traced_latency_seconds_sum{route="/a"} 4.33\n` +
+            `traced_latency_seconds_created{route="/a"} 1700000001.5\n` +
+            `# EOF\n`
+        );
+    });
+
+    it("should enforce the 128 character limit", () => {
+        const counter = new Counter("limited_total", "Limited");
+        const histogram = new Histogram("limited_seconds", "Limited", [1]);
+        // 8 + 120 characters is right at the limit
+        expect(() => counter.inc(1, { trace_id: "x".repeat(120) })).not.toThrow();
+        expect(() => counter.inc(1, { trace_id: "x".repeat(121) })).toThrow(
+            "Exemplar labels are 129 characters long, the limit is 128"
+        );
+        expect(() => histogram.observe(1, { trace_id: "😀".repeat(121) })).toThrow(
+            "Exemplar labels are 129 characters long"
+        );
+        // rejected exemplars do not record the observation either
+        expect(counter.getValue()).toBe(1);
+        expect(histogram.get().totalCount).toBe(0);
+    });
+
+    it("should reject invalid exemplar labels", () => {
+        const counter = new Counter("invalid_exemplar_total", "Invalid");
+        expect(() => counter.inc(1, { "trace-id": "a" })).toThrow('Invalid exemplar label name "trace-id"');
+        expect(() => counter.inc(1, { trace_id: 5 as unknown as string })).toThrow(TypeError);
+        expect(() => counter.inc(1, "trace" as unknown as Record<string, string>)).toThrow(
+            "Exemplar labels must be an object"
+        );
+    });
+});
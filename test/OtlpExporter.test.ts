@@ -0,0 +1,275 @@
+import { createServer, IncomingHttpHeaders, Server } from "node:http";
+import { AddressInfo } from "node:net";
+import { gunzipSync } from "node:zlib";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import {
+    formatOtlpJson,
+    MetricFamily,
+    OTLP_JSON_CONTENT_TYPE,
+    OTLP_PROTOBUF_CONTENT_TYPE,
+    OtlpExporter,
+    OtlpMetricsRequest,
+    Registry,
+    toOtlpMetrics,
+} from "../src/index";
+import { Fields, readMessage } from "./helpers/protobuf";
+
+const message = (fields: Fields, ...path: number[]): Fields =>
+    path.reduce((current, field) => readMessage(current.get(field)![0] as Buffer), fields);
+const str = (fields: Fields, field: number): string => fields.get(field)![0].toString();
+const double = (fields: Fields, field: number): number => (fields.get(field)![0] as Buffer).readDoubleLE(0);
+const fixed64 = (fields: Fields, field: number): bigint => (fields.get(field)![0] as Buffer).readBigUInt64LE(0);
+
+describe("toOtlpMetrics", () => {
+    it("should convert each metric type with labels as attributes", async () => {
+        const registry = new Registry();
+        const registers = [registry];
+        const requests = new Counter("http_requests_total", "Requests", ["method"], { registers });
+        const temperature = new Gauge("temperature_celsius", "Temperature", [], { unit: "celsius", registers });
+        const latency = new Histogram("latency_seconds", "Latency", [0.5, 1], [], { registers });
+        const size = new Summary("size_bytes", "Size", [0.5], [], { registers });
+        requests.inc(["GET"], 3);
+        temperature.set(-1.5);
+        latency.observe(0.7);
+        latency.observe(3);
+        size.observe(100);
+
+        const families = await registry.getFamilies();
+        const created = (i: number): string => `${BigInt(families[i].series[0].created!) * 1000000n}`;
+        const request = toOtlpMetrics(families, { resource: { "service.name": "api", pid: 42 }, timestamp: 1700000000500 });
+        const time = "1700000000500000000";
+
+        expect(request.resourceMetrics[0].resource).toEqual({
+            attributes: [
+                { key: "service.name", value: { stringValue: "api" } },
+                { key: "pid", value: { intValue: "42" } },
+            ],
+        });
+        expect(request.resourceMetrics[0].scopeMetrics[0].metrics).toEqual([
+            {
+                name: "http_requests_total",
+                description: "Requests",
+                sum: {
+                    dataPoints: [
+                        {
+                            attributes: [{ key: "method", value: { stringValue: "GET" } }],
+                            startTimeUnixNano: created(0),
+                            timeUnixNano: time,
+                            asDouble: 3,
+                        },
+                    ],
+                    aggregationTemporality: 2,
+                    isMonotonic: true,
+                },
+            },
+            {
+                name: "temperature_celsius",
+                description: "Temperature",
+                unit: "celsius",
+                gauge: { dataPoints: [{ attributes: [], timeUnixNano: time, asDouble: -1.5 }] },
+            },
+            {
+                name: "latency_seconds",
+                description: "Latency",
+                histogram: {
+                    dataPoints: [
+                        {
+                            attributes: [],
+                            startTimeUnixNano: created(2),
+                            timeUnixNano: time,
+                            count: "2",
+                            sum: 3.7,
+                            bucketCounts: ["0", "1", "1"],
+                            explicitBounds: [0.5, 1],
+                        },
+                    ],
+                    aggregationTemporality: 2,
+                },
+            },
+            {
+                name: "size_bytes",
+                description: "Size",
+                summary: {
+                    dataPoints: [
+                        {
+                            attributes: [],
+                            startTimeUnixNano: created(3),
+                            timeUnixNano: time,
+                            count: "1",
+                            sum: 100,
+                            quantileValues: [{ quantile: 0.5, value: 100 }],
+                        },
+                    ],
+                },
+            },
+        ]);
+    });
+
+    it("should write non-finite doubles as strings in JSON", () => {
+        const families: MetricFamily[] = [{ name: "ratio", help: "Ratio", type: "gauge", series: [{ labels: {}, value: NaN }] }];
+        const json = JSON.parse(formatOtlpJson(toOtlpMetrics(families)));
+
+        expect(json.resourceMetrics[0].scopeMetrics[0].metrics[0].gauge.dataPoints[0].asDouble).toBe("NaN");
+    });
+});
+
+interface Received {
+    headers: IncomingHttpHeaders;
+    body: Buffer;
+}
+
+describe("OtlpExporter", () => {
+    let server: Server;
+    let received: Received[];
+    let responses: { status: number; headers?: Record<string, string>; body?: string }[];
+    let url: string;
+    let registry: Registry;
+    let requests: Counter;
+
+    beforeEach(async () => {
+        received = [];
+        responses = [];
+        server = createServer((req, res) => {
+            const chunks: Buffer[] = [];
+            req.on("data", chunk => chunks.push(chunk));
+            req.on("end", () => {
+                received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+                const { status, headers, body } = responses.shift() ?? { status: 200 };
+                res.writeHead(status, headers);
+                res.end(body);
+            });
+        });
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1/metrics`;
+
+        registry = new Registry();
+        requests = new Counter("http_requests_total", "Requests", ["method"], { registers: [registry] });
+        requests.inc(["GET"], 3);
+    });
+
+    afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it("should post JSON with resource attributes and custom headers", async () => {
+        const exporter = new OtlpExporter({
+            url,
+            registry,
+            encoding: "json",
+            resource: { "service.name": "api" },
+            headers: { "api-key": "secret" },
+            flushInterval: 0,
+        });
+        await exporter.flush();
+
+        expect(received).toHaveLength(1);
+        expect(received[0].headers["content-type"]).toBe(OTLP_JSON_CONTENT_TYPE);
+        expect(received[0].headers["api-key"]).toBe("secret");
+        const body: OtlpMetricsRequest = JSON.parse(received[0].body.toString());
+        expect(body.resourceMetrics[0].resource.attributes).toEqual([
+            { key: "service.name", value: { stringValue: "api" } },
+        ]);
+        expect(body.resourceMetrics[0].scopeMetrics[0].metrics[0].sum?.dataPoints[0].asDouble).toBe(3);
+    });
+
+    it("should post protobuf by default", async () => {
+        const gauge = new Gauge("temperature_celsius", "Temperature", [], { unit: "celsius", registers: [registry] });
+        gauge.set(0);
+        await new OtlpExporter({ url, registry, flushInterval: 0 }).flush();
+
+        expect(received[0].headers["content-type"]).toBe(OTLP_PROTOBUF_CONTENT_TYPE);
+        const resourceMetrics = message(readMessage(received[0].body), 1);
+        const attribute = message(resourceMetrics, 1, 1);
+        expect(str(attribute, 1)).toBe("service.name");
+        expect(str(message(attribute, 2), 1)).toBe("unknown_service:node");
+
+        const scopeMetrics = message(resourceMetrics, 2);
+        expect(str(message(scopeMetrics, 1), 1)).toBe("promlite");
+        const [counter, temperature] = (scopeMetrics.get(2) as Buffer[]).map(readMessage);
+
+        expect(str(counter, 1)).toBe("http_requests_total");
+        const sum = message(counter, 7);
+        expect(sum.get(2)).toEqual([2n]);
+        expect(sum.get(3)).toEqual([1n]);
+        const point = message(sum, 1);
+        expect(str(message(point, 7), 1)).toBe("method");
+        expect(double(point, 4)).toBe(3);
+        expect(fixed64(point, 3) / 1000000n).toBeGreaterThan(1700000000000n);
+
+        expect(str(temperature, 3)).toBe("celsius");
+        expect(double(message(temperature, 5, 1), 4)).toBe(0);
+    });
+
+    it("should gzip bodies", async () => {
+        await new OtlpExporter({ url, registry, encoding: "json", compress: true, flushInterval: 0 }).flush();
+
+        expect(received[0].headers["content-encoding"]).toBe("gzip");
+        expect(JSON.parse(gunzipSync(received[0].body).toString()).resourceMetrics).toHaveLength(1);
+    });
+
+    it("should retry retryable responses with backoff", async () => {
+        responses = [{ status: 503 }, { status: 429, headers: { "Retry-After": "0" } }, { status: 200 }];
+        await new OtlpExporter({ url, registry, retryDelay: 1, flushInterval: 0 }).flush();
+
+        expect(received).toHaveLength(3);
+    });
+
+    it("should give up after maxRetries", async () => {
+        responses = [
+            { status: 502, headers: { "Content-Type": "text/plain" }, body: "collector down" },
+            { status: 502, headers: { "Content-Type": "text/plain" }, body: "collector down" },
+        ];
+        const exporter = new OtlpExporter({ url, registry, maxRetries: 1, retryDelay: 1, flushInterval: 0 });
+
+        await expect(exporter.flush()).rejects.toThrow("OTLP endpoint responded with 502 Bad Gateway: collector down");
+        expect(received).toHaveLength(2);
+    });
+
+    it("should not retry other errors", async () => {
+        responses = [{ status: 400, headers: { "Content-Type": "application/json" }, body: '{"message":"bad"}' }];
+        const exporter = new OtlpExporter({ url, registry, retryDelay: 1, flushInterval: 0 });
+
+        await expect(exporter.flush()).rejects.toThrow('OTLP endpoint responded with 400 Bad Request: {"message":"bad"}');
+        expect(received).toHaveLength(1);
+    });
+
+    it("should retry when the collector can't be reached", async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        const exporter = new OtlpExporter({ url, registry, maxRetries: 2, retryDelay: 1, flushInterval: 0 });
+
+        await expect(exporter.flush()).rejects.toThrow("ECONNREFUSED");
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    it("should export on an interval and once more on close", async () => {
+        const exporter = new OtlpExporter({ url, registry, encoding: "json", flushInterval: 20 });
+        while (received.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        requests.inc(["GET"]);
+        await exporter.close();
+
+        const last: OtlpMetricsRequest = JSON.parse(received[received.length - 1].body.toString());
+        expect(last.resourceMetrics[0].scopeMetrics[0].metrics[0].sum?.dataPoints[0].asDouble).toBe(4);
+        const count = received.length;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(received).toHaveLength(count);
+        await expect(exporter.flush()).rejects.toThrow("OTLP exporter is closed");
+    });
+
+    it("should reject invalid options", () => {
+        expect(() => new OtlpExporter({ url: "ftp://collector" })).toThrow('Unsupported OTLP protocol "ftp:"');
+        expect(() => new OtlpExporter({ encoding: "xml" as "json" })).toThrow('Unknown OTLP encoding "xml"');
+        expect(() => new OtlpExporter({ maxRetries: -1 })).toThrow("maxRetries must be a non-negative integer, got -1");
+        expect(() => new OtlpExporter({ retryDelay: NaN })).toThrow("retryDelay must be a non-negative number, got NaN");
+        expect(() => new OtlpExporter({ timeout: 0 })).toThrow("timeout must be a positive number, got 0");
+        expect(() => new OtlpExporter({ flushInterval: -1 })).toThrow(
+            "flushInterval must be a non-negative number, got -1"
+        );
+    });
+});
@@ -0,0 +1,129 @@
+import { createServer, IncomingHttpHeaders, Server } from "node:http";
+import { AddressInfo } from "node:net";
+import { gunzipSync } from "node:zlib";
+import { Counter } from "../src/metrics/Counter";
+import { groupingPath, PROMETHEUS_CONTENT_TYPE, Pushgateway, register, Registry } from "../src/index";
+
+afterEach(() => {
+    register.clear();
+});
+
+interface Received {
+    method?: string;
+    url?: string;
+    headers: IncomingHttpHeaders;
+    body: Buffer;
+}
+
+describe("Pushgateway", () => {
+    let server: Server;
+    let received: Received[];
+    let status: number;
+    let url: string;
+    let registry: Registry;
+
+    beforeEach(async () => {
+        received = [];
+        status = 200;
+        server = createServer((req, res) => {
+            const chunks: Buffer[] = [];
+            req.on("data", chunk => chunks.push(chunk));
+            req.on("end", () => {
+                received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                res.statusCode = status;
+                res.end(status >= 400 ? "pushed metrics are invalid" : "");
+            });
+        });
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+        registry = new Registry();
+        const processed = new Counter("jobs_processed_total", "Processed jobs");
+        processed.inc(5);
+        registry.register(processed);
+    });
+
+    afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it("should push with PUT, pushAdd with POST and delete with DELETE", async () => {
+        const gateway = new Pushgateway(url, { registry });
+        await gateway.push({ jobName: "nightly" });
+        await gateway.pushAdd({ jobName: "nightly", groupings: { instance: "worker-1" } });
+        await gateway.delete({ jobName: "nightly" });
+
+        expect(received.map(r => [r.method, r.url])).toEqual([
+            ["PUT", "/metrics/job/nightly"],
+            ["POST", "/metrics/job/nightly/instance/worker-1"],
+            ["DELETE", "/metrics/job/nightly"],
+        ]);
+        expect(received[0].headers["content-type"]).toBe(PROMETHEUS_CONTENT_TYPE);
+        expect(received[0].body.toString()).toBe(registry.metrics());
+        expect(received[2].body.length).toBe(0);
+    });
+
+    it("should keep a path prefix in the base URL", async () => {
+        await new Pushgateway(`${url}/gateway/`, { registry }).push({ jobName: "nightly" });
+        expect(received[0].url).toBe("/gateway/metrics/job/nightly");
+    });
+
+    it("should send custom headers and gzip bodies", async () => {
+        const gateway = new Pushgateway(url, {
+            registry,
+            headers: { Authorization: "Bearer secret" },
+            compress: true,
+        });
+        await gateway.push({ jobName: "nightly" });
+        expect(received[0].headers.authorization).toBe("Bearer secret");
+        expect(received[0].headers["content-encoding"]).toBe("gzip");
+        expect(gunzipSync(received[0].body).toString()).toContain("jobs_processed_total 5\n");
+    });
+
+    it("should reject on error responses", async () => {
+        status = 400;
+        await expect(new Pushgateway(url, { registry }).push({ jobName: "nightly" })).rejects.toThrow(
+            "Pushgateway responded with 400 Bad Request: pushed metrics are invalid"
+        );
+    });
+
+    it("should time out", async () => {
+        server.removeAllListeners("request");
+        server.on("request", () => {
+            // never respond
+        });
+        await expect(
+            new Pushgateway(url, { registry, timeout: 50 }).push({ jobName: "nightly" })
+        ).rejects.toThrow("Pushgateway request timed out after 50ms");
+    });
+
+    it("should reject invalid options", () => {
+        expect(() => new Pushgateway("ftp://gateway")).toThrow('Unsupported Pushgateway protocol "ftp:"');
+        expect(() => new Pushgateway(url, { timeout: 0 })).toThrow("timeout must be a positive number, got 0");
+    });
+});
+
+describe("groupingPath", () => {
+    it("should URL-encode job names and grouping label values", () => {
+        expect(groupingPath({ jobName: "my job", groupings: { env: "a&b", region: "eu-west" } })).toBe(
+            "/metrics/job/my%20job/env/a%26b/region/eu-west"
+        );
+    });
+
+    it("should use base64 for values containing slashes and for empty values", () => {
+        expect(groupingPath({ jobName: "batch/import", groupings: { path: "/var/tmp", shard: "" } })).toBe(
+            "/metrics/job@base64/YmF0Y2gvaW1wb3J0/path@base64/L3Zhci90bXA/shard@base64/="
+        );
+    });
+
+    it("should reject invalid groupings", () => {
+        expect(() => groupingPath({ jobName: "" })).toThrow("jobName must be a non-empty string");
+        expect(() => groupingPath({ jobName: "j", groupings: { job: "x" } })).toThrow(
+            'Grouping label "job" is reserved, use jobName instead'
+        );
+        expect(() => groupingPath({ jobName: "j", groupings: { "bad-name": "x" } })).toThrow(
+            'Invalid label name "bad-name"'
+        );
+    });
+});
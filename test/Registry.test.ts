@@ -0,0 +1,476 @@
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { register, Registry } from "../src/index";
+
+afterEach(() => {
+    register.clear();
+});
+
+describe("Registry collect callbacks", () => {
+    it("should run sync collect callbacks before serializing", () => {
+        let calls = 0;
+        const gauge = new Gauge("queue_size", "Queue size", [], {
+            collect: g => {
+                calls++;
+                g.set(calls * 10);
+            },
+        });
+        const registry = new Registry();
+        registry.register(gauge);
+
+        expect(gauge.get()).toBe(0);
+        expect(registry.metrics()).toContain("queue_size 10\n");
+        expect(registry.metrics("openmetrics")).toContain("queue_size 20\n");
+        expect(calls).toBe(2);
+    });
+
+    it("should await async collect callbacks in metricsAsync", async () => {
+        const gauge = new Gauge("pool_connections", "Connections", ["pool"], {
+            collect: async g => {
+                await new Promise(resolve => setImmediate(resolve));
+                g.set({ pool: "main" }, 4);
+            },
+        });
+        const registry = new Registry();
+        registry.register(gauge);
+
+        expect(await registry.metricsAsync()).toContain(`pool_connections{pool="main"} 4\n`);
+    });
+
+    it("should not wait for async collect callbacks in metrics", async () => {
+        let resolveCollect: () => void = () => {};
+        const gauge = new Gauge("slow_value", "Slow", [], {
+            collect: async g => {
+                await new Promise<void>(resolve => {
+                    resolveCollect = resolve;
+                });
+                g.set(7);
+            },
+        });
+        const registry = new Registry();
+        registry.register(gauge);
+
+        expect(registry.metrics()).not.toContain("slow_value 7");
+        resolveCollect();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(gauge.get()).toBe(7);
+    });
+
+    it("should isolate failing collect callbacks", async () => {
+        const errors: [string, string][] = [];
+        const registry = new Registry({
+            onCollectError: (error, name) => errors.push([name, error.message]),
+        });
+        const broken = new Gauge("broken", "Broken", [], {
+            collect: () => {
+                throw new Error("boom");
+            },
+        });
+        const rejected = new Gauge("rejected", "Rejected", [], {
+            collect: () => Promise.reject(new Error("nope")),
+        });
+        const healthy = new Counter("healthy_total", "Healthy", [], {
+            collect: c => c.inc(),
+        });
+        broken.set(1);
+        registry.register(broken);
+        registry.register(rejected);
+        registry.register(healthy);
+
+        const output = await registry.metricsAsync();
+        expect(output).toContain("broken 1\n");
+        expect(output).toContain("healthy_total 1\n");
+        expect(errors).toEqual([
+            ["broken", "Collector for metric 'broken' failed: boom"],
+            ["rejected", "Collector for metric 'rejected' failed: nope"],
+        ]);
+
+        errors.length = 0;
+        registry.metrics();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(errors.map(([name]) => name)).toEqual(["broken", "rejected"]);
+    });
+
+    it("should time out slow collect callbacks", async () => {
+        const registry = new Registry({ collectTimeout: 20 });
+        const hanging = new Gauge("hanging", "Hanging", [], {
+            collect: () => new Promise(() => {}),
+        });
+        registry.register(hanging);
+
+        const errors: Error[] = [];
+        const output = await registry.metricsAsync("prometheus", {
+            onCollectError: error => errors.push(error),
+        });
+        expect(output).toBe("# HELP hanging Hanging\n# TYPE hanging gauge\n");
+        expect(errors.map(e => e.message)).toEqual([
+            "Collector for metric 'hanging' timed out after 20ms",
+        ]);
+    });
+
+    it("should reject an invalid collect timeout", () => {
+        expect(() => new Registry({ collectTimeout: 0 })).toThrow(
+            "collectTimeout must be a positive number, got 0"
+        );
+    });
+
+    it("should only collect and render the selected metrics", async () => {
+        let collected = 0;
+        const skipped = new Gauge("skipped", "Skipped", [], {
+            collect: () => {
+                collected++;
+            },
+        });
+        const kept = new Gauge("kept", "Kept");
+        kept.set(3);
+        const registry = new Registry();
+        registry.register(skipped);
+        registry.register(kept);
+
+        const expected = "# HELP kept Kept\n# TYPE kept gauge\nkept 3\n";
+        expect(registry.metrics("prometheus", { names: ["kept", "missing"] })).toBe(expected);
+        expect(await registry.metricsAsync("prometheus", { names: ["kept"] })).toBe(expected);
+        expect(registry.metrics("prometheus", { names: [] })).toBe("");
+        expect(collected).toBe(0);
+    });
+});
+
+describe("Registry default labels and prefix", () => {
+    it("should add default labels to every series", () => {
+        const registry = new Registry();
+        const counter = new Counter("jobs_total", "Jobs", ["queue"]);
+        const gauge = new Gauge("temperature", "Temperature");
+        registry.register(counter);
+        registry.register(gauge);
+        registry.setDefaultLabels({ service: "api", env: "prod" });
+
+        counter.inc({ queue: "mail" });
+        gauge.set(21);
+
+        const output = registry.metrics();
+        expect(output).toContain(`jobs_total{service="api", env="prod", queue="mail"} 1\n`);
+        expect(output).toContain(`temperature{service="api", env="prod"} 21\n`);
+        expect(registry.getDefaultLabels()).toEqual({ service: "api", env: "prod" });
+    });
+
+    it("should render default labels changed between scrapes", () => {
+        const registry = new Registry();
+        const counter = new Counter("jobs_total", "Jobs", ["queue"], { registers: [registry] });
+        counter.inc({ queue: "mail" });
+
+        registry.setDefaultLabels({ service: "api" });
+        expect(registry.metrics()).toContain(`jobs_total{service="api", queue="mail"} 1\n`);
+        registry.setDefaultLabels({ service: "worker" });
+        expect(registry.metrics()).toContain(`jobs_total{service="worker", queue="mail"} 1\n`);
+    });
+
+    it("should replace and remove default labels", () => {
+        const registry = new Registry();
+        const gauge = new Gauge("temperature", "Temperature");
+        registry.register(gauge);
+        gauge.set(21);
+
+        registry.setDefaultLabels({ service: "api" });
+        registry.setDefaultLabels({ env: "prod" });
+        expect(registry.metrics()).toContain(`temperature{env="prod"} 21\n`);
+
+        registry.setDefaultLabels({});
+        expect(registry.metrics()).toContain("temperature 21\n");
+    });
+
+    it("should reject default labels that a metric declares", () => {
+        const registry = new Registry();
+        new Counter("jobs_total", "Jobs", ["service"], { registers: [registry] });
+
+        expect(() => registry.setDefaultLabels({ service: "api" })).toThrow(
+            `Metric 'jobs_total' declares a label "service", which is also a default label of the registry`
+        );
+
+        const other = new Registry();
+        other.setDefaultLabels({ service: "api" });
+        expect(() =>
+            new Counter("jobs_total", "Jobs", ["service"], { registers: [other] })
+        ).toThrow(`Metric 'jobs_total' declares a label "service"`);
+        expect(other.getMetricNames()).toEqual([]);
+    });
+
+    it("should reject invalid default labels", () => {
+        const registry = new Registry();
+        expect(() => registry.setDefaultLabels({ "bad-name": "x" })).toThrow('Invalid label name "bad-name"');
+        expect(() => registry.setDefaultLabels({ le: "1" })).toThrow(
+            'Default label "le" is reserved for histogram and summary series'
+        );
+        expect(() => registry.setDefaultLabels({ env: 1 as unknown as string })).toThrow(
+            'Default label "env" must be a string, got number'
+        );
+    });
+
+    it("should prefix every family name", async () => {
+        const registry = new Registry({ prefix: "mylib_" });
+        const counter = new Counter("jobs_total", "Jobs");
+        registry.register(counter);
+        counter.inc();
+
+        expect(registry.metrics()).toBe("# HELP mylib_jobs_total Jobs\n# TYPE mylib_jobs_total counter\nmylib_jobs_total 1\n");
+        expect((await registry.getFamilies()).map(family => family.name)).toEqual(["mylib_jobs_total"]);
+        expect(registry.getMetric("jobs_total")).toBe(counter);
+    });
+
+    it("should reject an invalid prefix", () => {
+        expect(() => new Registry({ prefix: "my-lib_" })).toThrow('Invalid metric name "my-lib_"');
+    });
+});
+
+describe("Registry.merge", () => {
+    function libraryRegistry(): { registry: Registry; counter: Counter } {
+        const registry = new Registry({ prefix: "mylib_" });
+        registry.setDefaultLabels({ library: "mylib" });
+        const counter = new Counter("calls_total", "Library calls");
+        registry.register(counter);
+        return { registry, counter };
+    }
+
+    it("should expose the metrics of all registries", async () => {
+        const { registry: library, counter } = libraryRegistry();
+        const app = new Registry();
+        const gauge = new Gauge("users", "Users");
+        app.register(gauge);
+        counter.inc(2);
+        gauge.set(5);
+
+        const merged = Registry.merge([app, library]);
+        merged.setDefaultLabels({ service: "api" });
+
+        const expected =
+            "# HELP users Users\n# TYPE users gauge\n" +
+            'users{service="api"} 5\n' +
+            "# HELP mylib_calls_total Library calls\n# TYPE mylib_calls_total counter\n" +
+            'mylib_calls_total{service="api", library="mylib"} 2\n';
+        expect(merged.metrics()).toBe(expected);
+        expect(await merged.metricsAsync()).toBe(expected);
+    });
+
+    it("should pick up metrics registered after merging", () => {
+        const app = new Registry();
+        const merged = Registry.merge([app]);
+        const gauge = new Gauge("users", "Users");
+        app.register(gauge);
+        gauge.set(1);
+
+        expect(merged.metrics()).toContain("users 1\n");
+    });
+
+    it("should run collect callbacks of the sources", async () => {
+        const app = new Registry();
+        app.register(
+            new Gauge("users", "Users", [], {
+                collect: async g => {
+                    await new Promise(resolve => setImmediate(resolve));
+                    g.set(7);
+                },
+            })
+        );
+        const errors: string[] = [];
+        app.register(
+            new Gauge("broken", "Broken", [], {
+                collect: () => {
+                    throw new Error("boom");
+                },
+            })
+        );
+        const merged = Registry.merge([app], { onCollectError: error => errors.push(error.message) });
+
+        expect(await merged.metricsAsync()).toContain("users 7\n");
+        expect(errors).toEqual(["Collector for metric 'broken' failed: boom"]);
+    });
+
+    it("should reject duplicate family names", () => {
+        const first = new Registry();
+        new Gauge("users", "Users", [], { registers: [first] });
+        const second = new Registry();
+        new Gauge("users", "Users", [], { registers: [second] });
+
+        expect(() => Registry.merge([first, second])).toThrow('Duplicate metric family "users" in merged registries');
+
+        const late = new Registry();
+        const merged = Registry.merge([first, late]);
+        new Gauge("users", "Users", [], { registers: [late] });
+        expect(() => merged.metrics()).toThrow('Duplicate metric family "users" in merged registries');
+    });
+
+    it("should allow the same name under different prefixes", () => {
+        const first = new Registry({ prefix: "a_" });
+        new Gauge("users", "Users", [], { registers: [first] });
+        const second = new Registry({ prefix: "b_" });
+        new Gauge("users", "Users", [], { registers: [second] });
+
+        expect(() => Registry.merge([first, second])).not.toThrow();
+    });
+
+    it("should reject default labels that a source series already has", () => {
+        const { registry: library, counter } = libraryRegistry();
+        counter.inc();
+        const merged = Registry.merge([library]);
+        merged.setDefaultLabels({ library: "other" });
+
+        expect(() => merged.metrics()).toThrow(
+            'Metric family "mylib_calls_total" has a label "library", which is also a default label of the registry'
+        );
+    });
+});
+
+describe("Registry registration", () => {
+    it("should register new metrics with the global registry", () => {
+        const counter = new Counter("auto_total", "Auto");
+
+        expect(register.getMetric("auto_total")).toBe(counter);
+        expect(() => new Counter("auto_total", "Auto again")).toThrow(
+            "Metric with name 'auto_total' is already registered"
+        );
+    });
+
+    it("should register with the registries given in registers", () => {
+        const first = new Registry();
+        const second = new Registry();
+        const gauge = new Gauge("shared", "Shared", [], { registers: [first, second] });
+
+        expect(first.getMetric("shared")).toBe(gauge);
+        expect(second.getMetric("shared")).toBe(gauge);
+        expect(register.getMetric("shared")).toBeUndefined();
+    });
+
+    it("should not register anything with an empty registers list", () => {
+        const gauge = new Gauge("manual", "Manual", [], { registers: [] });
+        expect(register.getMetricNames()).toEqual([]);
+
+        const registry = new Registry();
+        registry.register(gauge);
+        expect(registry.getMetricNames()).toEqual(["manual"]);
+    });
+
+    it("should key metrics by their own name and reject duplicate families", () => {
+        const registry = new Registry();
+        const registers = [registry];
+        const counter = new Counter("jobs_total", "Jobs", [], { registers });
+
+        expect(() => new Counter("jobs_total", "Other jobs", [], { registers })).toThrow(
+            "Metric with name 'jobs_total' is already registered"
+        );
+        expect(() => registry.register(new Gauge("jobs_total", "Jobs", [], { registers: [] }))).toThrow(
+            "Metric with name 'jobs_total' is already registered"
+        );
+        expect(() => registry.register(counter)).not.toThrow();
+        expect(registry.getMetricNames()).toEqual(["jobs_total"]);
+    });
+
+    it("should only accept a metric's own name in the deprecated form", () => {
+        const registry = new Registry();
+        const counter = new Counter("jobs_total", "Jobs", [], { registers: [] });
+
+        expect(() => registry.register("jobs", counter)).toThrow(
+            "Cannot register metric 'jobs_total' as 'jobs', metrics are registered under their own name"
+        );
+        registry.register("jobs_total", counter);
+        expect(registry.getSingleMetric("jobs_total")).toBe(counter);
+    });
+
+    it("should list registered metrics with their metadata", () => {
+        const registry = new Registry();
+        const registers = [registry];
+        const counter = new Counter("jobs_total", "Jobs", ["queue"], { registers });
+        const histogram = new Histogram("job_seconds", "Job duration", [1], [], { unit: "seconds", registers });
+
+        expect(registry.getMetrics()).toEqual([
+            { name: "jobs_total", help: "Jobs", type: "counter", unit: undefined, labelNames: ["queue"], metric: counter },
+            { name: "job_seconds", help: "Job duration", type: "histogram", unit: "seconds", labelNames: [], metric: histogram },
+        ]);
+
+        const [info] = registry.getMetrics();
+        if (info.type === "counter") {
+            info.metric.inc(["mail"]);
+        }
+        expect(counter.getValue(["mail"])).toBe(1);
+    });
+
+    it("should unregister by metric name", () => {
+        const registry = new Registry();
+        new Gauge("temperature", "Temperature", [], { registers: [registry] });
+
+        expect(registry.unregister("temperature")).toBe(true);
+        expect(registry.getSingleMetric("temperature")).toBeUndefined();
+        expect(() => new Gauge("temperature", "Temperature", [], { registers: [registry] })).not.toThrow();
+    });
+});
+
+describe("Registry.getMetricsAsJSON", () => {
+    it("should return typed snapshots of every metric", async () => {
+        const registry = new Registry();
+        const registers = [registry];
+        const requests = new Counter("http_requests_total", "Total requests", ["method"], { registers });
+        const latency = new Histogram("latency_seconds", "Latency", [0.5, 1], ["route"], { registers });
+        const gauge = new Gauge("pool_connections", "Connections", [], {
+            registers,
+            collect: g => g.set(4),
+        });
+        requests.inc(["GET"], 2);
+        latency.observe(["/a"], 0.7);
+        latency.observe(["/a"], 3);
+
+        const snapshots = await registry.getMetricsAsJSON();
+
+        expect(snapshots).toEqual([
+            {
+                name: "http_requests_total",
+                help: "Total requests",
+                type: "counter",
+                labelNames: ["method"],
+                series: [{ labels: { method: "GET" }, value: 2 }],
+            },
+            {
+                name: "latency_seconds",
+                help: "Latency",
+                type: "histogram",
+                labelNames: ["route"],
+                series: [
+                    {
+                        labels: { route: "/a" },
+                        buckets: [
+                            { le: 0.5, count: 0 },
+                            { le: 1, count: 1 },
+                        ],
+                        sum: 3.7,
+                        count: 2,
+                    },
+                ],
+            },
+            {
+                name: "pool_connections",
+                help: "Connections",
+                type: "gauge",
+                labelNames: [],
+                series: [{ labels: {}, value: 4 }],
+            },
+        ]);
+        expect(JSON.parse(JSON.stringify(snapshots))).toEqual(snapshots);
+        expect(gauge.snapshot()).toEqual(snapshots[2]);
+    });
+
+    it("should apply the prefix, default labels and name filter", async () => {
+        const source = new Registry();
+        new Counter("jobs_total", "Jobs", ["queue"], { registers: [source] }).inc(["mail"]);
+        new Gauge("queue_size", "Queue size", [], { registers: [source] }).set(1);
+        const registry = Registry.merge([source], { prefix: "app_" });
+        registry.setDefaultLabels({ region: "eu" });
+
+        expect(await registry.getMetricsAsJSON({ names: ["app_jobs_total"] })).toEqual([
+            {
+                name: "app_jobs_total",
+                help: "Jobs",
+                type: "counter",
+                labelNames: ["region", "queue"],
+                series: [{ labels: { region: "eu", queue: "mail" }, value: 1 }],
+            },
+        ]);
+    });
+});
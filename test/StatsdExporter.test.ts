@@ -0,0 +1,145 @@
+import { createSocket, Socket } from "node:dgram";
+import { AddressInfo } from "node:net";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import { Registry, StatsdExporter } from "../src/index";
+
+describe("StatsdExporter", () => {
+    let server: Socket;
+    let packets: string[];
+    let port: number;
+    let registry: Registry;
+    let exporter: StatsdExporter | undefined;
+
+    beforeEach(async () => {
+        packets = [];
+        server = createSocket("udp4");
+        server.on("message", message => packets.push(message.toString()));
+        await new Promise<void>(resolve => server.bind(0, "127.0.0.1", resolve));
+        port = (server.address() as AddressInfo).port;
+        registry = new Registry();
+    });
+
+    afterEach(async () => {
+        await exporter?.close();
+        exporter = undefined;
+        await new Promise<void>(resolve => server.close(resolve));
+    });
+
+    // UDP has no acknowledgement, wait until the expected packets arrived
+    async function received(count: number): Promise<string[]> {
+        while (packets.length < count) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        return packets.splice(0, count);
+    }
+
+    it("should send counter deltas with DogStatsD tags", async () => {
+        const requests = new Counter("http_requests_total", "Requests", ["method", "path"], { registers: [registry] });
+        exporter = new StatsdExporter({ registry, port, flushInterval: 0 });
+
+        requests.inc(["GET", "/a,b|c"], 3);
+        requests.inc(["POST", ""]);
+        await exporter.flush();
+        expect(await received(1)).toEqual([
+            "http_requests_total:3|c|#method:GET,path:/a_b_c\nhttp_requests_total:1|c|#method:POST",
+        ]);
+
+        requests.inc(["GET", "/a,b|c"], 2);
+        await exporter.flush();
+        expect(await received(1)).toEqual(["http_requests_total:2|c|#method:GET,path:/a_b_c"]);
+
+        requests.reset();
+        requests.inc(["GET", "/a,b|c"]);
+        await exporter.flush();
+        expect(await received(1)).toEqual(["http_requests_total:1|c|#method:GET,path:/a_b_c"]);
+    });
+
+    it("should send gauges, histograms and summaries", async () => {
+        const temperature = new Gauge("temperature_celsius", "Temperature", ["room"], { registers: [registry] });
+        const latency = new Histogram("latency_seconds", "Latency", [1], [], { registers: [registry] });
+        const size = new Summary("size_bytes", "Size", [0.5], [], { registers: [registry] });
+        registry.setDefaultLabels({ region: "eu" });
+        exporter = new StatsdExporter({ registry, port, flushInterval: 0 });
+
+        temperature.set(["kitchen"], 21.5);
+        temperature.set(["cellar"], -2);
+        latency.observe(0.5);
+        latency.observe(-0.25);
+        size.observe(100);
+        await exporter.flush();
+
+        expect((await received(1))[0].split("\n")).toEqual([
+            "temperature_celsius:21.5|g|#region:eu,room:kitchen",
+            "temperature_celsius:0|g|#region:eu,room:cellar",
+            "temperature_celsius:-2|g|#region:eu,room:cellar",
+            "latency_seconds_count:2|c|#region:eu",
+            "latency_seconds_sum:0.25|c|#region:eu",
+            "size_bytes_count:1|c|#region:eu",
+            "size_bytes_sum:100|c|#region:eu",
+            "size_bytes:100|g|#region:eu,quantile:0.5",
+        ]);
+
+        latency.observe(-1);
+        await exporter.flush();
+        expect((await received(1))[0]).toContain("latency_seconds_count:1|c|#region:eu\nlatency_seconds_sum:-1|c|#region:eu\n");
+    });
+
+    it("should put labels into the name for plain StatsD", async () => {
+        const requests = new Counter("http_requests_total", "Requests", ["method", "path"], { registers: [registry] });
+        exporter = new StatsdExporter({ registry, port, protocol: "statsd", flushInterval: 0 });
+
+        requests.inc(["GET", "/users/1"]);
+        await exporter.flush();
+        expect(await received(1)).toEqual(["http_requests_total.method.GET.path._users_1:1|c"]);
+    });
+
+    it("should batch lines into packets of at most maxPacketSize bytes", async () => {
+        const gauge = new Gauge("queue_size", "Queue size", ["queue"], { registers: [registry] });
+        for (let i = 0; i < 10; i++) {
+            gauge.set([`q${i}`], i);
+        }
+        exporter = new StatsdExporter({ registry, port, maxPacketSize: 60, flushInterval: 0 });
+        await exporter.flush();
+
+        // each line is 24 bytes, two fit into one packet
+        const sent = await received(5);
+        expect(sent.map(packet => packet.split("\n").length)).toEqual([2, 2, 2, 2, 2]);
+        expect(sent.join("\n").split("\n")).toEqual(
+            Array.from({ length: 10 }, (_, i) => `queue_size:${i}|g|#queue:q${i}`)
+        );
+    });
+
+    it("should flush on an interval", async () => {
+        const jobs = new Counter("jobs_total", "Jobs", [], { registers: [registry] });
+        jobs.inc(4);
+        exporter = new StatsdExporter({ registry, port, flushInterval: 20 });
+
+        expect(await received(1)).toEqual(["jobs_total:4|c"]);
+        jobs.inc();
+        expect(await received(1)).toEqual(["jobs_total:1|c"]);
+    });
+
+    it("should send the latest values on close and reject flushes after it", async () => {
+        new Counter("jobs_total", "Jobs", [], { registers: [registry] }).inc(2);
+        exporter = new StatsdExporter({ registry, port, flushInterval: 0 });
+        await exporter.close();
+        expect(await received(1)).toEqual(["jobs_total:2|c"]);
+        await expect(exporter.flush()).rejects.toThrow("StatsD exporter is closed");
+    });
+
+    it("should reject invalid options", () => {
+        expect(() => new StatsdExporter({ port: 0 })).toThrow("port must be an integer from 1 to 65535, got 0");
+        expect(() => new StatsdExporter({ maxPacketSize: 1.5 })).toThrow(
+            "maxPacketSize must be a positive integer, got 1.5"
+        );
+        expect(() => new StatsdExporter({ flushInterval: -1 })).toThrow(
+            "flushInterval must be a non-negative number, got -1"
+        );
+        expect(() => new StatsdExporter({ protocol: "graphite" as "statsd" })).toThrow(
+            'Unknown StatsD protocol "graphite"'
+        );
+    });
+});
@@ -0,0 +1,223 @@
+import { jest } from "@jest/globals";
+import { Summary } from "../src/metrics/Summary";
+import { QuantileStream } from "../src/utils/quantile";
+import { Registry } from "../src/index";
+
+let summary: Summary;
+let summary2: Summary;
+
+beforeAll(() => {
+    summary = new Summary(
+        "test_summary",
+        "simple summary testing",
+        [0.5, 0.9, 0.99]
+    );
+
+    summary2 = new Summary(
+        "test_summary_2",
+        "summary with labels",
+        [0.5, 0.9],
+        ["method", "route"]
+    );
+});
+
+describe("Summary", () => {
+    it("should observe values", () => {
+        for (let i = 1; i <= 10; i++) {
+            summary.observe(i);
+        }
+        const stats = summary.get();
+        expect(stats.totalCount).toBe(10);
+        expect(stats.totalSum).toBe(55);
+        expect(stats.quantiles).toEqual([
+            { quantile: 0.5, value: 5 },
+            { quantile: 0.9, value: 9 },
+            { quantile: 0.99, value: 10 },
+        ]);
+    });
+
+    it("should observe values with labels", () => {
+        summary2.observe(["GET", "/test"], 0.2);
+        summary2.observe(["GET", "/test"], 0.6);
+        summary2.observe(["GET", "/test"], 3);
+        expect(summary2.get(["GET", "/test"]).totalCount).toBe(3);
+        expect(summary2.get(["GET", "/test"]).totalSum).toBe(3.8);
+        expect(summary2.get(["POST", "/test"]).totalCount).toBe(0);
+    });
+
+    it("should return prometheus format", () => {
+        expect(summary.toPrometheus()).toBe(
+            `# HELP test_summary simple summary testing\n# TYPE test_summary summary\n` +
+            `test_summary{quantile="0.5"} 5\n` +
+            `test_summary{quantile="0.9"} 9\n` +
+            `test_summary{quantile="0.99"} 10\n` +
+            `test_summary_sum 55\n` +
+            `test_summary_count 10\n`
+        );
+        expect(summary2.toPrometheus()).toBe(
+            `# HELP test_summary_2 summary with labels\n# TYPE test_summary_2 summary\n` +
+            `test_summary_2{method="GET", route="/test", quantile="0.5"} 0.6\n` +
+            `test_summary_2{method="GET", route="/test", quantile="0.9"} 3\n` +
+            `test_summary_2_sum{method="GET", route="/test"} 3.8\n` +
+            `test_summary_2_count{method="GET", route="/test"} 3\n`
+        );
+    });
+
+    it("should estimate quantiles within the error bounds", () => {
+        const large = new Summary("large_summary", "many observations", [0.5, 0.9, 0.99]);
+        const values = Array.from({ length: 10000 }, (_, i) => i + 1);
+        // deterministic shuffle
+        for (let i = values.length - 1; i > 0; i--) {
+            const j = (i * 7919) % (i + 1);
+            [values[i], values[j]] = [values[j], values[i]];
+        }
+        for (const v of values) {
+            large.observe(v);
+        }
+        const [p50, p90, p99] = large.get().quantiles.map(q => q.value);
+        expect(Math.abs(p50 - 5000)).toBeLessThanOrEqual(500);
+        expect(Math.abs(p90 - 9000)).toBeLessThanOrEqual(100);
+        expect(Math.abs(p99 - 9900)).toBeLessThanOrEqual(10);
+    });
+
+    it("should report min and max exactly for quantiles 0 and 1", () => {
+        const minMax = new Summary("min_max_summary", "extremes", [0, 1]);
+        [4, -2, 9, 3].forEach(v => minMax.observe(v));
+        expect(minMax.get().quantiles).toEqual([
+            { quantile: 0, value: -2 },
+            { quantile: 1, value: 9 },
+        ]);
+    });
+
+    it("should only report quantiles over the sliding window", () => {
+        jest.useFakeTimers();
+        try {
+            const windowed = new Summary("windowed_summary", "sliding window", [0.5], [], {
+                maxAgeSeconds: 10,
+                ageBuckets: 2,
+            });
+            windowed.observe(100);
+            jest.advanceTimersByTime(6000);
+            windowed.observe(1);
+            expect(windowed.get().quantiles[0].value).toBe(1);
+
+            // the first observation has aged out, the second is still in the window
+            jest.advanceTimersByTime(5000);
+            expect(windowed.get().quantiles[0].value).toBe(1);
+
+            // everything has aged out, but sum and count are cumulative
+            jest.advanceTimersByTime(20000);
+            const stats = windowed.get();
+            expect(stats.quantiles[0].value).toBeNaN();
+            expect(stats.totalCount).toBe(2);
+            expect(stats.totalSum).toBe(101);
+            expect(windowed.toPrometheus()).toContain(`windowed_summary{quantile="0.5"} NaN\n`);
+
+            // JSON has no NaN
+            const snapshot = windowed.snapshot();
+            expect(snapshot.series[0].quantiles).toEqual([{ quantile: 0.5, value: null }]);
+            expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it("should throw error on invalid observe values", () => {
+        expect(() => summary.observe(NaN)).toThrow(TypeError);
+        expect(() => summary.observe(Infinity)).toThrow(TypeError);
+        expect(() => summary2.observe(["GET", "/test"], NaN)).toThrow(TypeError);
+    });
+
+    it("should throw error on invalid configuration", () => {
+        expect(() => new Summary("bad", "bad", [1.5])).toThrow("Percentile must be between 0 and 1, got 1.5");
+        expect(() => new Summary("bad", "bad", [0.5], [], { maxAgeSeconds: 0 })).toThrow(
+            "maxAgeSeconds must be a positive number, got 0"
+        );
+        expect(() => new Summary("bad", "bad", [0.5], [], { ageBuckets: 0 })).toThrow(
+            "ageBuckets must be a positive integer, got 0"
+        );
+    });
+
+    it("should throw error on label count mismatch", () => {
+        expect(() => {
+            summary2.observe(["GET"], 1);
+        }).toThrow("Label count mismatch, expected 2 but got 1");
+        expect(() => {
+            summary2.get(["GET"]);
+        }).toThrow("Label count mismatch, expected 2 but got 1");
+    });
+
+    it("should work with a registry", () => {
+        const registry = new Registry();
+        registry.register(summary);
+        expect(registry.metrics()).toBe(summary.toPrometheus());
+        registry.resetAll();
+        expect(summary.get().totalCount).toBe(0);
+        expect(registry.metrics()).toBe(
+            `# HELP test_summary simple summary testing\n# TYPE test_summary summary\n`
+        );
+    });
+
+    it("should escape label values", () => {
+        const escaped = new Summary("escaped_summary", "help", [0.5], ["msg"]);
+        escaped.observe(["line1\nline2"], 1);
+        expect(escaped.toPrometheus()).toContain(`escaped_summary{msg="line1\\nline2", quantile="0.5"} 1\n`);
+    });
+
+    it("should reject invalid metric and label names", () => {
+        expect(() => new Summary("bad name", "help")).toThrow('Invalid metric name "bad name"');
+        expect(() => new Summary("ok", "help", [0.5], ["quantile"])).toThrow(
+            'Invalid label name "quantile", it is reserved for this metric type'
+        );
+    });
+
+    it("should observe through object labels and a bound child", () => {
+        summary2.reset();
+        summary2.observe({ route: "/a", method: "GET" }, 1);
+        const child = summary2.labels({ method: "GET", route: "/a" });
+        child.observe(3);
+        expect(summary2.get(["GET", "/a"]).totalCount).toBe(2);
+        expect(summary2.get({ method: "GET", route: "/a" }).totalSum).toBe(4);
+        expect(() => child.observe(NaN)).toThrow(TypeError);
+    });
+});
+
+describe("QuantileStream", () => {
+    it("should stay within the error bounds and compress on reverse-sorted input", () => {
+        const stream = new QuantileStream([0.5, 0.9, 0.99]);
+        const n = 200000;
+        for (let i = n; i > 0; i--) {
+            stream.insert(i / n);
+        }
+        expect(Math.abs(stream.query(0.5) - 0.5)).toBeLessThanOrEqual(0.05);
+        expect(Math.abs(stream.query(0.9) - 0.9)).toBeLessThanOrEqual(0.01);
+        expect(Math.abs(stream.query(0.99) - 0.99)).toBeLessThanOrEqual(0.001);
+        // sorted input compresses to a few dozen samples
+        expect(stream.size).toBeLessThan(100);
+    });
+});
+
+describe("Summary series removal", () => {
+    it("should remove a single series", () => {
+        const sizes = new Summary("tenant_payload_bytes", "Payload", [0.5], ["tenant"]);
+        sizes.observe(["a"], 10);
+        sizes.observe(["b"], 20);
+
+        expect(sizes.remove(["a"])).toBe(true);
+        expect(sizes.remove(["a"])).toBe(false);
+        expect(sizes.getFamily().series.map(s => s.labels)).toEqual([{ tenant: "b" }]);
+    });
+
+    it("should expire series not updated within the ttl", () => {
+        jest.useFakeTimers({ now: 1700000000000 });
+        try {
+            const sizes = new Summary("expiring_payload_bytes", "Payload", [0.5], [], { ttl: 1000 });
+            sizes.observe(10);
+            jest.advanceTimersByTime(1000);
+
+            expect(sizes.getFamily().series).toEqual([]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,266 @@
+import { jest } from "@jest/globals";
+import { EventEmitter } from "node:events";
+import process from "node:process";
+import { MessageChannel, MessagePort } from "node:worker_threads";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import { AggregatorRegistry, ClusterWorker, exposeWorkerMetrics, register, Registry } from "../src/index";
+
+afterEach(() => {
+    register.clear();
+});
+
+// a cluster worker and its IPC channel, with messages going through JSON like real IPC
+function clusterWorker(id: number, registry: Registry): ClusterWorker {
+    const toPrimary = new EventEmitter();
+    const toWorker = new EventEmitter();
+    const roundTrip = (message: unknown): unknown => JSON.parse(JSON.stringify(message));
+    exposeWorkerMetrics({
+        registry,
+        channel: {
+            on: (event, listener) => toWorker.on(event, listener),
+            off: (event, listener) => toWorker.off(event, listener),
+            send: message => setImmediate(() => toPrimary.emit("message", roundTrip(message))),
+        },
+    });
+    return {
+        id,
+        isConnected: () => true,
+        send: message => toWorker.emit("message", roundTrip(message)),
+        on: (event, listener) => toPrimary.on(event, listener),
+        off: (event, listener) => toPrimary.off(event, listener),
+    };
+}
+
+function workerRegistry(requests: number, queue: number, latencies: number[]): Registry {
+    const registry = new Registry();
+    const registers = [registry];
+    const counter = new Counter("jobs_total", "Jobs", ["queue"], { registers });
+    counter.inc(["default"], requests);
+    const gauge = new Gauge("queue_depth", "Queue depth", [], { registers });
+    gauge.set(queue);
+    const histogram = new Histogram("job_seconds", "Job duration", [0.1, 1], [], { registers });
+    latencies.forEach(v => histogram.observe(v));
+    return registry;
+}
+
+describe("AggregatorRegistry", () => {
+    it("should sum counters and histograms bucket by bucket", async () => {
+        const workers = [
+            clusterWorker(1, workerRegistry(3, 10, [0.05, 0.5])),
+            clusterWorker(2, workerRegistry(4, 20, [5])),
+        ];
+        const aggregator = new AggregatorRegistry({ getClusterWorkers: () => workers });
+
+        expect(await aggregator.metricsAsync()).toBe(
+            `# HELP jobs_total Jobs\n# TYPE jobs_total counter\njobs_total{queue="default"} 7\n` +
+            `# HELP queue_depth Queue depth\n# TYPE queue_depth gauge\nqueue_depth 30\n` +
+            `# HELP job_seconds Job duration\n# TYPE job_seconds histogram\n` +
+            `job_seconds_bucket{le="0.1"} 1\n` +
+            `job_seconds_bucket{le="1"} 2\n` +
+            `job_seconds_bucket{le="+Inf"} 3\n` +
+            `job_seconds_sum 5.55\n` +
+            `job_seconds_count 3\n`
+        );
+    });
+
+    it("should apply the gauge aggregations", async () => {
+        const workers = [1, 2, 3].map(id => clusterWorker(id, workerRegistry(1, id * 10, [])));
+        const depth = async (gaugeAggregation?: "sum" | "min" | "max" | "average" | "per-worker"): Promise<string> => {
+            const aggregator = new AggregatorRegistry({
+                getClusterWorkers: () => workers,
+                gaugeAggregations: gaugeAggregation ? { queue_depth: gaugeAggregation } : {},
+            });
+            const output = await aggregator.metricsAsync("prometheus", { names: ["queue_depth"] });
+            return output.split("\n").filter(line => line.startsWith("queue_depth")).join("\n");
+        };
+
+        expect(await depth()).toBe("queue_depth 60");
+        expect(await depth("min")).toBe("queue_depth 10");
+        expect(await depth("max")).toBe("queue_depth 30");
+        expect(await depth("average")).toBe("queue_depth 20");
+        expect(await depth("per-worker")).toBe(
+            `queue_depth{worker="1"} 10\nqueue_depth{worker="2"} 20\nqueue_depth{worker="3"} 30`
+        );
+    });
+
+    it("should keep summaries per worker", async () => {
+        const workers = [1, 2].map(id => {
+            const registry = new Registry();
+            const summary = new Summary("payload_bytes", "Payload", [0.5], [], { registers: [registry] });
+            summary.observe(id * 100);
+            return clusterWorker(id, registry);
+        });
+        const output = await new AggregatorRegistry({ getClusterWorkers: () => workers }).metricsAsync();
+        expect(output).toContain(`payload_bytes{worker="1", quantile="0.5"} 100\n`);
+        expect(output).toContain(`payload_bytes{worker="2", quantile="0.5"} 200\n`);
+    });
+
+    it("should include the primary's own metrics", async () => {
+        const workers = [clusterWorker(1, workerRegistry(2, 0, []))];
+        const aggregator = new AggregatorRegistry({ getClusterWorkers: () => workers });
+        const restarts = new Counter("worker_restarts_total", "Restarts", [], { registers: [aggregator] });
+        restarts.inc();
+        const jobs = new Counter("jobs_total", "Jobs", ["queue"], { registers: [aggregator] });
+        jobs.inc(["default"], 5);
+
+        const output = await aggregator.metricsAsync();
+        expect(output).toContain("worker_restarts_total 1\n");
+        expect(output).toContain(`jobs_total{queue="default"} 7\n`);
+    });
+
+    it("should report collect errors from workers", async () => {
+        const registry = workerRegistry(1, 1, []);
+        new Gauge("broken", "Broken", [], {
+            registers: [registry],
+            collect: () => {
+                throw new Error("boom");
+            },
+        });
+        const workers = [clusterWorker(4, registry)];
+        const errors: [string, string][] = [];
+        const aggregator = new AggregatorRegistry({ getClusterWorkers: () => workers });
+        await aggregator.metricsAsync("prometheus", {
+            onCollectError: (error, name) => errors.push([name, error.message]),
+        });
+        expect(errors).toEqual([["broken", "Worker 4: Collector for metric 'broken' failed: boom"]]);
+    });
+
+    it("should report a worker that does not answer and serve the others", async () => {
+        const silent: ClusterWorker = {
+            id: 9,
+            isConnected: () => true,
+            send: () => true,
+            on: () => undefined,
+            off: () => undefined,
+        };
+        const workers = [clusterWorker(1, workerRegistry(3, 1, [])), silent];
+        const errors: [string, string][] = [];
+        const aggregator = new AggregatorRegistry({ getClusterWorkers: () => workers, workerTimeout: 20 });
+        const output = await aggregator.metricsAsync("prometheus", {
+            onCollectError: (error, name) => errors.push([name, error.message]),
+        });
+        expect(errors).toEqual([["", "Worker 9 did not answer within 20ms"]]);
+        expect(output).toContain(`jobs_total{queue="default"} 3\n`);
+    });
+
+    it("should not reject when a worker fails to send its answer", async () => {
+        const channel = new EventEmitter();
+        const warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+        try {
+            exposeWorkerMetrics({
+                registry: workerRegistry(1, 1, []),
+                channel: {
+                    on: (event, listener) => channel.on(event, listener),
+                    off: (event, listener) => channel.off(event, listener),
+                    send: () => {
+                        throw new Error("channel closed");
+                    },
+                },
+            });
+            channel.emit("message", { type: "promlite:metrics-request", id: 1 });
+            await new Promise(resolve => setImmediate(resolve));
+            expect(warn).toHaveBeenCalledWith(new Error("channel closed"));
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    it("should reject metrics of different types or buckets", async () => {
+        const gaugeRegistry = new Registry();
+        new Gauge("jobs_total", "Jobs", [], { registers: [gaugeRegistry] });
+        const mismatched = [clusterWorker(1, workerRegistry(1, 1, [])), clusterWorker(2, gaugeRegistry)];
+        await expect(
+            new AggregatorRegistry({ getClusterWorkers: () => mismatched }).metricsAsync()
+        ).rejects.toThrow('Metric "jobs_total" is a counter on one worker and a gauge on another');
+
+        const bucketRegistry = new Registry();
+        const histogram = new Histogram("job_seconds", "Job duration", [0.5], [], { registers: [bucketRegistry] });
+        histogram.observe(1);
+        const otherBuckets = [clusterWorker(1, workerRegistry(1, 1, [1])), clusterWorker(2, bucketRegistry)];
+        await expect(
+            new AggregatorRegistry({ getClusterWorkers: () => otherBuckets }).metricsAsync()
+        ).rejects.toThrow('Metric "job_seconds" has different buckets on different workers');
+    });
+
+    it("should merge native histograms at the lowest schema", async () => {
+        const workers = [1, 0].map(schema => {
+            const registry = new Registry();
+            const histogram = new Histogram("rpc_seconds", "RPC duration", [1], [], {
+                registers: [registry],
+                native: { schema },
+            });
+            histogram.observe(1.5);
+            histogram.observe(0);
+            return clusterWorker(schema + 1, registry);
+        });
+        const [family] = await new AggregatorRegistry({ getClusterWorkers: () => workers }).getFamilies();
+
+        expect(family.type === "histogram" && family.series[0].native).toEqual({
+            schema: 0,
+            zeroThreshold: 2 ** -128,
+            zeroCount: 2,
+            positiveSpans: [{ offset: 1, length: 1 }],
+            positiveCounts: [2],
+            negativeSpans: [],
+            negativeCounts: [],
+        });
+
+        const classicRegistry = new Registry();
+        new Histogram("rpc_seconds", "RPC duration", [1], [], { registers: [classicRegistry] }).observe(1);
+        await expect(
+            new AggregatorRegistry({
+                getClusterWorkers: () => [workers[0], clusterWorker(3, classicRegistry)],
+            }).metricsAsync()
+        ).rejects.toThrow('Metric "rpc_seconds" has native buckets on some workers only');
+    });
+
+    it("should validate its options and refuse synchronous scrapes", () => {
+        expect(() => new AggregatorRegistry({ gaugeAggregation: "median" as "sum" })).toThrow(
+            'Unknown gauge aggregation "median", expected one of: sum, min, max, average, per-worker'
+        );
+        expect(() => new AggregatorRegistry({ workerTimeout: -1 })).toThrow(
+            "workerTimeout must be a positive number, got -1"
+        );
+        expect(() => new AggregatorRegistry({ getClusterWorkers: () => [] }).metrics()).toThrow(
+            "use metricsAsync()"
+        );
+    });
+});
+
+describe("worker_threads aggregation", () => {
+    const ports: MessagePort[] = [];
+
+    afterEach(() => {
+        ports.splice(0).forEach(port => port.close());
+    });
+
+    // a worker thread whose parentPort is one end of a MessageChannel
+    function threadWorker(threadId: number, registry: Registry): { threadId: number; postMessage: MessagePort["postMessage"]; once: () => undefined } {
+        const { port1, port2: parentPort } = new MessageChannel();
+        ports.push(port1, parentPort);
+        exposeWorkerMetrics({ registry, channel: parentPort });
+        return {
+            threadId,
+            postMessage: (message, transfer) => port1.postMessage(message, transfer),
+            once: () => undefined,
+        };
+    }
+
+    it("should ask worker threads over a MessageChannel", async () => {
+        const aggregator = new AggregatorRegistry({ getClusterWorkers: () => [] });
+        const first = threadWorker(1, workerRegistry(2, 5, [0.2]));
+        aggregator.addWorker(first);
+        aggregator.addWorker(threadWorker(2, workerRegistry(3, 7, [0.3])));
+
+        const output = await aggregator.metricsAsync();
+        expect(output).toContain(`jobs_total{queue="default"} 5\n`);
+        expect(output).toContain("queue_depth 12\n");
+        expect(output).toContain(`job_seconds_bucket{le="1"} 2\n`);
+
+        aggregator.removeWorker(first);
+        expect(await aggregator.metricsAsync()).toContain(`jobs_total{queue="default"} 3\n`);
+    });
+});
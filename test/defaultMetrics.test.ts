@@ -0,0 +1,95 @@
+import { collectDefaultMetrics, Registry } from "../src/index";
+
+describe("collectDefaultMetrics", () => {
+    let registry: Registry;
+    let stop: () => void;
+
+    beforeEach(() => {
+        registry = new Registry();
+    });
+
+    afterEach(() => {
+        stop?.();
+    });
+
+    it("should register the standard process and runtime metrics", () => {
+        stop = collectDefaultMetrics({ register: registry });
+        const names = registry.getMetricNames();
+        expect(names).toEqual(expect.arrayContaining([
+            "process_cpu_user_seconds_total",
+            "process_cpu_system_seconds_total",
+            "process_cpu_seconds_total",
+            "process_start_time_seconds",
+            "process_resident_memory_bytes",
+            "nodejs_eventloop_lag_seconds",
+            "nodejs_eventloop_lag_p99_seconds",
+            "nodejs_heap_size_total_bytes",
+            "nodejs_heap_size_used_bytes",
+            "nodejs_external_memory_bytes",
+            "nodejs_heap_space_size_used_bytes",
+            "nodejs_gc_duration_seconds",
+            "nodejs_version_info",
+        ]));
+        if (process.platform === "linux") {
+            expect(names).toEqual(expect.arrayContaining([
+                "process_open_fds",
+                "process_max_fds",
+                "process_virtual_memory_bytes",
+                "process_heap_bytes",
+            ]));
+        }
+    });
+
+    it("should read values at scrape time", async () => {
+        stop = collectDefaultMetrics({ register: registry });
+        expect(registry.getMetric("nodejs_heap_size_used_bytes")?.getFamily().series).toEqual([]);
+
+        const output = await registry.metricsAsync();
+        expect(output).toMatch(/^nodejs_eventloop_lag_seconds \d/m);
+        const [major, minor, patch] = process.versions.node.split(".");
+        expect(output).toContain(
+            `nodejs_version_info{version="${process.version}", major="${major}", minor="${minor}", patch="${patch}"} 1\n`
+        );
+        expect(output).toMatch(/^process_cpu_seconds_total \d+(\.\d+)?(e-\d+)?$/m);
+        expect(output).toMatch(/^process_resident_memory_bytes [1-9]\d*$/m);
+        expect(output).toMatch(/^nodejs_heap_space_size_used_bytes\{space="new"\} \d+$/m);
+
+        const startTime = registry.getMetric("process_start_time_seconds");
+        expect(startTime?.getFamily().series[0].labels).toEqual({});
+        const start = (startTime?.getFamily().series[0] as { value: number }).value;
+        expect(Math.abs(start - (Date.now() / 1000 - process.uptime()))).toBeLessThan(2);
+    });
+
+    it("should refresh every metric of a group when scraped on its own", async () => {
+        stop = collectDefaultMetrics({ register: registry });
+        const burn = Date.now() + 50;
+        while (Date.now() < burn) {
+            // use some CPU time
+        }
+        const output = await registry.metricsAsync("prometheus", {
+            names: ["process_cpu_seconds_total", "nodejs_heap_size_used_bytes"],
+        });
+        const cpu = Number(/^process_cpu_seconds_total (\S+)$/m.exec(output)?.[1]);
+        expect(cpu).toBeGreaterThan(0);
+        expect(output).toMatch(/^nodejs_heap_size_used_bytes [1-9]\d*$/m);
+    });
+
+    it("should apply the prefix and static labels", () => {
+        stop = collectDefaultMetrics({
+            register: registry,
+            prefix: "myapp_",
+            labels: { service: "api" },
+        });
+        expect(registry.getMetricNames().every(name => name.startsWith("myapp_"))).toBe(true);
+        const output = registry.metrics();
+        expect(output).toMatch(/^myapp_process_cpu_seconds_total\{service="api"\} /m);
+        expect(output).toMatch(/^myapp_nodejs_heap_space_size_used_bytes\{service="api", space="new"\} /m);
+    });
+
+    it("should refuse to register the metrics twice", () => {
+        stop = collectDefaultMetrics({ register: registry });
+        expect(() => collectDefaultMetrics({ register: registry })).toThrow(
+            "Metric with name 'process_cpu_user_seconds_total' is already registered"
+        );
+    });
+});
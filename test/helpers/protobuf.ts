@@ -0,0 +1,48 @@
+// reads the fields of a protobuf message, just enough to check what the encoders write.
+// Varints are read as bigints, so 64-bit values such as nanosecond timestamps stay exact,
+// and fixed64 fields as their 8 raw bytes, since they may hold a double or an integer.
+
+export type Fields = Map<number, (bigint | Buffer)[]>;
+
+export function readVarint(buffer: Buffer, offset: number): [bigint, number] {
+    let value = 0n;
+    let shift = 0n;
+    let byte: number;
+    do {
+        byte = buffer[offset++];
+        value |= BigInt(byte & 0x7f) << shift;
+        shift += 7n;
+    } while (byte & 0x80);
+    return [value, offset];
+}
+
+export function readMessage(buffer: Buffer): Fields {
+    const fields: Fields = new Map();
+    let offset = 0;
+    while (offset < buffer.length) {
+        let tag: bigint;
+        let value: bigint | Buffer;
+        [tag, offset] = readVarint(buffer, offset);
+        switch (Number(tag % 8n)) {
+            case 0:
+                [value, offset] = readVarint(buffer, offset);
+                break;
+            case 1:
+                value = buffer.subarray(offset, offset + 8);
+                offset += 8;
+                break;
+            case 2: {
+                let length: bigint;
+                [length, offset] = readVarint(buffer, offset);
+                value = buffer.subarray(offset, offset + Number(length));
+                offset += Number(length);
+                break;
+            }
+            default:
+                throw new Error(`Unexpected wire type ${tag % 8n}`);
+        }
+        const field = Number(tag / 8n);
+        fields.set(field, [...(fields.get(field) ?? []), value]);
+    }
+    return fields;
+}
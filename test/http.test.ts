@@ -0,0 +1,185 @@
+import { createServer, request, Server } from "node:http";
+import { AddressInfo } from "node:net";
+import { gunzipSync } from "node:zlib";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import {
+    createMetricsHandler,
+    OPENMETRICS_CONTENT_TYPE,
+    PROMETHEUS_CONTENT_TYPE,
+    PROTOBUF_CONTENT_TYPE,
+    register,
+    Registry,
+    startMetricsServer,
+} from "../src/index";
+
+afterEach(() => {
+    register.clear();
+});
+
+interface Response {
+    status: number;
+    headers: Record<string, string | string[] | undefined>;
+    body: Buffer;
+}
+
+function get(server: Server, path: string, headers: Record<string, string> = {}, method = "GET"): Promise<Response> {
+    const { port } = server.address() as AddressInfo;
+    return new Promise((resolve, reject) => {
+        const req = request({ host: "127.0.0.1", port, path, method, headers }, res => {
+            const chunks: Buffer[] = [];
+            res.on("data", chunk => chunks.push(chunk));
+            res.on("end", () =>
+                resolve({ status: res.statusCode ?? 0, headers: res.headers, body: Buffer.concat(chunks) })
+            );
+        });
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+describe("startMetricsServer", () => {
+    let registry: Registry;
+    let server: Server;
+
+    beforeEach(async () => {
+        registry = new Registry();
+        const requests = new Counter("requests_total", "Requests", ["method"]);
+        requests.inc(["GET"], 2);
+        const temperature = new Gauge("temperature", "Temperature");
+        temperature.set(21);
+        registry.register(requests);
+        registry.register(temperature);
+        server = await startMetricsServer({ port: 0, host: "127.0.0.1", registry });
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it("should serve the Prometheus text format", async () => {
+        const res = await get(server, "/metrics");
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toBe(PROMETHEUS_CONTENT_TYPE);
+        expect(res.headers["content-encoding"]).toBeUndefined();
+        expect(res.body.toString()).toBe(registry.metrics());
+    });
+
+    it("should negotiate OpenMetrics", async () => {
+        const res = await get(server, "/metrics", { Accept: "application/openmetrics-text" });
+        expect(res.headers["content-type"]).toBe(OPENMETRICS_CONTENT_TYPE);
+        expect(res.body.toString()).toMatch(/# EOF\n$/);
+    });
+
+    it("should negotiate protobuf", async () => {
+        const res = await get(server, "/metrics", {
+            Accept: "application/vnd.google.protobuf;proto=io.prometheus.client.MetricFamily;encoding=delimited",
+        });
+        expect(res.headers["content-type"]).toBe(PROTOBUF_CONTENT_TYPE);
+        expect(res.body.equals(registry.metrics("protobuf"))).toBe(true);
+    });
+
+    it("should gzip when the scraper accepts it", async () => {
+        const res = await get(server, "/metrics", { "Accept-Encoding": "gzip, deflate" });
+        expect(res.headers["content-encoding"]).toBe("gzip");
+        expect(res.headers.vary).toBe("Accept-Encoding");
+        expect(Number(res.headers["content-length"])).toBe(res.body.length);
+        expect(gunzipSync(res.body).toString()).toBe(registry.metrics());
+
+        const refused = await get(server, "/metrics", { "Accept-Encoding": "gzip;q=0, identity" });
+        expect(refused.headers["content-encoding"]).toBeUndefined();
+    });
+
+    it("should filter by name[] query parameters", async () => {
+        const res = await get(server, "/metrics?name[]=temperature&name[]=unknown");
+        expect(res.body.toString()).toBe("# HELP temperature Temperature\n# TYPE temperature gauge\ntemperature 21\n");
+
+        const encoded = await get(server, "/metrics?name%5B%5D=requests_total");
+        expect(encoded.body.toString()).toContain("requests_total{method=\"GET\"} 2\n");
+        expect(encoded.body.toString()).not.toContain("temperature");
+    });
+
+    it("should answer collect errors with a 500", async () => {
+        registry.register(
+            new Gauge("broken", "Broken", [], {
+                collect: () => {
+                    throw new Error("database unreachable");
+                },
+            })
+        );
+        const res = await get(server, "/metrics");
+        expect(res.status).toBe(500);
+        expect(res.body.toString()).toBe(
+            "Error collecting metrics:\nCollector for metric 'broken' failed: database unreachable\n"
+        );
+
+        // scrapes that leave the broken metric out still work
+        expect((await get(server, "/metrics?name[]=temperature")).status).toBe(200);
+    });
+
+    it("should answer HEAD without a body and reject other methods", async () => {
+        const head = await get(server, "/metrics", {}, "HEAD");
+        expect(head.status).toBe(200);
+        expect(head.body.length).toBe(0);
+
+        const post = await get(server, "/metrics", {}, "POST");
+        expect(post.status).toBe(405);
+        expect(post.headers.allow).toBe("GET, HEAD");
+    });
+
+    it("should return 404 for other paths", async () => {
+        expect((await get(server, "/")).status).toBe(404);
+    });
+
+    it("should survive request targets that are not valid URLs", async () => {
+        expect((await get(server, "//[")).status).toBe(404);
+        expect((await get(server, "/metrics")).status).toBe(200);
+    });
+
+    it("should reject when the port is taken", async () => {
+        const { port } = server.address() as AddressInfo;
+        await expect(startMetricsServer({ port, host: "127.0.0.1", registry })).rejects.toThrow("EADDRINUSE");
+    });
+});
+
+describe("createMetricsHandler", () => {
+    it("should filter a prefixed registry by the exposed names", async () => {
+        const registry = new Registry({ prefix: "app_" });
+        new Counter("reqs_total", "Requests", [], { registers: [registry] }).inc();
+        new Gauge("queue_size", "Queue size", [], { registers: [registry] }).set(3);
+
+        const server = createServer(createMetricsHandler({ registry, compress: false }));
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        try {
+            const res = await get(server, "/metrics?name[]=app_reqs_total");
+            expect(res.body.toString()).toContain("app_reqs_total 1\n");
+            expect(res.body.toString()).not.toContain("app_queue_size");
+
+            const unprefixed = await get(server, "/metrics?name[]=reqs_total");
+            expect(unprefixed.body.toString()).toBe("");
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("should plug into a plain node:http server", async () => {
+        const registry = new Registry();
+        const gauge = new Gauge("up_value", "Up");
+        gauge.set(1);
+        registry.register(gauge);
+
+        const server = createServer(createMetricsHandler({ registry, compress: false }));
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+        try {
+            const res = await get(server, "/anything", { "Accept-Encoding": "gzip" });
+            expect(res.headers["content-encoding"]).toBeUndefined();
+            expect(res.body.toString()).toContain("up_value 1\n");
+
+            const malformed = await get(server, "//[?name[]=up_value");
+            expect(malformed.status).toBe(200);
+            expect(malformed.body.toString()).toContain("up_value 1\n");
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,280 @@
+import { jest } from "@jest/globals";
+import { createServer, IncomingMessage, request, RequestListener, Server, ServerResponse } from "node:http";
+import { AddressInfo } from "node:net";
+import process from "node:process";
+import {
+    expressMetrics,
+    fastifyMetrics,
+    FastifyRequest,
+    instrumentHttp,
+    koaMetrics,
+    Registry,
+} from "../src/index";
+
+async function listen(listener: RequestListener): Promise<Server> {
+    const server = createServer(listener);
+    await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+    return server;
+}
+
+function send(server: Server, path: string, method = "GET"): Promise<number> {
+    const { port } = server.address() as AddressInfo;
+    return new Promise((resolve, reject) => {
+        const req = request({ host: "127.0.0.1", port, path, method }, res => {
+            res.resume();
+            res.on("end", () => resolve(res.statusCode ?? 0));
+        });
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+function close(server: Server): Promise<void> {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+describe("instrumentHttp", () => {
+    let registry: Registry;
+    let server: Server;
+
+    beforeEach(() => {
+        registry = new Registry();
+    });
+
+    afterEach(async () => {
+        await close(server);
+    });
+
+    it("should count requests by method, route and status", async () => {
+        server = await listen(
+            instrumentHttp(
+                (req, res) => {
+                    res.statusCode = req.url === "/missing" ? 404 : 200;
+                    res.end("ok");
+                },
+                {
+                    registry,
+                    getRoute: req => (req.url?.startsWith("/users/") ? "/users/:id" : undefined),
+                }
+            )
+        );
+        await send(server, "/users/1");
+        await send(server, "/users/2?verbose=1");
+        await send(server, "/users/3", "POST");
+        await send(server, "/missing");
+        await send(server, "/metrics");
+
+        const output = registry.metrics();
+        expect(output).toContain(`http_requests_total{method="GET", route="/users/:id", status_code="200"} 2\n`);
+        expect(output).toContain(`http_requests_total{method="POST", route="/users/:id", status_code="200"} 1\n`);
+        expect(output).toContain(`http_requests_total{method="GET", route="unmatched", status_code="404"} 1\n`);
+        expect(output).toContain(
+            `http_request_duration_seconds_count{method="GET", route="/users/:id", status_code="200"} 2\n`
+        );
+        expect(output).toContain(`http_requests_in_flight{method="GET"} 0\n`);
+        // /metrics is excluded by default
+        expect(output).not.toContain("/metrics");
+        expect(output.match(/^http_requests_total\{/gm)).toHaveLength(3);
+    });
+
+    it("should track requests in flight", async () => {
+        let release: () => void = () => {};
+        const started = new Promise<void>(resolve => {
+            server = createServer();
+            const listener = instrumentHttp(
+                (_req, res) => {
+                    release = () => res.end();
+                    resolve();
+                },
+                { registry }
+            );
+            server.on("request", listener);
+        });
+        await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+
+        const done = send(server, "/slow");
+        await started;
+        expect(registry.metrics()).toContain(`http_requests_in_flight{method="GET"} 1\n`);
+        release();
+        await done;
+        expect(registry.metrics()).toContain(`http_requests_in_flight{method="GET"} 0\n`);
+    });
+
+    it("should support custom labels, buckets, prefixes and exclusions", async () => {
+        server = await listen(
+            instrumentHttp((_req, res) => res.end(), {
+                registry,
+                prefix: "api_",
+                buckets: [0.5, 5],
+                excludePaths: ["/health", /^\/internal\//],
+                customLabels: ["tenant"],
+                getCustomLabels: req => ({ tenant: String(req.headers["x-tenant"] ?? "none") }),
+                unmatchedRoute: "other",
+            })
+        );
+        await send(server, "/a");
+        await send(server, "/health");
+        await send(server, "/internal/debug");
+        await send(server, "/metrics");
+
+        expect(registry.getMetricNames()).toEqual([
+            "api_http_requests_total",
+            "api_http_request_duration_seconds",
+            "api_http_requests_in_flight",
+        ]);
+        const output = registry.metrics();
+        // /a and /metrics: the default exclusion was replaced
+        expect(output).toContain(`api_http_requests_total{method="GET", route="other", status_code="200", tenant="none"} 2\n`);
+        expect(output).toContain(`le="0.5"}`);
+        expect(output).not.toContain(`le="0.005"}`);
+        expect(output.match(/^api_http_requests_total\{/gm)).toHaveLength(1);
+    });
+
+    it("should report errors of custom labels instead of throwing", async () => {
+        const warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+        try {
+            server = await listen(
+                instrumentHttp((_req, res) => res.end(), {
+                    registry,
+                    customLabels: ["tenant"],
+                    getCustomLabels: req => {
+                        if (req.url === "/throw") {
+                            throw new Error("no tenant");
+                        }
+                        // not declared, so recording the request fails
+                        return { region: "eu" };
+                    },
+                })
+            );
+            expect(await send(server, "/throw")).toBe(200);
+            expect(await send(server, "/a")).toBe(200);
+
+            expect(warn).toHaveBeenCalledTimes(2);
+            expect((warn.mock.calls[0][0] as Error).message).toBe("no tenant");
+            expect(registry.metrics()).not.toContain("http_requests_total{");
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    it("should measure requests whose target is not a valid URL", async () => {
+        server = await listen(instrumentHttp((_req, res) => res.end(), { registry }));
+        expect(await send(server, "//[")).toBe(200);
+        expect(registry.metrics()).toContain(
+            `http_requests_total{method="GET", route="unmatched", status_code="200"} 1\n`
+        );
+    });
+
+    it("should refuse to register the metrics twice", () => {
+        server = createServer();
+        server.listen(0, "127.0.0.1");
+        instrumentHttp(() => {}, { registry });
+        expect(() => instrumentHttp(() => {}, { registry })).toThrow(
+            "Metric with name 'http_requests_total' is already registered"
+        );
+    });
+});
+
+describe("expressMetrics", () => {
+    it("should label requests with the route template", async () => {
+        const registry = new Registry();
+        const middleware = expressMetrics({ registry });
+        const server = await listen((req, res) => {
+            middleware(req, res, () => {
+                // what the Express router sets once a route matches
+                if (req.url?.startsWith("/api/users/")) {
+                    Object.assign(req, { baseUrl: "/api", route: { path: "/users/:id" } });
+                    res.statusCode = 200;
+                } else {
+                    res.statusCode = 404;
+                }
+                res.end();
+            });
+        });
+        try {
+            await send(server, "/api/users/1");
+            await send(server, "/api/users/2");
+            await send(server, "/nope");
+        } finally {
+            await close(server);
+        }
+        const output = registry.metrics();
+        expect(output).toContain(`http_requests_total{method="GET", route="/api/users/:id", status_code="200"} 2\n`);
+        expect(output).toContain(`http_requests_total{method="GET", route="unmatched", status_code="404"} 1\n`);
+    });
+});
+
+describe("koaMetrics", () => {
+    function context(url: string): { req: IncomingMessage; status: number; _matchedRoute?: string } {
+        return { req: { url, method: "GET" } as IncomingMessage, status: 404 };
+    }
+
+    it("should label requests with the matched route", async () => {
+        const registry = new Registry();
+        const middleware = koaMetrics({ registry });
+
+        const ctx = context("/items/7");
+        await middleware(ctx, async () => {
+            ctx._matchedRoute = "/items/:id";
+            ctx.status = 201;
+        });
+        await middleware(context("/metrics"), async () => {});
+
+        expect(registry.metrics()).toContain(
+            `http_requests_total{method="GET", route="/items/:id", status_code="201"} 1\n`
+        );
+        expect(registry.metrics()).not.toContain("/metrics");
+    });
+
+    it("should count thrown errors and rethrow them", async () => {
+        const registry = new Registry();
+        const middleware = koaMetrics({ registry });
+
+        await expect(
+            middleware(context("/fail"), async () => {
+                throw new Error("boom");
+            })
+        ).rejects.toThrow("boom");
+        await expect(
+            middleware(context("/forbidden"), async () => {
+                throw Object.assign(new Error("nope"), { status: 403 });
+            })
+        ).rejects.toThrow("nope");
+
+        const output = registry.metrics();
+        expect(output).toContain(`http_requests_total{method="GET", route="unmatched", status_code="500"} 1\n`);
+        expect(output).toContain(`http_requests_total{method="GET", route="unmatched", status_code="403"} 1\n`);
+        expect(output).toContain(`http_requests_in_flight{method="GET"} 0\n`);
+    });
+});
+
+describe("fastifyMetrics", () => {
+    it("should register a global onRequest hook labelling by route URL", async () => {
+        const registry = new Registry();
+        const plugin = fastifyMetrics({ registry });
+        expect((plugin as unknown as Record<symbol, unknown>)[Symbol.for("skip-override")]).toBe(true);
+
+        type Hook = (request: FastifyRequest, reply: { raw: ServerResponse }) => unknown;
+        const hooks: Hook[] = [];
+        let done = false;
+        plugin({ addHook: (_name: string, hook: Hook) => hooks.push(hook) }, {}, () => {
+            done = true;
+        });
+        expect(done).toBe(true);
+        expect(hooks).toHaveLength(1);
+
+        const server = await listen(async (req, res) => {
+            await hooks[0]({ raw: req, routeOptions: { url: "/orders/:id" } }, { raw: res });
+            res.statusCode = 202;
+            res.end();
+        });
+        try {
+            await send(server, "/orders/1", "PUT");
+        } finally {
+            await close(server);
+        }
+        expect(registry.metrics()).toContain(
+            `http_requests_total{method="PUT", route="/orders/:id", status_code="202"} 1\n`
+        );
+    });
+});
@@ -0,0 +1,169 @@
+import { jest } from "@jest/globals";
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import { ParseError, parseOpenMetrics, parsePrometheus, Registry } from "../src/index";
+
+let registry: Registry;
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: 1700000000500 });
+
+    registry = new Registry();
+    const registers = [registry];
+    const requests = new Counter("http_requests_total", "Total requests", ["method", "path"], { registers });
+    const temperature = new Gauge("room_temperature_celsius", "Temperature\nin \\ rooms", ["room"], {
+        unit: "celsius",
+        registers,
+    });
+    const latency = new Histogram("latency_seconds", "Latency", [0.5, 1], [], { registers });
+    const size = new Summary("response_size_bytes", "Size with \"quotes\"", [0.5], [], { registers });
+
+    requests.inc(["GET", "/a\"b\\c\nd"], 3, { trace_id: "abc" });
+    temperature.set(["kitchen"], -1.5);
+    latency.observe(0.7, { trace_id: "def" });
+    size.observe(512);
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe("parsePrometheus", () => {
+    it("should parse the output of Registry.metrics()", () => {
+        const families = parsePrometheus(registry.metrics());
+
+        expect(families.map(f => [f.name, f.type, f.help])).toEqual([
+            ["http_requests_total", "counter", "Total requests"],
+            ["room_temperature_celsius", "gauge", "Temperature\nin \\ rooms"],
+            ["latency_seconds", "histogram", "Latency"],
+            ["response_size_bytes", "summary", "Size with \"quotes\""],
+        ]);
+        expect(families[0].samples).toEqual([
+            { name: "http_requests_total", labels: { method: "GET", path: "/a\"b\\c\nd" }, value: 3 },
+        ]);
+        expect(families[2].samples.map(s => [s.name, s.labels, s.value])).toEqual([
+            ["latency_seconds_bucket", { le: "0.5" }, 0],
+            ["latency_seconds_bucket", { le: "1" }, 1],
+            ["latency_seconds_bucket", { le: "+Inf" }, 1],
+            ["latency_seconds_sum", {}, 0.7],
+            ["latency_seconds_count", {}, 1],
+        ]);
+        expect(families[3].samples[0]).toEqual({ name: "response_size_bytes", labels: { quantile: "0.5" }, value: 512 });
+    });
+
+    it("should parse timestamps, special values and untyped samples", () => {
+        const families = parsePrometheus(
+            "# a comment\n" +
+            "\n" +
+            "# TYPE up gauge\n" +
+            "up{job=\"api\",} 1 1700000000000\n" +
+            "  up { job = \"db\" , instance=\"x\" }\t0\n" +
+            "queue_depth NaN\n" +
+            "limit +Inf -1\n" +
+            "floor -Inf"
+        );
+
+        expect(families).toEqual([
+            {
+                name: "up",
+                type: "gauge",
+                help: "",
+                samples: [
+                    { name: "up", labels: { job: "api" }, value: 1, timestamp: 1700000000000 },
+                    { name: "up", labels: { job: "db", instance: "x" }, value: 0 },
+                ],
+            },
+            { name: "queue_depth", type: "untyped", help: "", samples: [{ name: "queue_depth", labels: {}, value: NaN }] },
+            {
+                name: "limit",
+                type: "untyped",
+                help: "",
+                samples: [{ name: "limit", labels: {}, value: Infinity, timestamp: -1 }],
+            },
+            { name: "floor", type: "untyped", help: "", samples: [{ name: "floor", labels: {}, value: -Infinity }] },
+        ]);
+    });
+
+    it("should report the line and column of malformed input", () => {
+        const errorAt = (text: string): [number, number, string] => {
+            try {
+                parsePrometheus(text);
+            } catch (err) {
+                expect(err).toBeInstanceOf(ParseError);
+                const { line, column, message } = err as ParseError;
+                return [line, column, message];
+            }
+            throw new Error("expected a ParseError");
+        };
+
+        expect(errorAt("up 1\nup{job=\"a\" 1")).toEqual([
+            2,
+            12,
+            'Line 2, column 12: Expected "," or "}" after the value of label "job"',
+        ]);
+        expect(errorAt("up{job=\"a\\t\"} 1")).toEqual([1, 10, 'Line 1, column 10: Invalid escape sequence "\\t"']);
+        expect(errorAt("up{job=\"a} 1")).toEqual([1, 8, 'Line 1, column 8: Unterminated value for label "job"']);
+        expect(errorAt("up{job=\"a\",job=\"b\"} 1")[2]).toContain('column 12: Duplicate label "job"');
+        expect(errorAt("up{0job=\"a\"} 1")[2]).toContain('column 4: Invalid label name "0job"');
+        expect(errorAt("up one")[2]).toContain('column 4: Invalid value "one"');
+        expect(errorAt("up 1 1.5")[2]).toContain('column 6: Invalid timestamp "1.5"');
+        expect(errorAt("up")[2]).toContain("column 3: Expected a value after the metric");
+        expect(errorAt("up 1 # {a=\"b\"} 1")[2]).toContain('column 6: Unexpected "#" after the sample');
+        expect(errorAt("# TYPE up meter")[2]).toContain('column 11: Unknown metric type "meter"');
+        expect(errorAt("# TYPE up gauge\n# TYPE up gauge")[2]).toContain('Line 2, column 8: Duplicate TYPE for "up"');
+        expect(errorAt("up 1\n# TYPE up gauge")[2]).toContain('TYPE for "up" must come before its samples');
+        expect(errorAt("# TYPE rpc histogram\nrpc 1")[2]).toContain('Sample "rpc" doesn\'t fit histogram "rpc"');
+    });
+});
+
+describe("parseOpenMetrics", () => {
+    it("should parse the output of Registry.metrics('openmetrics')", () => {
+        const families = parseOpenMetrics(registry.metrics("openmetrics"));
+
+        expect(families.map(f => [f.name, f.type, f.unit])).toEqual([
+            ["http_requests", "counter", undefined],
+            ["room_temperature_celsius", "gauge", "celsius"],
+            ["latency_seconds", "histogram", undefined],
+            ["response_size_bytes", "summary", undefined],
+        ]);
+        expect(families[0].samples).toEqual([
+            {
+                name: "http_requests_total",
+                labels: { method: "GET", path: "/a\"b\\c\nd" },
+                value: 3,
+                exemplar: { labels: { trace_id: "abc" }, value: 3, timestamp: 1700000000500 },
+            },
+            { name: "http_requests_created", labels: { method: "GET", path: "/a\"b\\c\nd" }, value: 1700000000.5 },
+        ]);
+        expect(families[3].help).toBe("Size with \"quotes\"");
+        expect(families[2].samples[1].exemplar).toEqual({
+            labels: { trace_id: "def" },
+            value: 0.7,
+            timestamp: 1700000000500,
+        });
+    });
+
+    it("should convert timestamps to milliseconds", () => {
+        const [family] = parseOpenMetrics("# TYPE jobs counter\njobs_total 4 1700000000.25 # {id=\"7\"} 1\n# EOF\n");
+
+        expect(family.samples).toEqual([
+            { name: "jobs_total", labels: {}, value: 4, timestamp: 1700000000250, exemplar: { labels: { id: "7" }, value: 1 } },
+        ]);
+    });
+
+    it("should enforce the OpenMetrics framing", () => {
+        expect(() => parseOpenMetrics("up 1\n")).toThrow("Line 1, column 5: Expected # EOF at the end of the input");
+        expect(() => parseOpenMetrics("")).toThrow("Line 1, column 1: Expected # EOF at the end of the input");
+        expect(() => parseOpenMetrics("# EOF\nup 1\n")).toThrow("Line 2, column 1: Unexpected content after # EOF");
+        expect(() => parseOpenMetrics("up 1\n\n# EOF\n")).toThrow("Line 2, column 1: Empty lines are not allowed");
+        expect(() => parseOpenMetrics("# hello\n# EOF")).toThrow("Line 1, column 3: Expected HELP, TYPE, UNIT or EOF");
+        expect(() => parseOpenMetrics("# TYPE jobs counter\njobs 1\n# EOF")).toThrow(
+            'Line 2, column 1: Sample "jobs" doesn\'t fit counter "jobs"'
+        );
+        expect(() => parseOpenMetrics("up 1 # {a=\"b\"}\n# EOF")).toThrow(
+            "Line 1, column 15: Expected a value after the exemplar labels"
+        );
+    });
+});
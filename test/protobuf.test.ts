@@ -0,0 +1,237 @@
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import {
+    Exemplar,
+    formatOpenMetrics,
+    formatPrometheus,
+    MetricFamily,
+    NativeHistogram,
+    negotiateFormat,
+    PROTOBUF_CONTENT_TYPE,
+    Registry,
+} from "../src/index";
+import { Fields, readMessage, readVarint } from "./helpers/protobuf";
+
+// a minimal reader for the io.prometheus.client.MetricFamily schema, to check what the encoder writes
+
+// numeric fields are varints or doubles, the schema's only fixed64 type
+function num(fields: Fields, field: number): number {
+    const value = fields.get(field)?.[0] ?? 0n;
+    return typeof value === "bigint" ? Number(value) : value.readDoubleLE(0);
+}
+const str = (fields: Fields, field: number): string => fields.get(field)?.[0]?.toString() ?? "";
+const messages = (fields: Fields, field: number): Fields[] =>
+    ((fields.get(field) ?? []) as Buffer[]).map(readMessage);
+const unzigzag = (value: number): number => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+function packedSints(fields: Fields, field: number): number[] {
+    const values: number[] = [];
+    for (const buffer of (fields.get(field) ?? []) as Buffer[]) {
+        for (let offset = 0; offset < buffer.length; ) {
+            let value: bigint;
+            [value, offset] = readVarint(buffer, offset);
+            values.push(unzigzag(Number(value)));
+        }
+    }
+    return values;
+}
+
+function timestamp(fields: Fields): number {
+    return num(fields, 1) * 1000 + num(fields, 2) / 1e6;
+}
+
+function labels(fields: Fields): Record<string, string> {
+    return Object.fromEntries(messages(fields, 1).map(pair => [str(pair, 1), str(pair, 2)]));
+}
+
+function exemplar(fields: Fields | undefined): { exemplar?: Exemplar } {
+    return fields
+        ? { exemplar: { labels: labels(fields), value: num(fields, 2), timestamp: timestamp(messages(fields, 3)[0]) } }
+        : {};
+}
+
+function native(histogram: Fields): NativeHistogram {
+    const spans = (field: number): { offset: number; length: number }[] =>
+        messages(histogram, field).map(span => ({ offset: unzigzag(num(span, 1)), length: num(span, 2) }));
+    const counts = (field: number): number[] => {
+        let count = 0;
+        return packedSints(histogram, field).map(delta => (count += delta));
+    };
+    return {
+        schema: unzigzag(num(histogram, 5)),
+        zeroThreshold: num(histogram, 6),
+        zeroCount: num(histogram, 7),
+        positiveSpans: spans(12).filter(span => span.length > 0),
+        positiveCounts: counts(13),
+        negativeSpans: spans(9),
+        negativeCounts: counts(10),
+    };
+}
+
+function decode(buffer: Buffer): MetricFamily[] {
+    const families: MetricFamily[] = [];
+    for (let offset = 0; offset < buffer.length; ) {
+        let length: bigint;
+        [length, offset] = readVarint(buffer, offset);
+        const family = readMessage(buffer.subarray(offset, offset + Number(length)));
+        offset += Number(length);
+
+        const base = { name: str(family, 1), help: str(family, 2), ...(family.has(5) && { unit: str(family, 5) }) };
+        const metrics = messages(family, 4);
+        switch (num(family, 3)) {
+            case 0:
+                families.push({
+                    ...base,
+                    type: "counter",
+                    series: metrics.map(metric => {
+                        const [counter] = messages(metric, 3);
+                        return {
+                            labels: labels(metric),
+                            value: num(counter, 1),
+                            created: timestamp(messages(counter, 3)[0]),
+                            ...exemplar(messages(counter, 2)[0]),
+                        };
+                    }),
+                });
+                break;
+            case 1:
+                families.push({
+                    ...base,
+                    type: "gauge",
+                    series: metrics.map(metric => ({ labels: labels(metric), value: num(messages(metric, 2)[0], 1) })),
+                });
+                break;
+            case 2:
+                families.push({
+                    ...base,
+                    type: "summary",
+                    series: metrics.map(metric => {
+                        const [summary] = messages(metric, 4);
+                        return {
+                            labels: labels(metric),
+                            quantiles: messages(summary, 3).map(q => ({ quantile: num(q, 1), value: num(q, 2) })),
+                            sum: num(summary, 2),
+                            count: num(summary, 1),
+                            created: timestamp(messages(summary, 4)[0]),
+                        };
+                    }),
+                });
+                break;
+            case 4:
+                families.push({
+                    ...base,
+                    type: "histogram",
+                    series: metrics.map(metric => {
+                        const [histogram] = messages(metric, 7);
+                        const count = num(histogram, 1);
+                        const buckets = messages(histogram, 3).map(bucket => ({
+                            le: num(bucket, 2),
+                            count: num(bucket, 1),
+                            ...exemplar(messages(bucket, 3)[0]),
+                        }));
+                        if (buckets[buckets.length - 1]?.le !== Infinity) {
+                            buckets.push({ le: Infinity, count });
+                        }
+                        return {
+                            labels: labels(metric),
+                            buckets,
+                            sum: num(histogram, 2),
+                            count,
+                            created: timestamp(messages(histogram, 15)[0]),
+                            ...(histogram.has(12) && { native: native(histogram) }),
+                        };
+                    }),
+                });
+                break;
+        }
+    }
+    return families;
+}
+
+describe("protobuf format", () => {
+    let registry: Registry;
+
+    beforeEach(() => {
+        registry = new Registry();
+        const registers = [registry];
+        const requests = new Counter("http_requests_total", "Total requests", ["method", "path"], { registers });
+        const temperature = new Gauge("room_temperature_celsius", "Temperature", ["room"], {
+            unit: "celsius",
+            registers,
+        });
+        const latency = new Histogram("latency_seconds", "Latency", [0.5, 1], ["route"], { registers });
+        const size = new Summary("response_size_bytes", "Size with \"quotes\"", [0.5, 0.9], [], { registers });
+
+        requests.inc(["GET", "/ä"], 3, { trace_id: "abc" });
+        requests.inc(["POST", ""]);
+        temperature.set(["a,b"], -1.5);
+        temperature.set(["zero"], 0);
+        latency.observe(["/a"], 0.7, { trace_id: "def" });
+        latency.observe(["/a"], 3, { trace_id: "ghi" });
+        latency.observe(["/b"], 0.1);
+        size.observe(512);
+        size.observe(1024);
+    });
+
+    it("should round-trip with the text formats", () => {
+        const buffer = registry.metrics("protobuf");
+
+        expect(Buffer.isBuffer(buffer)).toBe(true);
+        expect(formatPrometheus(decode(buffer))).toBe(registry.metrics());
+        expect(formatOpenMetrics(decode(buffer))).toBe(registry.metrics("openmetrics"));
+    });
+
+    it("should encode the same families asynchronously", async () => {
+        expect(decode(await registry.metricsAsync("protobuf"))).toEqual(decode(registry.metrics("protobuf")));
+    });
+
+    it("should apply the registry's prefix and default labels", () => {
+        const prefixed = Registry.merge([registry], { prefix: "app_" });
+        prefixed.setDefaultLabels({ region: "eu" });
+
+        expect(formatPrometheus(decode(prefixed.metrics("protobuf")))).toBe(prefixed.metrics());
+    });
+
+    it("should carry native histogram buckets", () => {
+        const local = new Registry();
+        const rpc = new Histogram("rpc_seconds", "RPC duration", undefined, ["method"], {
+            registers: [local],
+            native: { schema: 0 },
+            classic: false,
+        });
+        [1, 1.5, 3, 0, -2, 2, 100].forEach(v => rpc.observe(["get"], v));
+        rpc.labels("idle").observe(0);
+
+        const [family] = decode(local.metrics("protobuf"));
+        // label names aren't part of the protobuf schema
+        expect(family).toEqual({ ...rpc.getFamily(), labelNames: undefined });
+        expect(family.type === "histogram" && family.series[0].buckets).toEqual([{ le: Infinity, count: 7 }]);
+    });
+
+    it("should encode an empty registry as an empty buffer", () => {
+        expect(new Registry().metrics("protobuf")).toHaveLength(0);
+    });
+});
+
+describe("protobuf negotiation", () => {
+    it("should pick protobuf when the scraper prefers it", () => {
+        const protobuf = { format: "protobuf", contentType: PROTOBUF_CONTENT_TYPE };
+        expect(
+            negotiateFormat(
+                "application/vnd.google.protobuf;proto=io.prometheus.client.MetricFamily;encoding=delimited;q=0.7," +
+                "text/plain;version=0.0.4;q=0.3,*/*;q=0.2"
+            )
+        ).toEqual(protobuf);
+        expect(negotiateFormat("application/vnd.google.protobuf;proto=io.prometheus.client.MetricFamily;encoding=text").format).toBe(
+            "prometheus"
+        );
+        expect(
+            negotiateFormat(
+                "application/openmetrics-text;version=1.0.0;q=0.8," +
+                "application/vnd.google.protobuf;proto=io.prometheus.client.MetricFamily;encoding=delimited;q=0.5"
+            ).format
+        ).toBe("openmetrics");
+    });
+});
@@ -0,0 +1,158 @@
+import { Counter } from "../src/metrics/Counter";
+import { Gauge } from "../src/metrics/Gauge";
+import { Histogram } from "../src/metrics/Histogram";
+import { Summary } from "../src/metrics/Summary";
+import { register, Registry, SERIES_LIMIT_METRIC, SeriesLimitEvent } from "../src/index";
+
+afterEach(() => {
+    register.clear();
+});
+
+describe("maxSeries", () => {
+    it("should drop observations for new series by default", () => {
+        const events: SeriesLimitEvent[] = [];
+        const requests = new Counter("requests_total", "Requests", ["route"], {
+            maxSeries: 2,
+            onSeriesLimit: event => events.push(event),
+        });
+        requests.inc(["/a"]);
+        requests.inc(["/b"]);
+        requests.inc(["/c"]);
+        requests.labels("/d").inc();
+        requests.inc(["/a"]);
+
+        expect(requests.getFamily().series.map(s => [s.labels.route, s.value])).toEqual([
+            ["/a", 2],
+            ["/b", 1],
+        ]);
+        expect(events).toEqual([
+            { metric: "requests_total", labels: { route: "/c" }, maxSeries: 2, policy: "drop" },
+            { metric: "requests_total", labels: { route: "/d" }, maxSeries: 2, policy: "drop" },
+        ]);
+    });
+
+    it("should fold new series into an overflow series", () => {
+        const latency = new Histogram("latency_seconds", "Latency", [1], ["route", "method"], {
+            maxSeries: 1,
+            seriesLimitPolicy: "overflow",
+        });
+        latency.observe(["/a", "GET"], 0.5);
+        latency.observe(["/b", "GET"], 0.5);
+        latency.observe(["/c", "POST"], 2);
+
+        expect(latency.get({ route: "__overflow__", method: "__overflow__" })).toEqual({ totalCount: 2, totalSum: 2.5 });
+        expect(latency.getFamily().series.map(s => s.labels)).toEqual([
+            { route: "/a", method: "GET" },
+            { route: "__overflow__", method: "__overflow__" },
+        ]);
+    });
+
+    it("should give a bound child its own series once there is room", () => {
+        const requests = new Counter("bound_overflow_total", "Requests", ["route"], {
+            maxSeries: 1,
+            seriesLimitPolicy: "overflow",
+        });
+        requests.inc(["/a"]);
+        const child = requests.labels("/b");
+        child.inc();
+        requests.remove(["/a"]);
+        child.inc();
+
+        expect(requests.getFamily().series.map(s => [s.labels.route, s.value])).toEqual([
+            ["__overflow__", 1],
+            ["/b", 1],
+        ]);
+    });
+
+    it("should throw when the policy is throw", () => {
+        const sizes = new Summary("payload_bytes", "Payload", [0.5], ["tenant"], {
+            maxSeries: 1,
+            seriesLimitPolicy: "throw",
+        });
+        sizes.observe(["a"], 1);
+
+        expect(() => sizes.observe(["b"], 1)).toThrow(
+            'Metric "payload_bytes" reached its limit of 1 series, cannot add {"tenant":"b"}'
+        );
+        expect(sizes.getFamily().series).toHaveLength(1);
+    });
+
+    it("should accept new series again after a series is removed", () => {
+        const sessions = new Gauge("sessions", "Sessions", ["tenant"], { maxSeries: 1 });
+        sessions.set(["a"], 1);
+        sessions.set(["b"], 1);
+        expect(sessions.get(["b"])).toBe(0);
+
+        sessions.remove(["a"]);
+        sessions.set(["b"], 1);
+        expect(sessions.get(["b"])).toBe(1);
+    });
+
+    it("should validate the options", () => {
+        expect(() => new Gauge("bad_limit", "Bad", ["a"], { maxSeries: 0 })).toThrow(
+            "maxSeries must be a positive integer, got 0"
+        );
+        expect(() => new Gauge("bad_limit", "Bad", ["a"], { maxSeries: 1.5 })).toThrow(
+            "maxSeries must be a positive integer, got 1.5"
+        );
+        expect(() => new Gauge("bad_limit", "Bad", ["a"], { seriesLimitPolicy: "ignore" as "drop" })).toThrow(
+            'Unknown series limit policy "ignore", expected one of: drop, overflow, throw'
+        );
+        expect(() => new Registry({ maxSeries: -1 })).toThrow("maxSeries must be a positive integer, got -1");
+    });
+});
+
+describe("Registry maxSeries", () => {
+    it("should apply the registry default to metrics without a limit", () => {
+        const registry = new Registry({ maxSeries: 1, seriesLimitPolicy: "overflow" });
+        const registers = [registry];
+        const defaulted = new Counter("defaulted_total", "Defaulted", ["id"], { registers });
+        const own = new Counter("own_total", "Own", ["id"], { maxSeries: 2, registers });
+        for (const id of ["1", "2", "3"]) {
+            defaulted.inc([id]);
+            own.inc([id]);
+        }
+
+        expect(defaulted.getFamily().series.map(s => s.labels.id)).toEqual(["1", "__overflow__"]);
+        expect(own.getFamily().series.map(s => s.labels.id)).toEqual(["1", "2"]);
+    });
+
+    it("should count limited observations in a self-metric and call onSeriesLimit", () => {
+        const events: string[] = [];
+        const registry = new Registry({ onSeriesLimit: event => events.push(`${event.metric} ${event.labels.id}`) });
+        const users = new Gauge("users", "Users", ["id"], { maxSeries: 1, registers: [registry] });
+
+        expect(registry.getMetricNames()).toEqual(["users"]);
+        users.set(["1"], 1);
+        users.set(["2"], 1);
+        users.set(["3"], 1);
+
+        expect(registry.getMetric(SERIES_LIMIT_METRIC)).toBeDefined();
+        expect(registry.metrics()).toContain(`${SERIES_LIMIT_METRIC}{metric="users", policy="drop"} 2\n`);
+        expect(events).toEqual(["users 2", "users 3"]);
+    });
+
+    it("should stop counting unregistered metrics", () => {
+        const registry = new Registry();
+        const users = new Gauge("users", "Users", ["id"], { maxSeries: 1, registers: [registry] });
+        registry.unregister("users");
+        users.set(["1"], 1);
+        users.set(["2"], 1);
+
+        expect(registry.getMetric(SERIES_LIMIT_METRIC)).toBeUndefined();
+    });
+
+    it("should not count the self-metric's own limit", () => {
+        const registry = new Registry({ maxSeries: 1 });
+        const registers = [registry];
+        const first = new Gauge("first", "First", ["id"], { registers });
+        const second = new Gauge("second", "Second", ["id"], { registers });
+        first.set(["1"], 1);
+        first.set(["2"], 1);
+        second.set(["1"], 1);
+        second.set(["2"], 1);
+
+        expect(registry.metrics()).toContain(`${SERIES_LIMIT_METRIC}{metric="first", policy="drop"} 1\n`);
+        expect(registry.metrics()).not.toContain(`metric="second"`);
+    });
+});